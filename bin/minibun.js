@@ -0,0 +1,7 @@
+#!/usr/bin/env node
+// bin/minibun.js
+// Entry point of the `minibun` command; see src/cli.js.
+
+import { main } from '../src/cli.js';
+
+process.exitCode = await main(process.argv.slice(2));
@@ -28,6 +28,9 @@ const EXPORT_NAMES = [
   'ModuleSystem',
   'Obfuscator',
   'Pipeline',
+  'parse',
+  'generate',
+  'ModuleCache',
 ];
 
 async function buildSingleFileBundle() {
@@ -40,15 +43,24 @@ async function buildSingleFileBundle() {
   // come first so that tokenizing helpers are available to other modules.
   const filesInOrder = [
     'parser.js',
+    'resolver.js',
+    'source-map.js',
+    'ast.js',
+    'scope.js',
+    'node-resolver.js',
+    'module-cache.js',
     'tree-shaking.js',
     'minification.js',
     'bundling.js',
     'modules.js',
     'obfuscation.js',
+    'watch.js',
+    'plugins.js',
     'pipeline.js',
   ];
 
   const parts = [];
+  const nodeImports = new Set();
 
   for (const file of filesInOrder) {
     const abs = path.join(srcDir, file);
@@ -62,6 +74,16 @@ async function buildSingleFileBundle() {
       ''
     );
 
+    // Hoist `node:` imports and drop duplicates: several source files import
+    // the same built-ins, which would be a redeclaration in a shared scope.
+    code = code.replace(
+      /^import\s+[^;]+from\s+['"]node:[^'"]+['"];[ \t]*\r?\n?/gm,
+      (statement) => {
+        nodeImports.add(statement.trim());
+        return '';
+      }
+    );
+
     parts.push(`// ---- ${file} ----\n${code.trim()}\n`);
   }
 
@@ -76,7 +98,8 @@ if (typeof module !== 'undefined' && module.exports) {
 }
 `.trim();
 
-  const bundle = `${parts.join('\n\n')}\n\n${exportBlock}\n`;
+  const header = nodeImports.size ? `${[...nodeImports].join('\n')}\n\n` : '';
+  const bundle = `${header}${parts.join('\n\n')}\n\n${exportBlock}\n`;
   await fs.writeFile(outPath, bundle, 'utf8');
 }
 
@@ -0,0 +1,1844 @@
+// src/ast.js
+// ESTree-compatible parser and code generator built on the tokenizer in
+// src/parser.js, for passes that need real syntax trees rather than token
+// heuristics.
+//
+// The public API:
+//   - parse(code: string, options?: { sourceType?: 'module' | 'script' }): Program
+//   - generate(ast: Node, options?: { compact?: boolean, indent?: string }): string
+//
+// `parse` covers the ECMAScript 2022 grammar: statements and declarations,
+// the full expression grammar, classes (fields, private names, static
+// blocks), destructuring, spread/rest, async functions and generators,
+// optional chaining, templates, and import/export (with import attributes).
+// Every node has `start`/`end` offsets and a `loc` of 1-based lines and
+// 0-based columns, as in ESTree. Syntax errors are reported as `SyntaxError`s
+// carrying `pos` and `loc`; beyond that the parser checks structure, not the
+// early errors of the specification.
+//
+// `generate` prints an AST back to code, parenthesizing by precedence.
+// With `compact` it omits all optional whitespace.
+
+import { tokenize, significantTokens, stringValue } from './parser.js';
+import { LineIndex } from './source-map.js';
+
+// Binary and logical operator precedence, loosest first.
+const BINARY_PRECEDENCE = {
+  '??': 1, '||': 1, '&&': 2, '|': 3, '^': 4, '&': 5,
+  '==': 6, '!=': 6, '===': 6, '!==': 6,
+  '<': 7, '>': 7, '<=': 7, '>=': 7, instanceof: 7, in: 7,
+  '<<': 8, '>>': 8, '>>>': 8,
+  '+': 9, '-': 9, '*': 10, '/': 10, '%': 10, '**': 11,
+};
+const LOGICAL_OPERATORS = new Set(['||', '&&', '??']);
+const ASSIGNMENT_OPERATOR_SET = new Set([
+  '=', '+=', '-=', '*=', '/=', '%=', '**=', '<<=', '>>=', '>>>=', '&=', '|=', '^=', '&&=', '||=', '??=',
+]);
+const UNARY_OPERATORS = new Set(['!', '~', '+', '-', 'typeof', 'void', 'delete']);
+
+// Keyword tokens that are ordinary identifiers outside of some contexts.
+const CONTEXTUAL_KEYWORDS = new Set(['async', 'await', 'yield', 'let', 'of']);
+
+// Characters and escapes of a template text that cannot be cooked.
+const TEMPLATE_ESCAPE = /\\(?:x[\da-fA-F]{2}|u[\da-fA-F]{4}|u\{[\da-fA-F]+\}|0(?!\d)|[^xu\d])|\\/g;
+
+// Resolves `\uXXXX` and `\u{...}` escapes in an identifier name.
+export function identifierName(value) {
+  return value.replace(/\\u(?:\{([\da-fA-F]+)\}|([\da-fA-F]{4}))/g,
+    (_, braced, plain) => String.fromCodePoint(parseInt(braced || plain, 16)));
+}
+
+// Cooked value of template text, or null when it has an invalid escape
+// (allowed in tagged templates only).
+function cookTemplate(raw) {
+  for (const match of raw.matchAll(TEMPLATE_ESCAPE)) {
+    if (match[0] === '\\') return null;
+  }
+  return stringValue(`\`${raw}\``);
+}
+
+// Rewrites an expression parsed before its role was known (`[a, b] = c`,
+// `for ({ x } of list)`) as the equivalent binding pattern.
+function toPattern(node) {
+  switch (node.type) {
+    case 'ObjectExpression':
+      return {
+        ...node,
+        type: 'ObjectPattern',
+        properties: node.properties.map(prop => (prop.type === 'SpreadElement'
+          ? { ...prop, type: 'RestElement', argument: toPattern(prop.argument) }
+          : { ...prop, value: toPattern(prop.value) })),
+      };
+    case 'ArrayExpression':
+      return {
+        ...node,
+        type: 'ArrayPattern',
+        elements: node.elements.map(element => {
+          if (!element) return null;
+          if (element.type === 'SpreadElement') return { ...element, type: 'RestElement', argument: toPattern(element.argument) };
+          return toPattern(element);
+        }),
+      };
+    case 'AssignmentExpression':
+      if (node.operator !== '=') return node;
+      return { type: 'AssignmentPattern', start: node.start, end: node.end, loc: node.loc, left: toPattern(node.left), right: node.right };
+    default:
+      return node;
+  }
+}
+
+class AstParser {
+  constructor(code, options) {
+    this.code = code;
+    this.sourceType = options.sourceType || 'module';
+    this.lines = new LineIndex(code);
+    this.tokens = significantTokens(tokenize(code)).filter(tok => tok.type !== 'hashbang');
+    this.index = 0;
+    this.lastEnd = 0;
+    this.inFunction = false;
+    this.inAsync = false;
+    this.inGenerator = false;
+    this.parenthesized = new WeakSet(); // expressions written in parentheses
+    // Index of the `)` closing each `(`, to spot arrow functions up front.
+    this.closingParen = new Map();
+    const open = [];
+    this.tokens.forEach((tok, i) => {
+      if (tok.type !== 'punctuator') return;
+      if (tok.value === '(') open.push(i);
+      else if (tok.value === ')' && open.length) this.closingParen.set(open.pop(), i);
+    });
+  }
+
+  // --- Tokens -------------------------------------------------------------
+
+  get tok() {
+    return this.tokens[this.index];
+  }
+
+  peek(offset = 1) {
+    return this.tokens[Math.min(this.index + offset, this.tokens.length - 1)];
+  }
+
+  next() {
+    const tok = this.tokens[this.index];
+    this.lastEnd = tok.end;
+    if (tok.type !== 'eof') this.index++;
+    return tok;
+  }
+
+  is(value, tok = this.tok) {
+    return tok.type === 'punctuator' && tok.value === value;
+  }
+
+  isWord(value, tok = this.tok) {
+    return (tok.type === 'keyword' || tok.type === 'identifier') && tok.value === value;
+  }
+
+  eat(value) {
+    if (!this.is(value)) return false;
+    this.next();
+    return true;
+  }
+
+  eatWord(value) {
+    if (!this.isWord(value)) return false;
+    this.next();
+    return true;
+  }
+
+  expect(value) {
+    if (!this.eat(value)) this.unexpected();
+  }
+
+  expectWord(value) {
+    if (!this.eatWord(value)) this.unexpected();
+  }
+
+  // Whether `tok` can be used as a binding or reference name here.
+  isIdentifier(tok = this.tok) {
+    if (tok.type === 'identifier') return true;
+    if (tok.type !== 'keyword' || !CONTEXTUAL_KEYWORDS.has(tok.value)) return false;
+    if (tok.value === 'yield') return !this.inGenerator;
+    if (tok.value === 'await') return !this.inAsync && !(this.sourceType === 'module' && !this.inFunction);
+    return true;
+  }
+
+  // Any identifier name, keywords included (property names, `a.class`).
+  isName(tok = this.tok) {
+    return tok.type === 'identifier' || tok.type === 'keyword';
+  }
+
+  // Automatic semicolon insertion: a `;`, or a line break, `}` or the end
+  // of input where one is missing.
+  semicolon() {
+    if (this.eat(';')) return;
+    if (this.is('}') || this.tok.type === 'eof' || this.tok.lineBreakBefore) return;
+    this.unexpected();
+  }
+
+  raise(pos, message) {
+    const { line, column } = this.lines.position(pos);
+    const error = new SyntaxError(`${message} (${line + 1}:${column})`);
+    error.pos = pos;
+    error.loc = { line: line + 1, column };
+    throw error;
+  }
+
+  unexpected(tok = this.tok) {
+    this.raise(tok.start, tok.type === 'eof' ? 'Unexpected end of input' : `Unexpected token '${tok.value}'`);
+  }
+
+  // --- Nodes --------------------------------------------------------------
+
+  position(offset) {
+    const { line, column } = this.lines.position(offset);
+    return { line: line + 1, column };
+  }
+
+  // Node of `type` spanning from `start` to the end of the last token.
+  finish(start, type, fields) {
+    return {
+      type,
+      start,
+      end: this.lastEnd,
+      loc: { start: this.position(start), end: this.position(this.lastEnd) },
+      ...fields,
+    };
+  }
+
+  identifier(tok = this.tok) {
+    if (!this.isIdentifier(tok)) this.unexpected(tok);
+    return this.name();
+  }
+
+  // Identifier from any identifier name token (keywords included).
+  name() {
+    const tok = this.tok;
+    if (!this.isName(tok)) this.unexpected();
+    this.next();
+    return this.finish(tok.start, 'Identifier', { name: identifierName(tok.value) });
+  }
+
+  // Runs `parse` with the function context flags set.
+  withFunction({ isAsync = false, generator = false }, parse) {
+    const saved = [this.inFunction, this.inAsync, this.inGenerator];
+    this.inFunction = true;
+    this.inAsync = isAsync;
+    this.inGenerator = generator;
+    try {
+      return parse();
+    } finally {
+      [this.inFunction, this.inAsync, this.inGenerator] = saved;
+    }
+  }
+
+  // --- Program and statements ---------------------------------------------
+
+  parseProgram() {
+    const body = this.parseDirectivesAndStatements(() => this.tok.type === 'eof');
+    this.lastEnd = this.code.length;
+    const program = this.finish(0, 'Program', { body, sourceType: this.sourceType });
+    return program;
+  }
+
+  // Statements up to `done()`, marking the directive prologue.
+  parseDirectivesAndStatements(done) {
+    const body = [];
+    let prologue = true;
+    while (!done()) {
+      const tok = this.tok;
+      const statement = this.parseStatement();
+      if (prologue && statement.type === 'ExpressionStatement' && tok.type === 'string' &&
+          statement.expression.type === 'Literal' && !this.parenthesized.has(statement.expression)) {
+        statement.directive = tok.value.slice(1, -1);
+      } else {
+        prologue = false;
+      }
+      body.push(statement);
+    }
+    return body;
+  }
+
+  parseStatement() {
+    const tok = this.tok;
+    const start = tok.start;
+
+    if (this.is('{')) return this.parseBlock();
+    if (this.is(';')) {
+      this.next();
+      return this.finish(start, 'EmptyStatement', {});
+    }
+
+    if (tok.type === 'keyword') {
+      switch (tok.value) {
+        case 'var':
+        case 'const':
+          return this.parseVarStatement(start);
+        case 'let':
+          if (this.isLetDeclaration()) return this.parseVarStatement(start);
+          break;
+        case 'function':
+          return this.parseFunction(start, { statement: true });
+        case 'async':
+          if (this.isWord('function', this.peek()) && !this.peek().lineBreakBefore) {
+            return this.parseFunction(start, { statement: true });
+          }
+          break;
+        case 'class':
+          return this.parseClass(start, { statement: true });
+        case 'if':
+          return this.parseIf(start);
+        case 'for':
+          return this.parseFor(start);
+        case 'while': {
+          this.next();
+          const test = this.parseParenExpression();
+          const body = this.parseStatement();
+          return this.finish(start, 'WhileStatement', { test, body });
+        }
+        case 'do': {
+          this.next();
+          const body = this.parseStatement();
+          this.expectWord('while');
+          const test = this.parseParenExpression();
+          this.eat(';');
+          return this.finish(start, 'DoWhileStatement', { body, test });
+        }
+        case 'return': {
+          this.next();
+          const argument = this.atStatementEnd() ? null : this.parseExpression();
+          this.semicolon();
+          return this.finish(start, 'ReturnStatement', { argument });
+        }
+        case 'break':
+        case 'continue': {
+          this.next();
+          const label = !this.tok.lineBreakBefore && this.isIdentifier() ? this.identifier() : null;
+          this.semicolon();
+          return this.finish(start, tok.value === 'break' ? 'BreakStatement' : 'ContinueStatement', { label });
+        }
+        case 'throw': {
+          this.next();
+          if (this.tok.lineBreakBefore) this.raise(this.tok.start, 'Illegal newline after throw');
+          const argument = this.parseExpression();
+          this.semicolon();
+          return this.finish(start, 'ThrowStatement', { argument });
+        }
+        case 'try':
+          return this.parseTry(start);
+        case 'switch':
+          return this.parseSwitch(start);
+        case 'with': {
+          this.next();
+          const object = this.parseParenExpression();
+          const body = this.parseStatement();
+          return this.finish(start, 'WithStatement', { object, body });
+        }
+        case 'debugger':
+          this.next();
+          this.semicolon();
+          return this.finish(start, 'DebuggerStatement', {});
+        case 'import':
+          if (!this.is('(', this.peek()) && !this.is('.', this.peek())) return this.parseImport(start);
+          break;
+        case 'export':
+          return this.parseExport(start);
+        default:
+          break;
+      }
+    }
+
+    // Labelled statement: `outer: for (...)`
+    if (this.isIdentifier() && this.is(':', this.peek())) {
+      const label = this.identifier();
+      this.next();
+      const body = this.parseStatement();
+      return this.finish(start, 'LabeledStatement', { label, body });
+    }
+
+    const expression = this.parseExpression();
+    this.semicolon();
+    return this.finish(start, 'ExpressionStatement', { expression });
+  }
+
+  atStatementEnd() {
+    return this.is(';') || this.is('}') || this.tok.type === 'eof' || this.tok.lineBreakBefore;
+  }
+
+  // `let` starts a declaration when a binding follows it (`let x`, `let [a]`).
+  isLetDeclaration() {
+    const next = this.peek();
+    return this.is('[', next) || this.is('{', next) || (this.isIdentifier(next) && !(next.value === 'in' || next.value === 'instanceof'));
+  }
+
+  parseBlock() {
+    const start = this.tok.start;
+    this.expect('{');
+    const body = [];
+    while (!this.is('}')) {
+      if (this.tok.type === 'eof') this.unexpected();
+      body.push(this.parseStatement());
+    }
+    this.next();
+    return this.finish(start, 'BlockStatement', { body });
+  }
+
+  parseParenExpression() {
+    this.expect('(');
+    const expression = this.parseExpression();
+    this.expect(')');
+    return expression;
+  }
+
+  parseVarStatement(start) {
+    const declaration = this.parseVar(start, this.next().value, false);
+    this.semicolon();
+    return this.finish(start, 'VariableDeclaration', { declarations: declaration.declarations, kind: declaration.kind });
+  }
+
+  // Declarators after `var`/`let`/`const` (already consumed). `noIn` stops
+  // initializers at `in`, for `for (var x = ... in ...)` heads.
+  parseVar(start, kind, noIn) {
+    const declarations = [];
+    do {
+      const declStart = this.tok.start;
+      const id = this.parseBindingTarget();
+      const init = this.eat('=') ? this.parseAssign(noIn) : null;
+      declarations.push(this.finish(declStart, 'VariableDeclarator', { id, init }));
+    } while (this.eat(','));
+    return this.finish(start, 'VariableDeclaration', { declarations, kind });
+  }
+
+  parseIf(start) {
+    this.next();
+    const test = this.parseParenExpression();
+    const consequent = this.parseStatement();
+    const alternate = this.eatWord('else') ? this.parseStatement() : null;
+    return this.finish(start, 'IfStatement', { test, consequent, alternate });
+  }
+
+  parseFor(start) {
+    this.next();
+    const isAwait = this.eatWord('await');
+    this.expect('(');
+    let init = null;
+    if (this.is(';')) {
+      // `for (;;)`
+    } else if (this.isWord('var') || this.isWord('const') || (this.isWord('let') && this.isLetDeclaration())) {
+      const declStart = this.tok.start;
+      init = this.parseVar(declStart, this.next().value, true);
+      if (init.declarations.length === 1 && (this.isWord('of') || this.isWord('in'))) {
+        return this.parseForInOf(start, init, isAwait);
+      }
+    } else {
+      const expression = this.parseExpression(true);
+      if (this.isWord('of') || this.isWord('in')) return this.parseForInOf(start, toPattern(expression), isAwait);
+      init = expression;
+    }
+    this.expect(';');
+    const test = this.is(';') ? null : this.parseExpression();
+    this.expect(';');
+    const update = this.is(')') ? null : this.parseExpression();
+    this.expect(')');
+    const body = this.parseStatement();
+    return this.finish(start, 'ForStatement', { init, test, update, body });
+  }
+
+  parseForInOf(start, left, isAwait) {
+    const isOf = this.next().value === 'of';
+    const right = isOf ? this.parseAssign() : this.parseExpression();
+    this.expect(')');
+    const body = this.parseStatement();
+    if (isOf) return this.finish(start, 'ForOfStatement', { await: isAwait, left, right, body });
+    return this.finish(start, 'ForInStatement', { left, right, body });
+  }
+
+  parseTry(start) {
+    this.next();
+    const block = this.parseBlock();
+    let handler = null;
+    let finalizer = null;
+    if (this.isWord('catch')) {
+      const catchStart = this.next().start;
+      let param = null;
+      if (this.eat('(')) {
+        param = this.parseBindingTarget();
+        this.expect(')');
+      }
+      const body = this.parseBlock();
+      handler = this.finish(catchStart, 'CatchClause', { param, body });
+    }
+    if (this.eatWord('finally')) finalizer = this.parseBlock();
+    if (!handler && !finalizer) this.raise(this.tok.start, 'Missing catch or finally after try');
+    return this.finish(start, 'TryStatement', { block, handler, finalizer });
+  }
+
+  parseSwitch(start) {
+    this.next();
+    const discriminant = this.parseParenExpression();
+    const cases = [];
+    this.expect('{');
+    while (!this.eat('}')) {
+      const caseStart = this.tok.start;
+      let test = null;
+      if (this.eatWord('case')) test = this.parseExpression();
+      else this.expectWord('default');
+      this.expect(':');
+      const consequent = [];
+      while (!this.is('}') && !this.isWord('case') && !this.isWord('default')) {
+        if (this.tok.type === 'eof') this.unexpected();
+        consequent.push(this.parseStatement());
+      }
+      cases.push(this.finish(caseStart, 'SwitchCase', { test, consequent }));
+    }
+    return this.finish(start, 'SwitchStatement', { discriminant, cases });
+  }
+
+  // --- Modules ------------------------------------------------------------
+
+  // A module export/import name: an identifier name or a string literal.
+  parseModuleExportName() {
+    if (this.tok.type === 'string') return this.parseLiteral();
+    return this.name();
+  }
+
+  parseSource() {
+    if (this.tok.type !== 'string') this.unexpected();
+    return this.parseLiteral();
+  }
+
+  // Import attributes: `with { type: 'json' }` (or the older `assert`).
+  parseAttributes() {
+    const attributes = [];
+    if ((!this.isWord('with') && !this.isWord('assert')) || this.tok.lineBreakBefore && this.isWord('assert')) return attributes;
+    this.next();
+    this.expect('{');
+    while (!this.eat('}')) {
+      const start = this.tok.start;
+      const key = this.tok.type === 'string' ? this.parseLiteral() : this.name();
+      this.expect(':');
+      const value = this.parseSource();
+      attributes.push(this.finish(start, 'ImportAttribute', { key, value }));
+      if (!this.is('}')) this.expect(',');
+    }
+    return attributes;
+  }
+
+  parseImport(start) {
+    this.next();
+    const specifiers = [];
+    if (this.tok.type !== 'string') {
+      if (this.isIdentifier()) {
+        const local = this.identifier();
+        specifiers.push(this.finish(local.start, 'ImportDefaultSpecifier', { local }));
+        this.eat(',');
+      }
+      if (this.is('*')) {
+        const specStart = this.next().start;
+        this.expectWord('as');
+        const local = this.identifier();
+        specifiers.push(this.finish(specStart, 'ImportNamespaceSpecifier', { local }));
+      } else if (this.eat('{')) {
+        while (!this.eat('}')) {
+          const specStart = this.tok.start;
+          const imported = this.parseModuleExportName();
+          const local = this.eatWord('as') ? this.identifier() : imported;
+          specifiers.push(this.finish(specStart, 'ImportSpecifier', { imported, local }));
+          if (!this.is('}')) this.expect(',');
+        }
+      }
+      this.expectWord('from');
+    }
+    const source = this.parseSource();
+    const attributes = this.parseAttributes();
+    this.semicolon();
+    return this.finish(start, 'ImportDeclaration', { specifiers, source, attributes });
+  }
+
+  parseExport(start) {
+    this.next();
+    if (this.is('*')) {
+      this.next();
+      const exported = this.eatWord('as') ? this.parseModuleExportName() : null;
+      this.expectWord('from');
+      const source = this.parseSource();
+      const attributes = this.parseAttributes();
+      this.semicolon();
+      return this.finish(start, 'ExportAllDeclaration', { exported, source, attributes });
+    }
+
+    if (this.eatWord('default')) {
+      const declStart = this.tok.start;
+      let declaration;
+      if (this.isWord('function') || (this.isWord('async') && this.isWord('function', this.peek()) && !this.peek().lineBreakBefore)) {
+        declaration = this.parseFunction(declStart, { statement: true, optionalId: true });
+      } else if (this.isWord('class')) {
+        declaration = this.parseClass(declStart, { statement: true, optionalId: true });
+      } else {
+        declaration = this.parseAssign();
+        this.semicolon();
+      }
+      return this.finish(start, 'ExportDefaultDeclaration', { declaration });
+    }
+
+    if (this.eat('{')) {
+      const specifiers = [];
+      while (!this.eat('}')) {
+        const specStart = this.tok.start;
+        const local = this.parseModuleExportName();
+        const exported = this.eatWord('as') ? this.parseModuleExportName() : local;
+        specifiers.push(this.finish(specStart, 'ExportSpecifier', { local, exported }));
+        if (!this.is('}')) this.expect(',');
+      }
+      let source = null;
+      let attributes = [];
+      if (this.eatWord('from')) {
+        source = this.parseSource();
+        attributes = this.parseAttributes();
+      }
+      this.semicolon();
+      return this.finish(start, 'ExportNamedDeclaration', { declaration: null, specifiers, source, attributes });
+    }
+
+    const declaration = this.parseStatement();
+    if (!/Declaration$/.test(declaration.type)) this.raise(declaration.start, 'Unexpected export');
+    return this.finish(start, 'ExportNamedDeclaration', { declaration, specifiers: [], source: null, attributes: [] });
+  }
+
+  // --- Functions and classes ----------------------------------------------
+
+  // `[async] function[*] [name](params) { body }` starting at the current
+  // token. Declarations need a name unless `optionalId` (export default).
+  parseFunction(start, { statement = false, optionalId = false } = {}) {
+    const isAsync = this.eatWord('async');
+    this.expectWord('function');
+    const generator = this.eat('*');
+    let id = null;
+    if (!this.is('(')) {
+      // A function expression's own name follows its own async/generator rules.
+      id = statement ? this.identifier() : this.withFunction({ isAsync, generator }, () => this.identifier());
+    } else if (statement && !optionalId) {
+      this.unexpected();
+    }
+    return this.withFunction({ isAsync, generator }, () => {
+      const params = this.parseParams();
+      const body = this.parseFunctionBody();
+      return this.finish(start, statement ? 'FunctionDeclaration' : 'FunctionExpression', {
+        id, expression: false, generator, async: isAsync, params, body,
+      });
+    });
+  }
+
+  parseParams() {
+    this.expect('(');
+    const params = [];
+    while (!this.eat(')')) {
+      params.push(this.parseBindingElement());
+      if (!this.is(')')) this.expect(',');
+    }
+    return params;
+  }
+
+  parseFunctionBody() {
+    const start = this.tok.start;
+    this.expect('{');
+    const body = this.parseDirectivesAndStatements(() => {
+      if (this.tok.type === 'eof') this.unexpected();
+      return this.is('}');
+    });
+    this.next();
+    return this.finish(start, 'BlockStatement', { body });
+  }
+
+  parseClass(start, { statement = false, optionalId = false } = {}) {
+    this.expectWord('class');
+    let id = null;
+    if (this.isIdentifier() && !this.isWord('extends')) id = this.identifier();
+    else if (statement && !optionalId) this.unexpected();
+    const superClass = this.eatWord('extends') ? this.parseSubscripts(this.parseAtom()) : null;
+
+    const bodyStart = this.tok.start;
+    this.expect('{');
+    const body = [];
+    while (!this.eat('}')) {
+      if (this.eat(';')) continue;
+      if (this.tok.type === 'eof') this.unexpected();
+      body.push(this.parseClassMember());
+    }
+    const classBody = this.finish(bodyStart, 'ClassBody', { body });
+    return this.finish(start, statement ? 'ClassDeclaration' : 'ClassExpression', { id, superClass, body: classBody });
+  }
+
+  // Whether the current word is a modifier (`static`, `async`, `get`, `set`)
+  // rather than the member's own name.
+  isModifier(value, inClass) {
+    if (!this.isWord(value)) return false;
+    const next = this.peek();
+    if (next.type === 'eof' || ['(', '=', ';', '}', ',', ':'].some(p => this.is(p, next))) return false;
+    if (value === 'async' && next.lineBreakBefore) return false;
+    if (!inClass && value === 'static') return false;
+    return true;
+  }
+
+  // Property key: [computed], name, string, number or #private.
+  parsePropertyKey() {
+    if (this.eat('[')) {
+      const key = this.parseAssign();
+      this.expect(']');
+      return { key, computed: true };
+    }
+    const tok = this.tok;
+    if (tok.type === 'string' || tok.type === 'number') return { key: this.parseLiteral(), computed: false };
+    if (tok.type === 'privateName') {
+      this.next();
+      return { key: this.finish(tok.start, 'PrivateIdentifier', { name: identifierName(tok.value.slice(1)) }), computed: false };
+    }
+    return { key: this.name(), computed: false };
+  }
+
+  // Method parameters and body, as the FunctionExpression value of a
+  // method, getter or setter.
+  parseMethod(isAsync, generator) {
+    const start = this.tok.start;
+    return this.withFunction({ isAsync, generator }, () => {
+      const params = this.parseParams();
+      const body = this.parseFunctionBody();
+      return this.finish(start, 'FunctionExpression', {
+        id: null, expression: false, generator, async: isAsync, params, body,
+      });
+    });
+  }
+
+  parseClassMember() {
+    const start = this.tok.start;
+    const isStatic = this.isModifier('static', true) && (this.next(), true);
+    if (isStatic && this.is('{')) {
+      const { body } = this.withFunction({}, () => this.parseBlock());
+      return this.finish(start, 'StaticBlock', { body });
+    }
+    const isAsync = this.isModifier('async', true) && (this.next(), true);
+    const generator = this.eat('*');
+    let kind = 'method';
+    if (!isAsync && !generator && (this.isModifier('get', true) || this.isModifier('set', true))) {
+      kind = this.next().value;
+    }
+    const { key, computed } = this.parsePropertyKey();
+
+    if (this.is('(')) {
+      const isConstructor = !isStatic && !computed && kind === 'method' &&
+        ((key.type === 'Identifier' && key.name === 'constructor') || (key.type === 'Literal' && key.value === 'constructor'));
+      const value = this.parseMethod(isAsync, generator);
+      return this.finish(start, 'MethodDefinition', {
+        static: isStatic, computed, key, kind: isConstructor ? 'constructor' : kind, value,
+      });
+    }
+
+    const value = this.eat('=') ? this.withFunction({}, () => this.parseAssign()) : null;
+    this.semicolon();
+    return this.finish(start, 'PropertyDefinition', { static: isStatic, computed, key, value });
+  }
+
+  // --- Binding patterns ---------------------------------------------------
+
+  // Identifier, object pattern or array pattern.
+  parseBindingTarget() {
+    const start = this.tok.start;
+    if (this.eat('[')) {
+      const elements = [];
+      while (!this.eat(']')) {
+        if (this.is(',')) {
+          this.next();
+          elements.push(null);
+          continue;
+        }
+        elements.push(this.parseBindingElement());
+        if (!this.is(']')) this.expect(',');
+      }
+      return this.finish(start, 'ArrayPattern', { elements });
+    }
+    if (this.eat('{')) {
+      const properties = [];
+      while (!this.eat('}')) {
+        const propStart = this.tok.start;
+        if (this.eat('...')) {
+          const argument = this.parseBindingTarget();
+          properties.push(this.finish(propStart, 'RestElement', { argument }));
+        } else {
+          const keyTok = this.tok;
+          const { key, computed } = this.parsePropertyKey();
+          let value;
+          let shorthand = false;
+          if (this.eat(':')) {
+            value = this.parseBindingElement();
+          } else {
+            if (computed || !this.isIdentifier(keyTok)) this.unexpected(keyTok);
+            shorthand = true;
+            value = this.parseDefault(propStart, key);
+          }
+          properties.push(this.finish(propStart, 'Property', {
+            method: false, shorthand, computed, key, value, kind: 'init',
+          }));
+        }
+        if (!this.is('}')) this.expect(',');
+      }
+      return this.finish(start, 'ObjectPattern', { properties });
+    }
+    return this.identifier();
+  }
+
+  // `= default` after a binding target, if present.
+  parseDefault(start, left) {
+    if (!this.eat('=')) return left;
+    const right = this.parseAssign();
+    return this.finish(start, 'AssignmentPattern', { left, right });
+  }
+
+  // Binding target with optional default, or `...rest`.
+  parseBindingElement() {
+    const start = this.tok.start;
+    if (this.eat('...')) {
+      const argument = this.parseBindingTarget();
+      return this.finish(start, 'RestElement', { argument });
+    }
+    return this.parseDefault(start, this.parseBindingTarget());
+  }
+
+  // --- Expressions --------------------------------------------------------
+
+  // Expression, including the comma operator. `noIn` leaves a top-level
+  // `in` for a `for (... in ...)` head.
+  parseExpression(noIn = false) {
+    const start = this.tok.start;
+    const first = this.parseAssign(noIn);
+    if (!this.is(',')) return first;
+    const expressions = [first];
+    while (this.eat(',')) expressions.push(this.parseAssign(noIn));
+    return this.finish(start, 'SequenceExpression', { expressions });
+  }
+
+  // Whether an arrow function starts at the current token; returns
+  // { isAsync } or null.
+  arrowAhead() {
+    const tok = this.tok;
+    const arrowAt = (i) => i < this.tokens.length && this.is('=>', this.tokens[i]) && !this.tokens[i].lineBreakBefore;
+    if (this.isIdentifier(tok) && arrowAt(this.index + 1)) return { isAsync: false };
+    if (this.is('(') && arrowAt(this.closingParen.get(this.index) + 1)) return { isAsync: false };
+    if (this.isWord('async') && !this.peek().lineBreakBefore) {
+      if (this.isIdentifier(this.peek()) && arrowAt(this.index + 2)) return { isAsync: true };
+      if (this.is('(', this.peek()) && arrowAt(this.closingParen.get(this.index + 1) + 1)) return { isAsync: true };
+    }
+    return null;
+  }
+
+  parseArrow(isAsync, noIn) {
+    const start = this.tok.start;
+    if (isAsync) this.next();
+    return this.withFunction({ isAsync }, () => {
+      const params = this.is('(') ? this.parseParams() : [this.identifier()];
+      this.expect('=>');
+      if (this.is('{')) {
+        const body = this.parseFunctionBody();
+        return this.finish(start, 'ArrowFunctionExpression', {
+          id: null, expression: false, generator: false, async: isAsync, params, body,
+        });
+      }
+      const body = this.parseAssign(noIn);
+      return this.finish(start, 'ArrowFunctionExpression', {
+        id: null, expression: true, generator: false, async: isAsync, params, body,
+      });
+    });
+  }
+
+  parseAssign(noIn = false) {
+    const start = this.tok.start;
+    if (this.inGenerator && this.isWord('yield')) return this.parseYield(noIn);
+    const arrow = this.arrowAhead();
+    if (arrow) return this.parseArrow(arrow.isAsync, noIn);
+
+    const left = this.parseConditional(noIn);
+    if (this.tok.type === 'punctuator' && ASSIGNMENT_OPERATOR_SET.has(this.tok.value)) {
+      const operator = this.next().value;
+      const right = this.parseAssign(noIn);
+      return this.finish(start, 'AssignmentExpression', {
+        operator, left: operator === '=' ? toPattern(left) : left, right,
+      });
+    }
+    return left;
+  }
+
+  parseYield(noIn) {
+    const start = this.next().start;
+    let delegate = false;
+    let argument = null;
+    const ends = this.tok.lineBreakBefore ||
+      [')', ']', '}', ',', ';', ':'].some(p => this.is(p)) || this.tok.type === 'eof' ||
+      this.tok.type === 'templateMiddle' || this.tok.type === 'templateTail' || (noIn && this.isWord('in'));
+    if (!ends) {
+      delegate = this.eat('*');
+      argument = this.parseAssign(noIn);
+    }
+    return this.finish(start, 'YieldExpression', { delegate, argument });
+  }
+
+  parseConditional(noIn) {
+    const start = this.tok.start;
+    const test = this.parseBinary(0, noIn);
+    if (!this.eat('?')) return test;
+    const consequent = this.parseAssign();
+    this.expect(':');
+    const alternate = this.parseAssign(noIn);
+    return this.finish(start, 'ConditionalExpression', { test, consequent, alternate });
+  }
+
+  binaryOperator(noIn) {
+    const tok = this.tok;
+    if (tok.type === 'punctuator' && BINARY_PRECEDENCE[tok.value]) return tok.value;
+    if (tok.type === 'keyword' && (tok.value === 'instanceof' || (tok.value === 'in' && !noIn))) return tok.value;
+    return null;
+  }
+
+  // Operators binding tighter than `minPrecedence`, by precedence climbing.
+  parseBinary(minPrecedence, noIn) {
+    const start = this.tok.start;
+    let left;
+    if (this.tok.type === 'privateName' && this.isWord('in', this.peek())) {
+      // `#field in object`
+      const tok = this.next();
+      left = this.finish(tok.start, 'PrivateIdentifier', { name: identifierName(tok.value.slice(1)) });
+    } else {
+      left = this.parseUnary();
+    }
+    for (;;) {
+      const operator = this.binaryOperator(noIn);
+      const precedence = operator && BINARY_PRECEDENCE[operator];
+      if (!operator || precedence <= minPrecedence) return left;
+      this.next();
+      // `**` is right-associative.
+      const right = this.parseBinary(operator === '**' ? precedence - 1 : precedence, noIn);
+      left = this.finish(start, LOGICAL_OPERATORS.has(operator) ? 'LogicalExpression' : 'BinaryExpression', {
+        left, operator, right,
+      });
+    }
+  }
+
+  parseUnary() {
+    const tok = this.tok;
+    const start = tok.start;
+    if ((tok.type === 'punctuator' || tok.type === 'keyword') && UNARY_OPERATORS.has(tok.value)) {
+      this.next();
+      const argument = this.parseUnary();
+      return this.finish(start, 'UnaryExpression', { operator: tok.value, prefix: true, argument });
+    }
+    if (this.is('++') || this.is('--')) {
+      this.next();
+      const argument = this.parseUnary();
+      return this.finish(start, 'UpdateExpression', { operator: tok.value, prefix: true, argument });
+    }
+    if (this.isWord('await') && !this.isIdentifier()) {
+      this.next();
+      const argument = this.parseUnary();
+      return this.finish(start, 'AwaitExpression', { argument });
+    }
+    const expression = this.parseSubscripts(this.parseAtom());
+    if ((this.is('++') || this.is('--')) && !this.tok.lineBreakBefore) {
+      const operator = this.next().value;
+      return this.finish(start, 'UpdateExpression', { operator, prefix: false, argument: expression });
+    }
+    return expression;
+  }
+
+  parseArguments() {
+    this.expect('(');
+    const args = [];
+    while (!this.eat(')')) {
+      args.push(this.parseSpreadOrAssign());
+      if (!this.is(')')) this.expect(',');
+    }
+    return args;
+  }
+
+  parseSpreadOrAssign() {
+    const start = this.tok.start;
+    if (!this.eat('...')) return this.parseAssign();
+    const argument = this.parseAssign();
+    return this.finish(start, 'SpreadElement', { argument });
+  }
+
+  // Member accesses, calls and tagged templates after `base`. `noCalls`
+  // stops before the arguments of a `new` expression.
+  parseSubscripts(base, noCalls = false) {
+    const start = base.start;
+    let expression = base;
+    let chained = false;
+    for (;;) {
+      const tok = this.tok;
+      if (this.is('.')) {
+        this.next();
+        const property = this.parseMemberName();
+        expression = this.finish(start, 'MemberExpression', { object: expression, property, computed: false, optional: false });
+      } else if (this.is('?.') && !noCalls) {
+        this.next();
+        chained = true;
+        if (this.is('(')) {
+          const args = this.parseArguments();
+          expression = this.finish(start, 'CallExpression', { callee: expression, arguments: args, optional: true });
+        } else if (this.eat('[')) {
+          const property = this.parseExpression();
+          this.expect(']');
+          expression = this.finish(start, 'MemberExpression', { object: expression, property, computed: true, optional: true });
+        } else {
+          const property = this.parseMemberName();
+          expression = this.finish(start, 'MemberExpression', { object: expression, property, computed: false, optional: true });
+        }
+      } else if (this.is('[')) {
+        this.next();
+        const property = this.parseExpression();
+        this.expect(']');
+        expression = this.finish(start, 'MemberExpression', { object: expression, property, computed: true, optional: false });
+      } else if (this.is('(') && !noCalls) {
+        const args = this.parseArguments();
+        expression = this.finish(start, 'CallExpression', { callee: expression, arguments: args, optional: false });
+      } else if (tok.type === 'template' || tok.type === 'templateHead') {
+        if (chained) this.raise(tok.start, 'Invalid tagged template on optional chain');
+        const quasi = this.parseTemplate();
+        expression = this.finish(start, 'TaggedTemplateExpression', { tag: expression, quasi });
+      } else {
+        break;
+      }
+    }
+    return chained ? this.finish(start, 'ChainExpression', { expression }) : expression;
+  }
+
+  // Name after `.` or `?.`: any identifier name or a #private name.
+  parseMemberName() {
+    const tok = this.tok;
+    if (tok.type === 'privateName') {
+      this.next();
+      return this.finish(tok.start, 'PrivateIdentifier', { name: identifierName(tok.value.slice(1)) });
+    }
+    return this.name();
+  }
+
+  parseAtom() {
+    const tok = this.tok;
+    const start = tok.start;
+    switch (tok.type) {
+      case 'string':
+      case 'number':
+      case 'regex':
+        return this.parseLiteral();
+      case 'template':
+      case 'templateHead':
+        return this.parseTemplate();
+      case 'punctuator':
+        if (tok.value === '(') {
+          this.next();
+          const expression = this.parseExpression();
+          this.expect(')');
+          this.parenthesized.add(expression);
+          return expression;
+        }
+        if (tok.value === '[') return this.parseArray();
+        if (tok.value === '{') return this.parseObject();
+        break;
+      case 'keyword':
+        switch (tok.value) {
+          case 'this':
+            this.next();
+            return this.finish(start, 'ThisExpression', {});
+          case 'super':
+            this.next();
+            return this.finish(start, 'Super', {});
+          case 'function':
+            return this.parseFunction(start);
+          case 'class':
+            return this.parseClass(start);
+          case 'async':
+            if (this.isWord('function', this.peek()) && !this.peek().lineBreakBefore) return this.parseFunction(start);
+            break;
+          case 'new':
+            return this.parseNew();
+          case 'import':
+            return this.parseImportExpression();
+          default:
+            break;
+        }
+        break;
+      case 'identifier':
+        if (tok.value === 'true' || tok.value === 'false' || tok.value === 'null') return this.parseLiteral();
+        break;
+      default:
+        break;
+    }
+    if (this.isIdentifier()) return this.identifier();
+    return this.unexpected();
+  }
+
+  parseLiteral() {
+    const tok = this.next();
+    const raw = tok.value;
+    const literal = (fields) => this.finish(tok.start, 'Literal', fields);
+    if (tok.type === 'string') return literal({ value: stringValue(raw), raw });
+    if (tok.type === 'regex') {
+      const slash = raw.lastIndexOf('/');
+      const pattern = raw.slice(1, slash);
+      const flags = raw.slice(slash + 1);
+      let value = null;
+      try {
+        value = new RegExp(pattern, flags);
+      } catch {
+        // Flags or syntax the running engine does not know.
+      }
+      return literal({ value, raw, regex: { pattern, flags } });
+    }
+    if (tok.type === 'number') {
+      const digits = raw.replace(/_/g, '');
+      if (digits.endsWith('n')) {
+        const bigint = digits.slice(0, -1);
+        return literal({ value: BigInt(bigint), raw, bigint });
+      }
+      const value = tok.legacyOctal ? parseInt(digits, 8) : Number(digits);
+      return literal({ value, raw });
+    }
+    // true / false / null
+    return literal({ value: raw === 'null' ? null : raw === 'true', raw });
+  }
+
+  parseTemplate() {
+    const start = this.tok.start;
+    const quasis = [];
+    const expressions = [];
+    for (;;) {
+      const tok = this.next();
+      const open = 1; // the backtick or `}`
+      const close = tok.type === 'templateHead' || tok.type === 'templateMiddle' ? 2 : 1;
+      const tail = tok.type === 'template' || tok.type === 'templateTail';
+      const raw = tok.value.slice(open, tok.value.length - close).replace(/\r\n?/g, '\n');
+      quasis.push({
+        type: 'TemplateElement',
+        start: tok.start + open,
+        end: tok.end - close,
+        loc: { start: this.position(tok.start + open), end: this.position(tok.end - close) },
+        value: { raw, cooked: cookTemplate(raw) },
+        tail,
+      });
+      if (tail) break;
+      expressions.push(this.parseExpression());
+      if (this.tok.type !== 'templateMiddle' && this.tok.type !== 'templateTail') this.unexpected();
+    }
+    return this.finish(start, 'TemplateLiteral', { quasis, expressions });
+  }
+
+  parseArray() {
+    const start = this.tok.start;
+    this.expect('[');
+    const elements = [];
+    while (!this.eat(']')) {
+      if (this.is(',')) {
+        this.next();
+        elements.push(null);
+        continue;
+      }
+      elements.push(this.parseSpreadOrAssign());
+      if (!this.is(']')) this.expect(',');
+    }
+    return this.finish(start, 'ArrayExpression', { elements });
+  }
+
+  parseObject() {
+    const start = this.tok.start;
+    this.expect('{');
+    const properties = [];
+    while (!this.eat('}')) {
+      properties.push(this.parseObjectMember());
+      if (!this.is('}')) this.expect(',');
+    }
+    return this.finish(start, 'ObjectExpression', { properties });
+  }
+
+  parseObjectMember() {
+    const start = this.tok.start;
+    if (this.eat('...')) {
+      const argument = this.parseAssign();
+      return this.finish(start, 'SpreadElement', { argument });
+    }
+    const isAsync = this.isModifier('async', false) && (this.next(), true);
+    const generator = this.eat('*');
+    let kind = 'init';
+    if (!isAsync && !generator && (this.isModifier('get', false) || this.isModifier('set', false))) {
+      kind = this.next().value;
+    }
+    const keyTok = this.tok;
+    const { key, computed } = this.parsePropertyKey();
+    const property = (value, fields) => this.finish(start, 'Property', {
+      method: false, shorthand: false, computed, key, value, kind, ...fields,
+    });
+
+    if (this.is('(')) {
+      return property(this.parseMethod(isAsync, generator), { method: kind === 'init' });
+    }
+    if (isAsync || generator || kind !== 'init') this.unexpected();
+    if (this.eat(':')) return property(this.parseAssign());
+    // Shorthand `{ a }`, or `{ a = 1 }` in a pattern being parsed as an object.
+    if (computed || !this.isIdentifier(keyTok)) this.unexpected(keyTok);
+    return property(this.parseDefault(start, key), { shorthand: true });
+  }
+
+  parseNew() {
+    const start = this.next().start;
+    if (this.is('.')) {
+      // `new.target`
+      const meta = { type: 'Identifier', start, end: start + 3, loc: { start: this.position(start), end: this.position(start + 3) }, name: 'new' };
+      this.next();
+      const property = this.name();
+      return this.finish(start, 'MetaProperty', { meta, property });
+    }
+    const callee = this.parseSubscripts(this.isWord('new') ? this.parseNew() : this.parseAtom(), true);
+    const args = this.is('(') ? this.parseArguments() : [];
+    return this.finish(start, 'NewExpression', { callee, arguments: args });
+  }
+
+  parseImportExpression() {
+    const start = this.next().start;
+    if (this.eat('.')) {
+      // `import.meta`
+      const meta = { type: 'Identifier', start, end: start + 6, loc: { start: this.position(start), end: this.position(start + 6) }, name: 'import' };
+      const property = this.name();
+      return this.finish(start, 'MetaProperty', { meta, property });
+    }
+    this.expect('(');
+    const source = this.parseAssign();
+    let options = null;
+    if (this.eat(',') && !this.is(')')) {
+      options = this.parseAssign();
+      this.eat(',');
+    }
+    this.expect(')');
+    return this.finish(start, 'ImportExpression', { source, options });
+  }
+}
+
+export function parse(code, options = {}) {
+  return new AstParser(String(code), options).parseProgram();
+}
+
+// --- Code generation ---------------------------------------------------------
+
+// Expression precedence levels used to decide on parentheses.
+const PRECEDENCE = {
+  sequence: 0,
+  assignment: 1, // also arrow functions and yield
+  conditional: 2,
+  // binary operators: 2 + BINARY_PRECEDENCE
+  unary: 14,
+  postfix: 15,
+  call: 17, // calls, members, `new` with arguments
+  primary: 18,
+};
+
+const WORD_CHARACTER = /[\p{ID_Continue}$‌‍\\]/u;
+
+// Whether two code fragments must be separated by a space so they do not
+// run together into different tokens (`typeof x`, `a - -b`, `a / /re/`,
+// `return .5`, and `<!` which would start an HTML-like comment in scripts).
+function needsSpace(before, after) {
+  const last = before[before.length - 1];
+  const first = after[0];
+  if (WORD_CHARACTER.test(last) && (WORD_CHARACTER.test(first) || (first === '.' && /\d/.test(after[1] || '')))) return true;
+  if ((last === '+' || last === '-') && first === last) return true;
+  if (last === '/' && (first === '/' || first === '*')) return true;
+  return last === '<' && first === '!';
+}
+
+function joinCode(parts) {
+  let out = '';
+  for (const part of parts) {
+    if (!part) continue;
+    if (out && needsSpace(out, part)) out += ' ';
+    out += part;
+  }
+  return out;
+}
+
+function expressionPrecedence(node) {
+  switch (node.type) {
+    case 'SequenceExpression':
+      return PRECEDENCE.sequence;
+    case 'AssignmentExpression':
+    case 'ArrowFunctionExpression':
+    case 'YieldExpression':
+      return PRECEDENCE.assignment;
+    case 'ConditionalExpression':
+      return PRECEDENCE.conditional;
+    case 'LogicalExpression':
+    case 'BinaryExpression':
+      return PRECEDENCE.conditional + BINARY_PRECEDENCE[node.operator];
+    case 'UnaryExpression':
+    case 'AwaitExpression':
+      return PRECEDENCE.unary;
+    case 'UpdateExpression':
+      return node.prefix ? PRECEDENCE.unary : PRECEDENCE.postfix;
+    case 'CallExpression':
+    case 'MemberExpression':
+    case 'NewExpression':
+    case 'TaggedTemplateExpression':
+    case 'ChainExpression':
+    case 'ImportExpression':
+      return PRECEDENCE.call;
+    default:
+      return PRECEDENCE.primary;
+  }
+}
+
+// The node printed first in `node`, following the leftmost operand.
+function leftmost(node) {
+  for (;;) {
+    switch (node.type) {
+      case 'SequenceExpression': node = node.expressions[0]; break;
+      case 'AssignmentExpression':
+      case 'BinaryExpression':
+      case 'LogicalExpression': node = node.left; break;
+      case 'ConditionalExpression': node = node.test; break;
+      case 'MemberExpression': node = node.object; break;
+      case 'CallExpression': node = node.callee; break;
+      case 'TaggedTemplateExpression': node = node.tag; break;
+      case 'ChainExpression': node = node.expression; break;
+      case 'UpdateExpression':
+        if (node.prefix) return node;
+        node = node.argument;
+        break;
+      default:
+        return node;
+    }
+  }
+}
+
+// Whether a `new` callee has to be parenthesized so its own call is not
+// taken as the `new` arguments: `new (a())()`, `new (a().b)()`.
+function hasCallInCallee(node) {
+  for (;;) {
+    if (node.type === 'CallExpression' || node.type === 'ChainExpression') return true;
+    if (node.type === 'MemberExpression') node = node.object;
+    else if (node.type === 'TaggedTemplateExpression') node = node.tag;
+    else return false;
+  }
+}
+
+// Whether a `for` head expression contains a bare `in` operator, which would
+// be read as a for-in loop.
+function containsIn(node) {
+  if (!node || typeof node !== 'object') return false;
+  if (node.type === 'BinaryExpression' && node.operator === 'in') return true;
+  if (/Function|Class/.test(node.type)) return false;
+  if (['ArrayExpression', 'ObjectExpression', 'CallExpression', 'TemplateLiteral'].includes(node.type)) return false;
+  return Object.entries(node).some(([key, value]) => key !== 'loc' && (Array.isArray(value) ? value.some(containsIn) : containsIn(value)));
+}
+
+// Whether a statement ends in an `if` without `else`, which would take an
+// `else` printed after it.
+function endsWithOpenIf(node) {
+  for (;;) {
+    switch (node.type) {
+      case 'IfStatement':
+        if (!node.alternate) return true;
+        node = node.alternate;
+        break;
+      case 'LabeledStatement':
+      case 'ForStatement':
+      case 'ForInStatement':
+      case 'ForOfStatement':
+      case 'WhileStatement':
+      case 'WithStatement':
+        node = node.body;
+        break;
+      default:
+        return false;
+    }
+  }
+}
+
+class CodePrinter {
+  constructor(options) {
+    this.compact = !!options.compact;
+    this.indentUnit = options.indent ?? '  ';
+    this.depth = 0;
+    this.space = this.compact ? '' : ' ';
+  }
+
+  indentation() {
+    return this.compact ? '' : this.indentUnit.repeat(this.depth);
+  }
+
+  // Lines of an indented body between `open` and `close`.
+  block(open, items, close, print) {
+    if (!items.length) return open + close;
+    this.depth++;
+    const lines = items.map(item => this.indentation() + print(item));
+    this.depth--;
+    if (this.compact) return open + lines.join('') + close;
+    return `${open}\n${lines.join('\n')}\n${this.indentation()}${close}`;
+  }
+
+  // Statement lists keep a string statement after the directive prologue
+  // from becoming a directive when printed.
+  statements(body) {
+    let prologue = true;
+    return body.map(statement => {
+      if (statement.directive === undefined) {
+        const isString = statement.type === 'ExpressionStatement' && statement.expression.type === 'Literal' &&
+          typeof statement.expression.value === 'string';
+        if (prologue && isString) {
+          prologue = false;
+          return `(${this.expression(statement.expression, PRECEDENCE.sequence)});`;
+        }
+        prologue = false;
+      }
+      return this.statement(statement);
+    });
+  }
+
+  body(open, body, close) {
+    const printed = this.statements(body);
+    let k = 0;
+    return this.block(open, printed, close, () => printed[k++]);
+  }
+
+  program(node) {
+    const lines = this.statements(node.body);
+    return lines.join(this.compact ? '' : '\n');
+  }
+
+  // A statement used as the body of `if`, `for`, `while`, ...
+  nested(node) {
+    return this.statement(node);
+  }
+
+  statement(node) {
+    const s = this.space;
+    switch (node.type) {
+      case 'ExpressionStatement': {
+        if (node.directive !== undefined) return `${this.expression(node.expression, PRECEDENCE.sequence)};`;
+        const first = leftmost(node.expression);
+        const hazard = ['ObjectExpression', 'ObjectPattern', 'FunctionExpression', 'ClassExpression'].includes(first.type) ||
+          (first.type === 'Identifier' && first.name === 'let');
+        const code = this.expression(node.expression, PRECEDENCE.sequence);
+        return `${hazard ? `(${code})` : code};`;
+      }
+      case 'BlockStatement':
+        return this.body('{', node.body, '}');
+      case 'EmptyStatement':
+        return ';';
+      case 'DebuggerStatement':
+        return 'debugger;';
+      case 'VariableDeclaration':
+        return `${this.declaration(node, false)};`;
+      case 'FunctionDeclaration':
+        return this.function(node);
+      case 'ClassDeclaration':
+        return this.class(node);
+      case 'ReturnStatement':
+      case 'ThrowStatement': {
+        const keyword = node.type === 'ReturnStatement' ? 'return' : 'throw';
+        if (!node.argument) return `${keyword};`;
+        return `${joinCode([keyword, s, this.expression(node.argument, PRECEDENCE.sequence)])};`;
+      }
+      case 'BreakStatement':
+      case 'ContinueStatement': {
+        const keyword = node.type === 'BreakStatement' ? 'break' : 'continue';
+        return node.label ? `${keyword} ${node.label.name};` : `${keyword};`;
+      }
+      case 'LabeledStatement':
+        return `${node.label.name}:${s}${this.nested(node.body)}`;
+      case 'IfStatement': {
+        // An else would attach to an `if` nested in a non-block consequent.
+        const consequent = node.alternate && endsWithOpenIf(node.consequent)
+          ? this.body('{', [node.consequent], '}')
+          : this.nested(node.consequent);
+        let code = `if${s}(${this.expression(node.test, PRECEDENCE.sequence)})${s}${consequent}`;
+        if (node.alternate) {
+          code = joinCode([code + s, 'else', s, this.nested(node.alternate)]);
+        }
+        return code;
+      }
+      case 'ForStatement': {
+        let init = '';
+        if (node.init) {
+          init = node.init.type === 'VariableDeclaration'
+            ? this.declaration(node.init, true)
+            : this.expression(node.init, PRECEDENCE.sequence);
+          if (node.init.type !== 'VariableDeclaration' && (containsIn(node.init) || leftmost(node.init).name === 'let')) init = `(${init})`;
+        }
+        const test = node.test ? `${s}${this.expression(node.test, PRECEDENCE.sequence)}` : '';
+        const update = node.update ? `${s}${this.expression(node.update, PRECEDENCE.sequence)}` : '';
+        return `for${s}(${init};${test};${update})${s}${this.nested(node.body)}`;
+      }
+      case 'ForInStatement':
+      case 'ForOfStatement': {
+        const isOf = node.type === 'ForOfStatement';
+        let left = node.left.type === 'VariableDeclaration'
+          ? this.declaration(node.left, true)
+          : this.pattern(node.left);
+        const first = node.left.type === 'VariableDeclaration' ? null : leftmost(node.left);
+        if (first && first.type === 'Identifier' && (first.name === 'let' || (isOf && first.name === 'async' && first === node.left))) left = `(${left})`;
+        const right = this.expression(node.right, isOf ? PRECEDENCE.assignment : PRECEDENCE.sequence);
+        const head = joinCode([left, ' ', isOf ? 'of' : 'in', ' ', right]);
+        return `${joinCode(['for', isOf && node.await ? ' await' : ''])}${s}(${head})${s}${this.nested(node.body)}`;
+      }
+      case 'WhileStatement':
+        return `while${s}(${this.expression(node.test, PRECEDENCE.sequence)})${s}${this.nested(node.body)}`;
+      case 'DoWhileStatement': {
+        const body = this.nested(node.body);
+        return `${joinCode(['do', s, body])}${s}while${s}(${this.expression(node.test, PRECEDENCE.sequence)});`;
+      }
+      case 'WithStatement':
+        return `with${s}(${this.expression(node.object, PRECEDENCE.sequence)})${s}${this.nested(node.body)}`;
+      case 'TryStatement': {
+        let code = `try${s}${this.statement(node.block)}`;
+        if (node.handler) {
+          const param = node.handler.param ? `${s}(${this.pattern(node.handler.param)})` : '';
+          code += `${s}catch${param}${s}${this.statement(node.handler.body)}`;
+        }
+        if (node.finalizer) code += `${s}finally${s}${this.statement(node.finalizer)}`;
+        return code;
+      }
+      case 'SwitchStatement': {
+        const head = `switch${s}(${this.expression(node.discriminant, PRECEDENCE.sequence)})${s}`;
+        return head + this.block('{', node.cases, '}', (switchCase) => {
+          const label = switchCase.test
+            ? `${joinCode(['case', ' ', this.expression(switchCase.test, PRECEDENCE.sequence)])}:`
+            : 'default:';
+          if (!switchCase.consequent.length) return label;
+          this.depth++;
+          const lines = switchCase.consequent.map(statement => this.indentation() + this.statement(statement));
+          this.depth--;
+          return this.compact ? label + lines.join('') : `${label}\n${lines.join('\n')}`;
+        });
+      }
+      case 'ImportDeclaration':
+        return this.importDeclaration(node);
+      case 'ExportNamedDeclaration': {
+        if (node.declaration) return `export ${this.statement(node.declaration)}`;
+        const specifiers = node.specifiers.map(spec => {
+          const local = this.moduleName(spec.local);
+          const exported = this.moduleName(spec.exported);
+          return local === exported ? local : `${local} as ${exported}`;
+        });
+        let code = `export${s}${this.list('{', specifiers, '}')}`;
+        if (node.source) code += `${s}from${s}${this.expression(node.source)}${this.attributes(node.attributes)}`;
+        return `${code};`;
+      }
+      case 'ExportDefaultDeclaration': {
+        const declaration = node.declaration;
+        if (declaration.type === 'FunctionDeclaration' || declaration.type === 'ClassDeclaration') {
+          return `export default ${this.statement(declaration)}`;
+        }
+        const first = leftmost(declaration);
+        const code = this.expression(declaration, PRECEDENCE.assignment);
+        const hazard = first.type === 'FunctionExpression' || first.type === 'ClassExpression';
+        return `${joinCode(['export', ' ', 'default', s, hazard ? `(${code})` : code])};`;
+      }
+      case 'ExportAllDeclaration': {
+        const exported = node.exported ? joinCode([`${s}as`, ' ', this.moduleName(node.exported)]) : '';
+        return `${joinCode([`export${s}*${exported}`, s, 'from'])}${s}${this.expression(node.source)}${this.attributes(node.attributes)};`;
+      }
+      case 'StaticBlock':
+        return `static${s}${this.body('{', node.body, '}')}`;
+      default:
+        throw new Error(`Cannot generate statement of type ${node.type}`);
+    }
+  }
+
+  declaration(node, inForHead) {
+    const declarators = node.declarations.map(declarator => {
+      const id = this.pattern(declarator.id);
+      if (!declarator.init) return id;
+      let init = this.expression(declarator.init, PRECEDENCE.assignment);
+      if (inForHead && containsIn(declarator.init)) init = `(${init})`;
+      return `${id}${this.space}=${this.space}${init}`;
+    });
+    return joinCode([node.kind, ' ', declarators.join(`,${this.space}`)]);
+  }
+
+  // `{ a, b }` with spaces inside unless compact.
+  list(open, items, close) {
+    if (!items.length) return open + close;
+    const s = this.space;
+    return `${open}${s}${items.join(`,${s}`)}${s}${close}`;
+  }
+
+  moduleName(node) {
+    return node.type === 'Literal' ? this.expression(node) : node.name;
+  }
+
+  attributes(attributes) {
+    if (!attributes || !attributes.length) return '';
+    const entries = attributes.map(attr => `${this.moduleName(attr.key)}:${this.space}${this.expression(attr.value)}`);
+    return `${this.space}with${this.space}${this.list('{', entries, '}')}`;
+  }
+
+  importDeclaration(node) {
+    const s = this.space;
+    const source = this.expression(node.source);
+    if (!node.specifiers.length) return `import${s}${source}${this.attributes(node.attributes)};`;
+    const parts = [];
+    const named = [];
+    for (const spec of node.specifiers) {
+      if (spec.type === 'ImportDefaultSpecifier') parts.push(spec.local.name);
+      else if (spec.type === 'ImportNamespaceSpecifier') parts.push(`*${s}as ${spec.local.name}`);
+      else {
+        const imported = this.moduleName(spec.imported);
+        named.push(imported === spec.local.name ? imported : `${imported} as ${spec.local.name}`);
+      }
+    }
+    if (named.length || !parts.length) parts.push(this.list('{', named, '}'));
+    return `${joinCode(['import', ' ', parts.join(`,${s}`), ' ', 'from'])}${s}${source}${this.attributes(node.attributes)};`;
+  }
+
+  params(params) {
+    return `(${params.map(param => this.pattern(param)).join(`,${this.space}`)})`;
+  }
+
+  function(node) {
+    const s = this.space;
+    const head = joinCode([
+      node.async ? 'async ' : '',
+      node.generator ? 'function*' : 'function',
+      node.id ? (node.generator ? s : ' ') + node.id.name : '',
+    ]);
+    return `${head}${this.params(node.params)}${s}${this.statement(node.body)}`;
+  }
+
+  class(node) {
+    const s = this.space;
+    let head = node.id ? `class ${node.id.name}` : 'class';
+    if (node.superClass) head = joinCode([head, ' ', 'extends', ' ', this.expression(node.superClass, PRECEDENCE.call)]);
+    return `${head}${s}${this.block('{', node.body.body, '}', member => this.classMember(member))}`;
+  }
+
+  propertyKey(node) {
+    if (node.computed) return `[${this.expression(node.key, PRECEDENCE.assignment)}]`;
+    if (node.key.type === 'PrivateIdentifier') return `#${node.key.name}`;
+    if (node.key.type === 'Identifier') return node.key.name;
+    return this.expression(node.key);
+  }
+
+  // `name(params) { body }` with its async/generator/get/set prefix.
+  method(node, kind, value) {
+    const prefix = [];
+    if (kind === 'get' || kind === 'set') prefix.push(kind, ' ');
+    if (value.async) prefix.push('async', ' ');
+    if (value.generator) prefix.push('*');
+    const key = this.propertyKey(node);
+    return `${joinCode([...prefix, key])}${this.params(value.params)}${this.space}${this.statement(value.body)}`;
+  }
+
+  classMember(node) {
+    if (node.type === 'StaticBlock') return this.statement(node);
+    const prefix = node.static ? 'static ' : '';
+    if (node.type === 'MethodDefinition') return joinCode([prefix, this.method(node, node.kind, node.value)]);
+    const key = this.propertyKey(node);
+    // A field named `get`/`set`/`static`/`async` followed by another member
+    // on the same line would otherwise be read as a modifier.
+    const value = node.value ? `${this.space}=${this.space}${this.expression(node.value, PRECEDENCE.assignment)}` : '';
+    return `${joinCode([prefix, key])}${value};`;
+  }
+
+  property(node) {
+    if (node.type === 'SpreadElement' || node.type === 'RestElement') return `...${this.patternOrExpression(node.argument)}`;
+    if (node.method || node.kind === 'get' || node.kind === 'set') return this.method(node, node.kind, node.value);
+    if (node.shorthand && node.value.type === 'Identifier' && !node.computed && node.key.name === node.value.name) {
+      return node.key.name;
+    }
+    if (node.shorthand && node.value.type === 'AssignmentPattern' && node.value.left.type === 'Identifier' && node.key.name === node.value.left.name) {
+      return this.pattern(node.value);
+    }
+    return `${this.propertyKey(node)}:${this.space}${this.patternOrExpression(node.value)}`;
+  }
+
+  patternOrExpression(node) {
+    return /Pattern$|^RestElement$/.test(node.type) ? this.pattern(node) : this.expression(node, PRECEDENCE.assignment);
+  }
+
+  pattern(node) {
+    switch (node.type) {
+      case 'ObjectPattern':
+        return this.list('{', node.properties.map(prop => this.property(prop)), '}');
+      case 'ArrayPattern':
+        return this.array(node.elements, element => this.pattern(element));
+      case 'RestElement':
+        return `...${this.pattern(node.argument)}`;
+      case 'AssignmentPattern':
+        return `${this.pattern(node.left)}${this.space}=${this.space}${this.expression(node.right, PRECEDENCE.assignment)}`;
+      default:
+        return this.expression(node, PRECEDENCE.call);
+    }
+  }
+
+  // Array elements with holes; a trailing hole needs its own comma.
+  array(elements, print) {
+    const printed = elements.map(element => (element ? print(element) : ''));
+    const trailingHole = elements.length && !elements[elements.length - 1];
+    return `[${printed.join(`,${this.space}`)}${trailingHole ? ',' : ''}]`;
+  }
+
+  arguments(args) {
+    return `(${args.map(arg => this.expression(arg, PRECEDENCE.assignment)).join(`,${this.space}`)})`;
+  }
+
+  template(node) {
+    let code = '`';
+    node.quasis.forEach((quasi, k) => {
+      code += quasi.value.raw;
+      if (k < node.expressions.length) code += `\${${this.expression(node.expressions[k], PRECEDENCE.sequence)}}`;
+    });
+    return `${code}\``;
+  }
+
+  literal(node) {
+    if (node.regex) return `/${node.regex.pattern}/${node.regex.flags}`;
+    if (node.bigint !== undefined) return `${node.bigint}n`;
+    if (node.raw !== undefined) return node.raw;
+    if (typeof node.value === 'string') return JSON.stringify(node.value);
+    return String(node.value);
+  }
+
+  // Prints an expression, parenthesized when it binds looser than
+  // `minPrecedence`.
+  expression(node, minPrecedence = PRECEDENCE.assignment) {
+    const code = this.printExpression(node);
+    return expressionPrecedence(node) < minPrecedence ? `(${code})` : code;
+  }
+
+  // Object, callee or tag position of a member access, call or tagged
+  // template: optional chains and integer literals need parentheses.
+  callTarget(node) {
+    if (node.type === 'ChainExpression') return `(${this.printExpression(node)})`;
+    if (node.type === 'Literal' && typeof node.value === 'number' && /^\d[\d_]*$/.test(this.literal(node))) {
+      return `(${this.literal(node)})`;
+    }
+    return this.expression(node, PRECEDENCE.call);
+  }
+
+  printExpression(node) {
+    const s = this.space;
+    switch (node.type) {
+      case 'Identifier':
+        return node.name;
+      case 'PrivateIdentifier':
+        return `#${node.name}`;
+      case 'Literal':
+        return this.literal(node);
+      case 'ThisExpression':
+        return 'this';
+      case 'Super':
+        return 'super';
+      case 'TemplateLiteral':
+        return this.template(node);
+      case 'TaggedTemplateExpression':
+        return this.callTarget(node.tag) + this.template(node.quasi);
+      case 'ArrayExpression':
+        return this.array(node.elements, element => this.expression(element, PRECEDENCE.assignment));
+      case 'ObjectExpression':
+        return this.list('{', node.properties.map(prop => this.property(prop)), '}');
+      case 'SpreadElement':
+        return `...${this.expression(node.argument, PRECEDENCE.assignment)}`;
+      case 'FunctionExpression':
+        return this.function(node);
+      case 'ClassExpression':
+        return this.class(node);
+      case 'ArrowFunctionExpression': {
+        const params = node.params.length === 1 && node.params[0].type === 'Identifier'
+          ? node.params[0].name
+          : this.params(node.params);
+        let body;
+        if (node.body.type === 'BlockStatement') {
+          body = this.statement(node.body);
+        } else {
+          const first = leftmost(node.body);
+          body = this.expression(node.body, PRECEDENCE.assignment);
+          if (first.type === 'ObjectExpression' && !body.startsWith('(')) body = `(${body})`;
+        }
+        const prefix = node.async ? (params[0] === '(' ? `async${s}` : 'async ') : '';
+        return `${prefix}${params}${s}=>${s}${body}`;
+      }
+      case 'SequenceExpression':
+        return node.expressions.map(expr => this.expression(expr, PRECEDENCE.assignment)).join(`,${s}`);
+      case 'AssignmentExpression':
+        return `${this.patternOrExpression(node.left)}${s}${node.operator}${s}${this.expression(node.right, PRECEDENCE.assignment)}`;
+      case 'YieldExpression': {
+        const keyword = node.delegate ? 'yield*' : 'yield';
+        if (!node.argument) return keyword;
+        return joinCode([keyword, node.delegate ? s : ' ', this.expression(node.argument, PRECEDENCE.assignment)]);
+      }
+      case 'AwaitExpression':
+        return joinCode(['await', ' ', this.expression(node.argument, PRECEDENCE.unary)]);
+      case 'ConditionalExpression':
+        return `${this.expression(node.test, PRECEDENCE.conditional + 1)}${s}?${s}` +
+          `${this.expression(node.consequent, PRECEDENCE.assignment)}${s}:${s}${this.expression(node.alternate, PRECEDENCE.assignment)}`;
+      case 'LogicalExpression':
+      case 'BinaryExpression': {
+        const precedence = expressionPrecedence(node);
+        const isPower = node.operator === '**';
+        // `??` cannot be mixed with `||`/`&&` without parentheses.
+        const mixes = (child) => child.type === 'LogicalExpression' &&
+          (node.operator === '??') !== (child.operator === '??') && LOGICAL_OPERATORS.has(node.operator);
+        let left = this.expression(node.left, isPower ? PRECEDENCE.postfix : precedence);
+        let right = this.expression(node.right, isPower ? precedence : precedence + 1);
+        if (mixes(node.left) && !left.startsWith('(')) left = `(${left})`;
+        if (mixes(node.right) && !right.startsWith('(')) right = `(${right})`;
+        const word = /^[a-z]/.test(node.operator);
+        return joinCode([left, word ? ' ' : s, node.operator, word ? ' ' : s, right]);
+      }
+      case 'UnaryExpression': {
+        const argument = this.expression(node.argument, PRECEDENCE.unary);
+        return joinCode([node.operator, /^[a-z]/.test(node.operator) ? ' ' : '', argument]);
+      }
+      case 'UpdateExpression':
+        return node.prefix
+          ? joinCode([node.operator, this.expression(node.argument, PRECEDENCE.unary)])
+          : joinCode([this.expression(node.argument, PRECEDENCE.call), node.operator]);
+      case 'MemberExpression': {
+        const object = this.callTarget(node.object);
+        const dot = node.optional ? '?.' : '';
+        if (node.computed) return `${object}${dot}[${this.expression(node.property, PRECEDENCE.sequence)}]`;
+        return `${object}${dot || '.'}${this.printExpression(node.property)}`;
+      }
+      case 'ChainExpression':
+        return this.printExpression(node.expression);
+      case 'CallExpression':
+        return `${this.callTarget(node.callee)}${node.optional ? '?.' : ''}${this.arguments(node.arguments)}`;
+      case 'NewExpression': {
+        let callee = this.expression(node.callee, PRECEDENCE.call);
+        if (hasCallInCallee(node.callee) && !callee.startsWith('(')) callee = `(${callee})`;
+        return `${joinCode(['new', ' ', callee])}${this.arguments(node.arguments)}`;
+      }
+      case 'MetaProperty':
+        return `${node.meta.name}.${node.property.name}`;
+      case 'ImportExpression': {
+        const args = node.options ? [node.source, node.options] : [node.source];
+        return `import${this.arguments(args)}`;
+      }
+      case 'ObjectPattern':
+      case 'ArrayPattern':
+      case 'AssignmentPattern':
+      case 'RestElement':
+        return this.pattern(node);
+      default:
+        throw new Error(`Cannot generate expression of type ${node.type}`);
+    }
+  }
+}
+
+export function generate(ast, options = {}) {
+  const printer = new CodePrinter(options);
+  if (ast.type === 'Program') return printer.program(ast);
+  if (/Statement$|Declaration$/.test(ast.type)) return printer.statement(ast);
+  return printer.expression(ast, PRECEDENCE.sequence);
+}
+
+// CommonJS export
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports.parse = parse;
+  module.exports.generate = generate;
+  module.exports.identifierName = identifierName;
+}
@@ -1,32 +1,367 @@
 // src/bundling.js
 // Bundler: builds dependency graph, topologically sorts, concatenates modules
 // into a CommonJS-style bundle. The dependency graph is built using the
-// tokenizer for robust import detection that handles all ES module syntax.
+// tokenizer for robust import detection that handles all ES module syntax,
+// and each module's import/export statements are rewritten into reads and
+// writes on its per-module `require`/`exports`.
+
+import {
+  tokenize,
+  findModuleSyntax,
+  significantTokens,
+  isPunctuator,
+  isWord,
+} from './parser.js';
+import { analyzeScopes } from './scope.js';
+import { ModuleResolver } from './resolver.js';
+import { MappedOutput, applyEdits, identitySegments } from './source-map.js';
+import { memoize } from './module-cache.js';
+
+// --- ES module -> CommonJS transform ---------------------------------------
+//
+// Modules are rewritten at the token level, statement by statement from the
+// import/export records of `findModuleSyntax`: import statements become
+// `require` calls, export statements are stripped down to their declarations,
+// and every exported binding is exposed through a getter on `exports` so that
+// importers observe live values (including `let` bindings that change later).
+// References to imported bindings are rewritten to property reads on the
+// required module object for the same reason.
+
+// Helpers emitted once at the top of every bundle and shared by all modules.
+const BUNDLE_RUNTIME = `
+function __export__(target, getters) {
+  for (var key in getters) {
+    Object.defineProperty(target, key, { enumerable: true, configurable: true, get: getters[key] });
+  }
+}
+function __exportStar__(target, source) {
+  Object.keys(source || {}).forEach(function (key) {
+    if (key === 'default' || Object.prototype.hasOwnProperty.call(target, key)) return;
+    Object.defineProperty(target, key, { enumerable: true, get: function () { return source[key]; } });
+  });
+}
+function __importDefault__(mod) {
+  return mod && mod.__esModule ? mod : { 'default': mod };
+}
+`.trim();
+
+// `import()` of a bundled module. In a single bundle every module has already
+// run, so its exports are ready.
+const DYNAMIC_IMPORT_RUNTIME = `
+function __import__(id) {
+  return Promise.resolve().then(function () { return __modules__[id]; });
+}
+`.trim();
+
+// Runtime of the entry chunk of a split bundle (see `Bundler.bundleChunks`).
+// The modules of all chunks register in `globalThis[<global>].modules`;
+// `__import__(id)` loads the chunks module `id` needs, in order, then
+// resolves to its exports. Chunks are loaded by `registry.load(url, file)`
+// when set (e.g. with `ModuleSystem.loadModule`), through <script> tags in
+// browsers and with `import()` elsewhere.
+function chunkRuntime(global, chunkFiles) {
+  return `
+var __minibun__ = globalThis[${quoteModuleId(global)}] || (globalThis[${quoteModuleId(global)}] = {});
+var __modules__ = __minibun__.modules || (__minibun__.modules = {});
+var __loaded__ = __minibun__.loaded || (__minibun__.loaded = {});
+var __chunks__ = ${JSON.stringify(chunkFiles)};
+var __chunkBase__ = typeof document !== 'undefined' && document.currentScript
+  ? document.currentScript.src.replace(/[^\\/]*$/, '')
+  : './';
+function __loadChunk__(file) {
+  if (!__loaded__[file]) {
+    var url = __chunkBase__ + file;
+    var loading;
+    if (__minibun__.load) {
+      loading = Promise.resolve(__minibun__.load(url, file));
+    } else if (typeof document !== 'undefined') {
+      loading = new Promise(function (resolve, reject) {
+        var script = document.createElement('script');
+        script.src = url;
+        script.onload = resolve;
+        script.onerror = function () { reject(new Error('Failed to load chunk ' + url)); };
+        document.head.appendChild(script);
+      });
+    } else {
+      loading = import(url);
+    }
+    __loaded__[file] = loading.catch(function (err) {
+      delete __loaded__[file];
+      throw err;
+    });
+  }
+  return __loaded__[file];
+}
+function __import__(id) {
+  return (__chunks__[id] || []).reduce(function (ready, file) {
+    return ready.then(function () { return __loadChunk__(file); });
+  }, Promise.resolve()).then(function () { return __modules__[id]; });
+}
+__minibun__.import = __import__;
+`.trim();
+}
+
+// Short FNV-1a hash (8 hex digits) used in chunk file names.
+function hashString(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash.toString(16).padStart(8, '0');
+}
+
+// File name of the chunk of the modules reached by the entry points in
+// `points`: named after the module for a single dynamic import, 'shared'
+// for modules several of them reach.
+function chunkFileName(points) {
+  const hash = hashString(points.join('\n'));
+  if (points.length > 1) return `shared-${hash}.js`;
+  const stem = points[0].split('/').pop().replace(/\.[^.]*$/, '').replace(/[^\w.-]+/g, '_');
+  return `${stem || 'chunk'}-${hash}.js`;
+}
+
+function quoteModuleId(id) {
+  return `'${String(id).replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+}
+
+function propertyAccess(objectName, key) {
+  return /^[A-Za-z_$][\w$]*$/.test(key)
+    ? `${objectName}.${key}`
+    : `${objectName}[${quoteModuleId(key)}]`;
+}
+
+// Rewrites ES module syntax in `code` into CommonJS that runs inside the
+// bundle's per-module wrapper (`require`, `module`, `exports`). Code without
+// any static import/export statements is returned unchanged. `resolveId`
+// maps each import specifier to the module ID passed to `require`;
+// `dynamicId` maps `import()` specifiers to the bundled module they load
+// through `__import__`, or null to leave the call alone. Returns
+// { code, segments }, the segments mapping the result back to `code` (see
+// `applyEdits`).
+function transformModuleSyntax(code, resolveId = specifier => specifier, dynamicId = () => null) {
+  const tokens = significantTokens(tokenize(code));
+  const edits = [];                // { start, end, text }
+  const consumed = new Set();      // token indices owned by import/export statements
+  const bindings = new Map();      // local import name -> replacement expression
+  const exported = [];             // { name, local } | { name, expression }
+  let moduleCounter = 0;
+
+  const nextModuleName = () => `__module${moduleCounter++}__`;
+  const consume = (from, to) => {
+    for (let k = from; k < to; k++) consumed.add(k);
+  };
+  const replaceTokens = (from, to, text) => {
+    const end = to > from ? tokens[to - 1].end : tokens[from].start;
+    edits.push({ start: tokens[from].start, end, text });
+    consume(from, to);
+  };
+
+  const { imports, exports, dynamicImports } = findModuleSyntax(tokens);
+  const isModule = imports.length > 0 || exports.length > 0;
+
+  // A hashbang is only valid on the first line of a file, not inside the
+  // module wrapper; the bundle hoists the entry's (see `Bundler#hashbang`).
+  if (tokens.length && tokens[0].type === 'hashbang') replaceTokens(0, 1, '');
+
+  for (const spec of imports) {
+    const required = `require(${quoteModuleId(resolveId(spec.source))})`;
+    if (spec.type === 'side-effect') {
+      replaceTokens(spec.start, spec.end, `${required};`);
+      continue;
+    }
+    const defaultSpec = spec.specifiers.find(s => s.kind === 'default');
+    const namespaceSpec = spec.specifiers.find(s => s.kind === 'namespace');
+    const statements = [];
+    let moduleName;
+    if (namespaceSpec) {
+      statements.push(`var ${namespaceSpec.local} = ${required};`);
+      if (defaultSpec) {
+        moduleName = nextModuleName();
+        statements.push(`var ${moduleName} = __importDefault__(${namespaceSpec.local});`);
+      }
+    } else {
+      moduleName = nextModuleName();
+      const value = defaultSpec ? `__importDefault__(${required})` : required;
+      statements.push(`var ${moduleName} = ${value};`);
+    }
+    if (defaultSpec) bindings.set(defaultSpec.local, `${moduleName}.default`);
+    for (const { kind, local, imported } of spec.specifiers) {
+      if (kind === 'named') bindings.set(local, propertyAccess(moduleName, imported));
+    }
+    replaceTokens(spec.start, spec.end, statements.join(' '));
+  }
+
+  for (const spec of exports) {
+    const { start, end, specifiers } = spec;
+    const required = spec.source === undefined ? null : `require(${quoteModuleId(resolveId(spec.source))})`;
+
+    // export * from 'x' / export * as ns from 'x'
+    if (spec.type === 'all') {
+      if (!required) continue;
+      if (specifiers.length) {
+        const moduleName = nextModuleName();
+        exported.push({ name: specifiers[0].exported, expression: moduleName });
+        replaceTokens(start, end, `var ${moduleName} = ${required};`);
+      } else {
+        replaceTokens(start, end, `__exportStar__(exports, ${required});`);
+      }
+      continue;
+    }
+
+    // export { a, b as c } from 'x'
+    if (required) {
+      const moduleName = nextModuleName();
+      const importsDefault = specifiers.some(s => s.imported === 'default');
+      const value = importsDefault ? `__importDefault__(${required})` : required;
+      for (const { imported, exported: name } of specifiers) {
+        exported.push({ name, expression: propertyAccess(moduleName, imported) });
+      }
+      replaceTokens(start, end, `var ${moduleName} = ${value};`);
+      continue;
+    }
+
+    // export { a, b as c }
+    if (isPunctuator(tokens[start + 1], '{')) {
+      for (const { local, exported: name } of specifiers) exported.push({ name, local });
+      replaceTokens(start, end, '');
+      continue;
+    }
+
+    // export default ...
+    if (spec.type === 'default') {
+      const [{ local }] = specifiers;
+      const k = start + 2;
+      if (local !== null) {
+        // A named function or class declaration.
+        exported.push({ name: 'default', local });
+        replaceTokens(start, k, '');
+      } else if (isWord(tokens[k], 'function') || (isWord(tokens[k], 'async') && isWord(tokens[k + 1], 'function'))) {
+        let p = isWord(tokens[k], 'async') ? k + 1 : k;
+        if (isPunctuator(tokens[p + 1], '*')) p++;
+        exported.push({ name: 'default', local: '__default__' });
+        replaceTokens(start, p + 1, `${code.slice(tokens[k].start, tokens[p].end)} __default__`);
+      } else if (isWord(tokens[k], 'class')) {
+        exported.push({ name: 'default', local: '__default__' });
+        replaceTokens(start, k + 1, 'class __default__');
+      } else {
+        exported.push({ name: 'default', local: '__default__' });
+        replaceTokens(start, k, 'var __default__ = ');
+      }
+      continue;
+    }
+
+    // export function/class/const/let/var ...
+    for (const { local } of specifiers) exported.push({ name: local, local });
+    replaceTokens(start, start + 1, '');
+  }
+
+  const dynamicEdits = [];
+  for (const { source, start, end } of dynamicImports) {
+    const id = source === null ? null : dynamicId(source);
+    if (id) dynamicEdits.push({ start: tokens[start].start, end: tokens[end - 1].end, text: `__import__(${quoteModuleId(id)})` });
+  }
+
+  if (!isModule) {
+    return dynamicEdits.length ? applyEdits(code, tokens, dynamicEdits) : { code, segments: identitySegments(tokens) };
+  }
+  edits.push(...dynamicEdits);
+
+  // Rewrite references to imported bindings so they are read live. Only
+  // references that resolve to the import are rewritten: parameters and
+  // local declarations of the same name keep their own.
+  if (bindings.size > 0) {
+    const { root } = analyzeScopes(tokens, { module: true });
+    for (const [local, replacement] of bindings) {
+      const binding = root.bindings.get(local);
+      if (!binding) continue;
+      for (const index of binding.references) {
+        if (consumed.has(index)) continue;
+        const tok = tokens[index];
+        const text = binding.tokens.get(index) ? `${tok.value}: ${replacement}` : replacement;
+        edits.push({ start: tok.start, end: tok.end, text });
+      }
+    }
+  }
+
+  const getters = exported.map(({ name, local, expression }) => {
+    const value = expression || bindings.get(local) || local;
+    return `${quoteModuleId(name)}: function () { return ${value}; }`;
+  });
+
+  const out = applyEdits(code, tokens, edits);
+
+  let prologue = "Object.defineProperty(exports, '__esModule', { value: true });";
+  if (getters.length) prologue += ` __export__(exports, { ${getters.join(', ')} });`;
+  prologue += '\n';
+  return {
+    code: prologue + out.code,
+    segments: out.segments.map(segment => ({ ...segment, generated: segment.generated + prologue.length })),
+  };
+}
 
-import { tokenize, findModuleSyntax } from './parser.js';
 
 export class Bundler {
-  constructor(moduleMap) {
+  constructor(moduleMap, options = {}) {
     this.moduleMap = moduleMap instanceof Map ? moduleMap : new Map(Object.entries(moduleMap));
+    this.resolver = new ModuleResolver(this.moduleMap, options);
     this.graph = new Map(); // module -> Set<dependency>
+    this.dynamicGraph = new Map(); // module -> Set<module loaded with import()>
+    this.resolvedImports = new Map(); // module -> Map<specifier, moduleId | null>
+    this.diagnostics = []; // unresolved specifiers reported by the resolver
+    // Optional ModuleCache: import lists and transformed modules are reused
+    // while a module's code (and, for transforms, its resolutions) is unchanged.
+    this.cache = options.cache || null;
+    // With `sourceMap: true`, `bundle` records a map in `this.sourceMap` whose
+    // sources are the module IDs.
+    this.generateSourceMap = options.sourceMap === true;
+    this.sourceMap = null;
+    // `bundleChunks`: the entry chunk's file name, and the global holding the
+    // module registry shared by the chunks.
+    this.entryFileName = options.entryFileName || 'main.js';
+    this.runtimeGlobal = options.runtimeGlobal || '__minibun__';
   }
 
-  extractImports(code) {
+  extractImports(code, name) {
     const deps = new Set();
-    const tokens = tokenize(code);
-    const { imports } = findModuleSyntax(tokens);
-    for (const imp of imports) {
-      if (imp.source) {
-        deps.add(imp.source);
+    const dynamicDeps = new Set();
+    const resolved = new Map();
+    const { sources, dynamicSources } = memoize(this.cache, name, code, 'module-syntax', () => {
+      const { imports, exports, dynamicImports } = findModuleSyntax(tokenize(code));
+      return {
+        // Re-exports (`export * from`, `export { a } from`) are dependencies too.
+        sources: [...imports, ...exports].map(spec => spec.source).filter(Boolean),
+        dynamicSources: dynamicImports.map(spec => spec.source).filter(Boolean),
+      };
+    });
+    const resolve = (source) => {
+      if (!resolved.has(source)) {
+        resolved.set(source, this.resolver.resolve(source, name));
       }
-    }
+      return resolved.get(source);
+    };
+    // Unresolved specifiers stay in the graph as-is (external modules).
+    for (const source of sources) deps.add(resolve(source) || source);
+    for (const source of dynamicSources) dynamicDeps.add(resolve(source) || source);
+    this.resolvedImports.set(name, resolved);
+    this.dynamicGraph.set(name, dynamicDeps);
     return deps;
   }
 
   buildDependencyGraph() {
+    this.resolver.diagnostics = [];
     for (const [name, code] of this.moduleMap.entries()) {
-      this.graph.set(name, this.extractImports(code));
+      this.graph.set(name, this.extractImports(code, name));
+    }
+    this.diagnostics = this.resolver.diagnostics;
+  }
+
+  // Whether any module loads a bundled module with `import()`.
+  hasDynamicImports() {
+    for (const deps of this.dynamicGraph.values()) {
+      for (const dep of deps) if (this.moduleMap.has(dep)) return true;
     }
+    return false;
   }
 
   detectCircularDependencies() {
@@ -96,25 +431,67 @@ export class Bundler {
     return order;
   }
 
-  wrapModule(name, code) {
-    // We emit a CommonJS-compatible wrapper. The module body is left as-is;
-    // ES module syntax should have been compiled away by the toolchain that
-    // feeds this bundler. For safety, we still isolate scope and expose a
-    // per-module `require`, `module`, and `exports`.
-    return `
-/* Module: ${name} */
+  transformModule(code, name) {
+    return this.transformModuleWithMap(code, name).code;
+  }
+
+  // Like `transformModule`, plus the segments mapping the result back to `code`.
+  transformModuleWithMap(code, name) {
+    const resolved = this.resolvedImports.get(name) || new Map();
+    const key = `transform:${JSON.stringify([...resolved])}`;
+    return memoize(this.cache, name, code, key, () => transformModuleSyntax(
+      code,
+      specifier => resolved.get(specifier) || specifier,
+      specifier => resolved.get(specifier) || null,
+    ));
+  }
+
+  // The text emitted before and after a module's transformed code.
+  moduleWrapper(name) {
+    // We emit a CommonJS-compatible wrapper around code that has already been
+    // through `transformModule`. The exports object is registered before the
+    // body runs so that circular imports see the (live) bindings defined so
+    // far instead of `undefined`.
+    const head = `/* Module: ${name} */
 (function (modules, moduleName) {
   var module = { exports: {} };
   var exports = module.exports;
+  modules[moduleName] = exports;
   (function (require, module, exports) {
-${code}
+`;
+    const tail = `
   })(function (id) { return modules[id]; }, module, exports);
   modules[moduleName] = module.exports;
-})(__modules__, '${name}');
-`.trim();
+})(__modules__, '${name}');`;
+    return { head, tail };
   }
 
-  bundle(entryModule) {
+  wrapModule(name, code) {
+    const { head, tail } = this.moduleWrapper(name);
+    return head + code + tail;
+  }
+
+  // Appends the wrapped, transformed modules `names` to `output`.
+  appendModules(output, names) {
+    for (const name of names) {
+      const original = this.moduleMap.get(name);
+      const { code, segments } = this.transformModuleWithMap(original, name);
+      const { head, tail } = this.moduleWrapper(name);
+      output
+        .append(`\n\n${head}`)
+        .appendMapped(code, output.addSource(name, original), segments)
+        .append(tail);
+    }
+  }
+
+  // The first line of a bundle whose entry starts with a hashbang (`#!...`).
+  hashbang(entry) {
+    const match = /^#!.*/.exec(this.moduleMap.get(entry) || '');
+    return match ? `${match[0]}\n` : '';
+  }
+
+  // Builds the graph and returns the resolved entry with the module order.
+  prepare(entryModule) {
     this.buildDependencyGraph();
     const cycles = this.detectCircularDependencies();
     if (cycles.length) {
@@ -122,18 +499,116 @@ ${code}
       // eslint-disable-next-line no-console
       console.warn('Circular dependencies detected:', cycles);
     }
+    const entry = this.resolver.resolveEntry(entryModule);
+    return { entry, order: this.topologicalSort(entry) };
+  }
 
-    const order = this.topologicalSort(entryModule);
-    const parts = [];
+  bundle(entryModule) {
+    const { entry, order } = this.prepare(entryModule);
+    const output = new MappedOutput();
+
+    output.append(this.hashbang(entry));
+    output.append('var __modules__ = {};\n\n');
+    output.append(BUNDLE_RUNTIME);
+    if (this.hasDynamicImports()) output.append(`\n${DYNAMIC_IMPORT_RUNTIME}`);
+    this.appendModules(output, order);
+    output.append(`\n\nvar __entry__ = __modules__['${entry}'];`);
+
+    this.sourceMap = this.generateSourceMap ? output.toSourceMap() : null;
+    return output.code;
+  }
 
-    parts.push('var __modules__ = {};');
+  // Groups the modules into chunks by the entry points reaching them through
+  // static imports: the entry, and every module loaded with `import()`.
+  // Returns Map<moduleId, entry points> (an empty list for the entry chunk,
+  // which also gets the modules no entry point reaches).
+  assignChunks(entry) {
+    const reachedBy = new Map(); // module -> Set<entry point>
+    const entryPoints = [entry];
+    for (let k = 0; k < entryPoints.length; k++) {
+      const point = entryPoints[k];
+      const seen = new Set([point]);
+      const stack = [point];
+      while (stack.length) {
+        const mod = stack.pop();
+        if (!this.moduleMap.has(mod)) continue;
+        if (!reachedBy.has(mod)) reachedBy.set(mod, new Set());
+        reachedBy.get(mod).add(point);
+        for (const dep of this.graph.get(mod) || []) {
+          if (!seen.has(dep)) {
+            seen.add(dep);
+            stack.push(dep);
+          }
+        }
+        for (const target of this.dynamicGraph.get(mod) || []) {
+          if (this.moduleMap.has(target) && !entryPoints.includes(target)) entryPoints.push(target);
+        }
+      }
+    }
+    const chunkOf = new Map();
+    for (const mod of this.moduleMap.keys()) {
+      const points = reachedBy.get(mod);
+      chunkOf.set(mod, !points || points.has(entry) ? [] : [...points].sort());
+    }
+    return chunkOf;
+  }
+
+  /**
+   * Code splitting: like `bundle`, but every module loaded with `import()`
+   * starts a chunk of its own, and modules reached from several of them go
+   * into shared chunks. Returns { chunks, manifest }: the chunks are
+   * { fileName, code, map, isEntry, modules }, the entry chunk (named
+   * `entryFileName`) first, and the manifest lists the `chunks` by file name
+   * and, for each dynamically imported module, the chunk files to load
+   * for it (`dynamicImports`), in order.
+   */
+  bundleChunks(entryModule) {
+    const { entry, order } = this.prepare(entryModule);
+    const chunkOf = this.assignChunks(entry);
+
+    const groups = new Map([['', { fileName: this.entryFileName, points: [], modules: [] }]]);
     for (const name of order) {
-      const code = this.moduleMap.get(name);
-      parts.push(this.wrapModule(name, code));
+      const points = chunkOf.get(name);
+      const key = points.join('\n');
+      if (!groups.has(key)) groups.set(key, { fileName: chunkFileName(points), points, modules: [] });
+      groups.get(key).modules.push(name);
+    }
+
+    // Chunks reached from more entry points hold dependencies of the ones
+    // reached from fewer, so they load first.
+    const dynamicImports = {};
+    const lazy = [...groups.values()].filter(group => group.points.length);
+    for (const target of new Set(lazy.flatMap(group => group.points))) {
+      dynamicImports[target] = lazy
+        .filter(group => group.points.includes(target))
+        .sort((a, b) => b.points.length - a.points.length)
+        .map(group => group.fileName);
     }
-    parts.push(`var __entry__ = __modules__['${entryModule}'];`);
 
-    return parts.join('\n\n');
+    const registry = `globalThis[${quoteModuleId(this.runtimeGlobal)}]`;
+    const chunks = [...groups.values()].map(({ fileName, points, modules }) => {
+      const isEntry = points.length === 0;
+      const output = new MappedOutput();
+      if (isEntry) {
+        output.append(`${this.hashbang(entry)}${chunkRuntime(this.runtimeGlobal, dynamicImports)}\n${BUNDLE_RUNTIME}`);
+        this.appendModules(output, modules);
+        output.append(`\n\nvar __entry__ = __modules__['${entry}'];`);
+      } else {
+        output.append(`/* Chunk: ${fileName} */\n(function (__modules__, __import__) {\n${BUNDLE_RUNTIME}`);
+        this.appendModules(output, modules);
+        output.append(`\n})(${registry}.modules, ${registry}.import);`);
+      }
+      const map = this.generateSourceMap ? output.toSourceMap() : null;
+      return { fileName, code: output.code, map, isEntry, modules };
+    });
+
+    const manifest = {
+      entry: this.entryFileName,
+      chunks: Object.fromEntries(chunks.map(({ fileName, isEntry, modules }) => [fileName, { isEntry, modules }])),
+      dynamicImports,
+    };
+    this.sourceMap = chunks[0].map;
+    return { chunks, manifest };
   }
 }
 
@@ -0,0 +1,283 @@
+// src/cli.js
+// The `minibun` command line (see bin/minibun.js).
+//
+//   minibun [build] [--config file] [--entry id] [--modules-dir dir] [--output file]
+//           [--tree-shake] [--minify] [--obfuscate] [--source-map]
+//           [--split-chunks] [--cache-dir dir] ...
+//   minibun minify [file] [--output file] [--mangle] [--shorten-numbers]
+//   minibun obfuscate [file] [--output file] [--rename] [--flatten] [--string-array]
+//   minibun graph [--config file] [--json]
+//
+// `build` and `graph` read `minibun.config.json` from the working directory
+// (or the file given with `--config`); flags override its settings. The
+// single-file commands read stdin when no file (or `-`) is given and write
+// to stdout unless `--output` is set. Failures, including builds with error
+// diagnostics such as an unresolved entry, are reported on stderr and make
+// `main` resolve to a non-zero exit code.
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { parseArgs } from 'node:util';
+
+import { Pipeline } from './pipeline.js';
+import { Minifier } from './minification.js';
+import { Obfuscator } from './obfuscation.js';
+
+const USAGE = `Usage: minibun <command> [options]
+
+Commands:
+  build [options]        Run the pipeline of minibun.config.json (default)
+  minify [file]          Minify a file, or stdin
+  obfuscate [file]       Obfuscate a file, or stdin
+  graph                  Print the module dependency graph
+
+Build and graph options:
+  --config <file>        Config file (default: ./minibun.config.json)
+  --entry <id>           Entry module, relative to the modules directory
+  --modules-dir <dir>    Directory of the modules
+  --output <file>        Output file
+  --tree-shake, --no-tree-shake
+  --minify, --no-minify
+  --obfuscate, --no-obfuscate
+                         Turn a pipeline step on or off
+  --split-chunks         Put import()ed modules into chunks loaded on demand
+  --source-map           Write <output>.map next to the output
+  --node-resolve         Resolve bare imports from node_modules
+  --cache-dir <dir>      Keep analysis results in <dir> for later builds
+  --json                 Print the graph as JSON
+
+Single-file options:
+  --output <file>        Write to a file instead of stdout
+  --mangle               minify: rename local bindings
+  --shorten-numbers      minify: rewrite number literals in their shortest form
+  --rename               obfuscate: rename identifiers
+  --flatten              obfuscate: flatten control flow
+  --string-array         obfuscate: move strings into an encoded array
+
+  -h, --help             Show this help
+`;
+
+const OPTIONS = {
+  config: { type: 'string' },
+  entry: { type: 'string' },
+  'modules-dir': { type: 'string' },
+  output: { type: 'string', short: 'o' },
+  'tree-shake': { type: 'boolean' },
+  'no-tree-shake': { type: 'boolean' },
+  minify: { type: 'boolean' },
+  'no-minify': { type: 'boolean' },
+  obfuscate: { type: 'boolean' },
+  'no-obfuscate': { type: 'boolean' },
+  'split-chunks': { type: 'boolean' },
+  'source-map': { type: 'boolean' },
+  'node-resolve': { type: 'boolean' },
+  'cache-dir': { type: 'string' },
+  json: { type: 'boolean' },
+  mangle: { type: 'boolean' },
+  'shorten-numbers': { type: 'boolean' },
+  rename: { type: 'boolean' },
+  flatten: { type: 'boolean' },
+  'string-array': { type: 'boolean' },
+  help: { type: 'boolean', short: 'h' },
+};
+
+// Config keys of the pipeline steps that flags can turn on and off.
+const STEP_FLAGS = {
+  'tree-shake': 'treeShake',
+  minify: 'minify',
+  obfuscate: 'obfuscate',
+};
+
+const COMMANDS = new Set(['build', 'minify', 'obfuscate', 'graph']);
+
+// Raised for errors in the command line itself; reported with the usage.
+class UsageError extends Error {}
+
+async function readStream(stream) {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(typeof chunk === 'string' ? Buffer.from(chunk) : chunk);
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+// Plugin paths in the config are relative to it; package names stay as-is.
+function resolvePluginSpec(spec, configDir) {
+  const [specifier, ...rest] = Array.isArray(spec) ? spec : [spec];
+  if (typeof specifier !== 'string') throw new Error('Config "plugins" entries must name a module');
+  const resolved = /^\.\.?[\\/]/.test(specifier) ? path.resolve(configDir, specifier) : specifier;
+  return Array.isArray(spec) ? [resolved, ...rest] : resolved;
+}
+
+// Loads the config file and applies the flags on top of it. Paths from the
+// file are relative to the file, paths from flags to the working directory.
+async function loadConfig(values, cwd) {
+  const configPath = path.resolve(cwd, values.config || 'minibun.config.json');
+  let config = {};
+  try {
+    config = JSON.parse(await fs.readFile(configPath, 'utf8'));
+  } catch (err) {
+    if (err.code !== 'ENOENT' || values.config) {
+      const reason = err.code === 'ENOENT' ? 'file not found' : err.message;
+      throw new Error(`Cannot read config ${path.relative(cwd, configPath) || configPath}: ${reason}`);
+    }
+  }
+  const configDir = path.dirname(configPath);
+  const resolved = {
+    ...config,
+    modulesDir: path.resolve(configDir, config.modulesDir || './src'),
+    output: path.resolve(configDir, config.output || './dist/minibun.js'),
+    pipeline: { ...config.pipeline },
+  };
+  if (config.cacheDir) resolved.cacheDir = path.resolve(configDir, config.cacheDir);
+  if (Array.isArray(config.plugins)) {
+    resolved.plugins = config.plugins.map(spec => resolvePluginSpec(spec, configDir));
+  }
+
+  if (values.entry) resolved.entry = values.entry;
+  if (values['modules-dir']) resolved.modulesDir = path.resolve(cwd, values['modules-dir']);
+  if (values.output) resolved.output = path.resolve(cwd, values.output);
+  if (values['source-map']) resolved.sourceMap = true;
+  if (values['node-resolve']) resolved.nodeResolve = true;
+  if (values['cache-dir']) resolved.cacheDir = path.resolve(cwd, values['cache-dir']);
+  for (const [flag, key] of Object.entries(STEP_FLAGS)) {
+    if (values[flag] && values[`no-${flag}`]) throw new UsageError(`--${flag} and --no-${flag} cannot be combined`);
+    // Keep step options from the config when the flag only turns it on.
+    if (values[flag] && !resolved.pipeline[key]) resolved.pipeline[key] = true;
+    if (values[`no-${flag}`]) resolved.pipeline[key] = false;
+  }
+  if (values['split-chunks'] && resolved.pipeline.bundle !== false) {
+    const { bundle } = resolved.pipeline;
+    resolved.pipeline.bundle = { ...(typeof bundle === 'object' ? bundle : {}), splitChunks: true };
+  }
+  return resolved;
+}
+
+async function build(values, io) {
+  const config = await loadConfig(values, io.cwd);
+  // Without the bundle step the pipeline's result is a module map, which
+  // has no file to be written to.
+  if (config.pipeline.bundle === false) throw new Error('Config "pipeline.bundle" cannot be false for build');
+  const pipeline = Pipeline.fromJSON(config);
+  const output = await pipeline.run();
+  for (const diagnostic of pipeline.diagnostics) {
+    if (diagnostic.severity !== 'error') io.stderr.write(`warning: ${diagnostic.message}\n`);
+  }
+  // Error diagnostics (an unresolved entry, or a plugin's error) fail the
+  // build. Steps sharing a resolver can report the same one, hence the Set.
+  const errors = new Set(pipeline.diagnostics.filter(d => d.severity === 'error').map(d => d.message));
+  if (errors.size) throw new Error(`Build failed: ${[...errors].join('; ')}`);
+  if (output && output.chunks) {
+    // Split output: the manifest of the chunks written next to the output.
+    const outputDir = path.dirname(pipeline.outputFile);
+    for (const fileName of Object.keys(output.chunks)) {
+      const { size } = await fs.stat(path.join(outputDir, fileName));
+      io.stdout.write(`Wrote ${path.relative(io.cwd, path.join(outputDir, fileName))} (${size} bytes)\n`);
+    }
+  } else {
+    const size = Buffer.byteLength(String(output));
+    io.stdout.write(`Wrote ${path.relative(io.cwd, pipeline.outputFile)} (${size} bytes)\n`);
+  }
+  if (pipeline.cacheStats) {
+    const { hits, misses } = pipeline.cacheStats;
+    io.stdout.write(`Cache: ${hits} ${hits === 1 ? 'hit' : 'hits'}, ${misses} ${misses === 1 ? 'miss' : 'misses'}\n`);
+  }
+}
+
+async function graph(values, io) {
+  const config = await loadConfig(values, io.cwd);
+  const pipeline = Pipeline.fromJSON(config);
+  const { graph: modules, cycles, diagnostics } = await pipeline.dependencyGraph();
+  if (values.json) {
+    const json = {
+      modules: Object.fromEntries([...modules].map(([id, deps]) => [id, [...deps]])),
+      cycles,
+      diagnostics: diagnostics.map(({ message }) => message),
+    };
+    io.stdout.write(`${JSON.stringify(json, null, 2)}\n`);
+    return;
+  }
+  for (const [id, deps] of modules) {
+    io.stdout.write(`${id}\n`);
+    for (const dep of deps) io.stdout.write(`  -> ${dep}\n`);
+  }
+  for (const id of cycles) io.stderr.write(`warning: circular dependency through ${id}\n`);
+  for (const diagnostic of diagnostics) io.stderr.write(`warning: ${diagnostic.message}\n`);
+}
+
+// `minify` and `obfuscate`: one file (or stdin) to one file (or stdout).
+async function transformFile(command, file, values, io) {
+  const fromStdin = !file || file === '-';
+  const code = fromStdin ? await readStream(io.stdin) : await fs.readFile(path.resolve(io.cwd, file), 'utf8');
+  const sourceFile = fromStdin ? 'stdin.js' : path.basename(file);
+  let output;
+  if (command === 'minify') {
+    output = new Minifier({
+      sourceFile,
+      mangle: !!values.mangle,
+      shortenNumbers: !!values['shorten-numbers'],
+    }).minify(code);
+  } else {
+    output = new Obfuscator({
+      sourceFile,
+      renameIdentifiers: !!values.rename,
+      flattenIfs: !!values.flatten,
+      stringArray: !!values['string-array'],
+    }).obfuscate(code);
+  }
+  if (values.output && values.output !== '-') {
+    const outPath = path.resolve(io.cwd, values.output);
+    await fs.mkdir(path.dirname(outPath), { recursive: true });
+    await fs.writeFile(outPath, output, 'utf8');
+  } else {
+    io.stdout.write(output.endsWith('\n') ? output : `${output}\n`);
+  }
+}
+
+/**
+ * Runs the command line `argv` (without the node and script paths) and
+ * resolves to the process exit code: 0 on success, 1 when the command
+ * failed and 2 for an invalid command line. `io` replaces `process` for
+ * `cwd`, `stdin`, `stdout` and `stderr`.
+ */
+export async function main(argv, io = {}) {
+  const streams = {
+    cwd: io.cwd || process.cwd(),
+    stdin: io.stdin || process.stdin,
+    stdout: io.stdout || process.stdout,
+    stderr: io.stderr || process.stderr,
+  };
+  try {
+    let parsed;
+    try {
+      parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true, strict: true });
+    } catch (err) {
+      throw new UsageError(err.message);
+    }
+    const { values, positionals } = parsed;
+    if (values.help) {
+      streams.stdout.write(USAGE);
+      return 0;
+    }
+    const [command = 'build', ...operands] = positionals;
+    if (!COMMANDS.has(command)) throw new UsageError(`Unknown command: ${command}`);
+    const maxOperands = command === 'minify' || command === 'obfuscate' ? 1 : 0;
+    if (operands.length > maxOperands) throw new UsageError(`Unexpected argument: ${operands[maxOperands]}`);
+
+    if (command === 'build') await build(values, streams);
+    else if (command === 'graph') await graph(values, streams);
+    else await transformFile(command, operands[0], values, streams);
+    return 0;
+  } catch (err) {
+    if (err instanceof UsageError) {
+      streams.stderr.write(`minibun: ${err.message}\n\n${USAGE}`);
+      return 2;
+    }
+    const message = err.code === 'ENOENT' && err.path ? `No such file: ${err.path}` : err.message;
+    streams.stderr.write(`minibun: ${message}\n`);
+    return 1;
+  }
+}
+
+// CommonJS export
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports.main = main;
+}
@@ -6,6 +6,8 @@ export { Bundler } from './bundling.js';
 export { ModuleSystem } from './modules.js';
 export { Obfuscator } from './obfuscation.js';
 export { Pipeline } from './pipeline.js';
+export { parse, generate } from './ast.js';
+export { ModuleCache } from './module-cache.js';
 
 // CommonJS fallback
 if (typeof module !== 'undefined' && module.exports) {
@@ -16,6 +18,9 @@ if (typeof module !== 'undefined' && module.exports) {
     ModuleSystem: require('./modules.js').ModuleSystem,
     Obfuscator: require('./obfuscation.js').Obfuscator,
     Pipeline: require('./pipeline.js').Pipeline,
+    parse: require('./ast.js').parse,
+    generate: require('./ast.js').generate,
+    ModuleCache: require('./module-cache.js').ModuleCache,
   };
   module.exports = exported;
 }
\ No newline at end of file
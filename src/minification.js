@@ -1,84 +1,127 @@
 // src/minification.js
 // Token-based minifier: removes comments, collapses whitespace, and applies
-// small boolean/null shortening while preserving strings, templates, and
+// small boolean/null (and, optionally, number) shortening while preserving strings, templates, and
 // regex literals. This avoids the most common syntax traps of purely
-// regex-based approaches.
+// regex-based approaches. Line breaks that automatic semicolon insertion
+// relies on are kept, so code written without semicolons stays intact.
+// With `mangle: true`, local bindings are renamed to short names using the
+// scope analysis in src/scope.js; globals, property names, exported names and
+// scopes containing `eval`/`with` are left alone.
 
-import { tokenize } from './parser.js';
+import { tokenize, significantTokens, isPunctuator, isLineBreakSignificant } from './parser.js';
+import { MappedOutput, identitySegments } from './source-map.js';
+import { analyzeScopes, assignNames, renamedTokens } from './scope.js';
+
+const WORD_CHAR = /[\p{ID_Continue}$\u200c\u200d\\]/u;
+
+// Boolean shortening: `true` -> `!0`, `false` -> `!1` (not as property names).
+function shortenToken(tokens, index) {
+  const tok = tokens[index];
+  if (tok.type !== 'identifier' || (tok.value !== 'true' && tok.value !== 'false')) return tok.value;
+  const prev = tokens[index - 1];
+  if (isPunctuator(prev, '.') || isPunctuator(prev, '?.')) return tok.value;
+  const isKey = (isPunctuator(prev, '{') || isPunctuator(prev, ',')) && isPunctuator(tokens[index + 1], ':');
+  if (isKey) return tok.value;
+  return tok.value === 'true' ? '!0' : '!1';
+}
+
+// Shortest spelling of a number literal with the same value (`1000000` ->
+// `1e6`, `0.50` -> `.5`, `0xff` -> `255`, `0.0005` -> `5e-4`). BigInts only
+// lose their `_` separators; legacy octal literals are kept as written.
+function shortenNumber(tok) {
+  if (tok.legacyOctal) return tok.value;
+  const plain = tok.value.replace(/_/g, '');
+  if (plain.endsWith('n')) return plain;
+  const value = Number(plain);
+  if (!Number.isFinite(value)) return tok.value;
+
+  const decimal = String(value).replace('e+', 'e');
+  const candidates = [plain, decimal.replace(/^0\./, '.')];
+  const zeros = /^(\d+?)(0{3,})$/.exec(decimal);
+  if (zeros) candidates.push(`${zeros[1]}e${zeros[2].length}`);
+  const fraction = /^0\.(0+)(\d+)$/.exec(decimal);
+  if (fraction) candidates.push(`${fraction[2]}e-${fraction[1].length + fraction[2].length}`);
+  return candidates
+    .filter(candidate => Number(candidate) === value)
+    .reduce((best, candidate) => (candidate.length < best.length ? candidate : best));
+}
+
+// What has to stay between two tokens once the whitespace between them is
+// removed: a newline after a hashbang or where automatic semicolon insertion
+// depends on it, a space where the texts would merge into different tokens
+// (`a b`, `a + +b`, `x - -1`, `1 .toString()`, `a / /re/`), or nothing.
+function separator(prev, prevText, next, nextText) {
+  if (prev.type === 'hashbang') return '\n';
+  if (next.lineBreakBefore && isLineBreakSignificant(prev, next)) return '\n';
+  const last = prevText[prevText.length - 1];
+  const first = nextText[0];
+  if (WORD_CHAR.test(last) && WORD_CHAR.test(first)) return ' ';
+  if ((last === '+' || last === '-') && first === last) return ' ';
+  if (last === '/' && (first === '/' || first === '*')) return ' ';
+  if (prev.type === 'number' && /^[\d_]+$/.test(prevText) && first === '.') return ' ';
+  return '';
+}
 
 export class Minifier {
   constructor(options = {}) {
     this.options = {
       keepComments: false,
+      // Record a source map of the last `minify` call in `this.sourceMap`.
+      sourceMap: false,
+      sourceFile: 'input.js', // name of the input in the source map
+      // Rename local bindings and parameters to the shortest free names.
+      mangle: false,
+      reserved: [], // names the mangler must neither rename nor introduce
+      // Rewrite number literals in their shortest form (`1000000` -> `1e6`).
+      shortenNumbers: false,
       ...options,
     };
+    this.sourceMap = null;
   }
 
   minify(code) {
     const source = String(code);
-    if (source.trim() === '') return '';
+    const output = new MappedOutput();
+    const sourceIndex = output.addSource(this.options.sourceFile, source);
+    const finish = (result) => {
+      this.sourceMap = this.options.sourceMap ? output.toSourceMap() : null;
+      return result;
+    };
+    if (source.trim() === '') return finish('');
 
     // Preserve original behaviour: when keeping comments we also preserve
     // original formatting and avoid rewrites.
     if (this.options.keepComments) {
-      return source;
+      output.appendMapped(source, sourceIndex, identitySegments(tokenize(source)));
+      return finish(source);
     }
 
-    const tokens = tokenize(source);
+    // Comments and whitespace are dropped here; `lineBreakBefore` remembers
+    // where line terminators were so ASI-relevant ones can be restored.
+    const tokens = significantTokens(tokenize(source));
+    const renamed = this.options.mangle ? this.mangle(tokens) : new Map();
+    let prev = null;
+    let prevText = '';
 
-    // 1) Drop comments and perform boolean/null shortening at token level.
-    const transformed = [];
-    for (const t of tokens) {
-      if (t.type === 'comment') continue;
-
-      if (t.type === 'identifier' || t.type === 'keyword') {
-        if (t.value === 'true') {
-          transformed.push({ ...t, type: 'code', value: '!0' });
-          continue;
-        }
-        if (t.value === 'false') {
-          transformed.push({ ...t, type: 'code', value: '!1' });
-          continue;
-        }
-      }
-
-      transformed.push(t);
+    for (let i = 0; i < tokens.length; i++) {
+      const tok = tokens[i];
+      if (tok.type === 'eof') break;
+      const text = renamed.get(i) ??
+        (tok.type === 'number' && this.options.shortenNumbers ? shortenNumber(tok) : shortenToken(tokens, i));
+      if (prev) output.append(separator(prev, prevText, tok, text));
+      output.append(text, sourceIndex, tok.start, tok.type === 'identifier' ? tok.value : null);
+      prev = tok;
+      prevText = text;
     }
 
-    // 2) Collapse whitespace safely: keep at most a single space only where
-    // needed to separate two word-like tokens (identifiers/keywords/numbers)
-    // so they don't merge into a different identifier.
-    function isWordLike(tok) {
-      return tok && (tok.type === 'identifier' || tok.type === 'keyword' || tok.type === 'number');
-    }
-
-    let out = '';
-    let prevSignificant = null;
-
-    for (let i = 0; i < transformed.length; i++) {
-      const tok = transformed[i];
-      if (tok.type === 'whitespace') {
-        // Look ahead to the next non-whitespace token.
-        let j = i + 1;
-        let next = transformed[j];
-        while (next && next.type === 'whitespace') {
-          j += 1;
-          next = transformed[j];
-        }
-
-        if (isWordLike(prevSignificant) && isWordLike(next)) {
-          out += ' ';
-        }
-        continue;
-      }
-
-      out += tok.value;
-      if (tok.type !== 'whitespace' && tok.type !== 'comment') {
-        prevSignificant = tok;
-      }
-    }
+    return finish(output.code);
+  }
 
-    return out.trim();
+  // Returns Map<tokenIndex, replacementText> for the local bindings in
+  // `tokens` (significant tokens).
+  mangle(tokens) {
+    const analysis = analyzeScopes(tokens);
+    return renamedTokens(assignNames(analysis, { reserved: this.options.reserved }));
   }
 }
 
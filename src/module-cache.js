@@ -0,0 +1,123 @@
+// src/module-cache.js
+// Per-module memo of analysis results, shared by the pipeline stages so that
+// a rebuild only re-tokenizes and re-analyzes the modules that changed.
+//
+// Results are keyed by module ID and by a string naming the stage and the
+// options they depend on (`'shake:pure'`, `'transform:<resolutions>'`), and
+// remember the source they were computed from: a lookup with different code
+// recomputes. Stages may see different code for the same module (the
+// bundler sees the tree shaker's output), so each key keeps its own.
+//
+// With a `dir`, results also persist across processes: one JSON file per
+// module source, named after a hash of the source and the Minibun version,
+// holds the results for every key. `load(codes)` reads the files of the
+// given sources ahead of the (synchronous) lookups and `save()` writes the
+// new results back. A stage passes a `codec` ({ encode, decode }) when its
+// result is not plain JSON.
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { createHash } from 'node:crypto';
+
+let versionPromise = null;
+
+// The version in package.json; part of every hash, so upgrading Minibun
+// starts from an empty cache.
+function minibunVersion() {
+  if (!versionPromise) {
+    versionPromise = fs.readFile(new URL('../package.json', import.meta.url), 'utf8')
+      .then(text => JSON.parse(text).version)
+      .catch(() => 'unknown');
+  }
+  return versionPromise;
+}
+
+export class ModuleCache {
+  constructor(options = {}) {
+    this.entries = new Map(); // moduleId -> Map<key, { code, value }>
+    this.hits = 0;
+    this.misses = 0;
+    this.dir = options.dir || null;
+    this.version = null; // set by `load`
+    this.stored = new Map(); // source hash -> { key: encoded result }, read from `dir`
+    this.unsaved = new Set(); // source hashes with results not written yet
+  }
+
+  // The result of `compute()` for module `id` with source `code`, computed
+  // once per `key` while the code stays the same.
+  get(id, code, key, compute, codec = null) {
+    if (!this.entries.has(id)) this.entries.set(id, new Map());
+    const results = this.entries.get(id);
+    const cached = results.get(key);
+    if (cached && cached.code === code) {
+      this.hits++;
+      return cached.value;
+    }
+
+    const hash = this.version !== null ? this.hash(code) : null;
+    const stored = hash !== null ? this.stored.get(hash) : undefined;
+    let value;
+    if (stored && Object.prototype.hasOwnProperty.call(stored, key)) {
+      this.hits++;
+      value = codec ? codec.decode(stored[key], code) : stored[key];
+    } else {
+      this.misses++;
+      value = compute();
+      if (hash !== null) {
+        // Encoded right away: stages may go on to modify the value.
+        if (!stored) this.stored.set(hash, {});
+        this.stored.get(hash)[key] = codec ? codec.encode(value) : value;
+        this.unsaved.add(hash);
+      }
+    }
+    results.set(key, { code, value });
+    return value;
+  }
+
+  invalidate(id) {
+    this.entries.delete(id);
+  }
+
+  hash(code) {
+    return createHash('sha256').update(`${this.version}\0${code}`).digest('hex');
+  }
+
+  // Reads the stored results of the sources `codes` from `dir`. Missing or
+  // unreadable files are cache misses.
+  async load(codes) {
+    if (!this.dir) return;
+    if (this.version === null) this.version = await minibunVersion();
+    await Promise.all([...codes].map(async (code) => {
+      const hash = this.hash(code);
+      if (this.stored.has(hash)) return;
+      this.stored.set(hash, {});
+      try {
+        const results = JSON.parse(await fs.readFile(path.join(this.dir, `${hash}.json`), 'utf8'));
+        this.stored.set(hash, { ...results, ...this.stored.get(hash) });
+      } catch {
+        // Not cached yet (or not valid JSON): computed and written again.
+      }
+    }));
+  }
+
+  // Writes the results computed since the last `save` to `dir`.
+  async save() {
+    if (!this.dir || !this.unsaved.size) return;
+    await fs.mkdir(this.dir, { recursive: true });
+    const hashes = [...this.unsaved];
+    this.unsaved.clear();
+    await Promise.all(hashes.map(hash =>
+      fs.writeFile(path.join(this.dir, `${hash}.json`), JSON.stringify(this.stored.get(hash)), 'utf8')));
+  }
+}
+
+// `cache.get(...)` when a cache is configured, otherwise just `compute()`.
+export function memoize(cache, id, code, key, compute, codec = null) {
+  return cache ? cache.get(id, code, key, compute, codec) : compute();
+}
+
+// CommonJS export
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports.ModuleCache = ModuleCache;
+  module.exports.memoize = memoize;
+}
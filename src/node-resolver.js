@@ -0,0 +1,245 @@
+// src/node-resolver.js
+// Node-style resolution of bare specifiers (`import { h } from 'preact'`).
+// Walks up from the importing module looking for `node_modules/<package>`,
+// then picks the entry point from the package's `package.json`:
+//   1. `exports` (string, array, subpath map and/or condition map),
+//   2. `browser` (string form, when the 'browser' condition is enabled),
+//   3. `module`, 4. `main`, 5. `index.js`.
+// Resolved files, and the files they import in turn, are read from disk and
+// added to the module map so the Bundler and TreeShaker can treat them like
+// any other module. This file is Node-only (it uses the filesystem); the
+// in-memory `ModuleResolver` remains the resolver for everything else.
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+import { tokenize, findModuleSyntax } from './parser.js';
+import { normalizeModuleId, declaredSideEffects, hasURLScheme } from './resolver.js';
+
+const DEFAULT_CONDITIONS = ['import', 'module', 'browser', 'default'];
+const RESOLVE_EXTENSIONS = ['.js', '.mjs', '.cjs'];
+
+function isBareSpecifier(specifier) {
+  return !(specifier.startsWith('./') || specifier.startsWith('../') ||
+    specifier.startsWith('/') || specifier === '.' || specifier === '..' ||
+    hasURLScheme(specifier));
+}
+
+// Splits 'pkg/sub/path' and '@scope/pkg/sub' into package name and subpath.
+function splitPackageSpecifier(specifier) {
+  const parts = specifier.split('/');
+  const nameLength = specifier.startsWith('@') ? 2 : 1;
+  const name = parts.slice(0, nameLength).join('/');
+  const rest = parts.slice(nameLength).join('/');
+  return { name, subpath: rest ? `./${rest}` : '.' };
+}
+
+export class NodeResolver {
+  constructor(options = {}) {
+    // rootDir: directory that module IDs are relative to (Pipeline.modulesDir).
+    this.rootDir = path.resolve(options.rootDir || '.');
+    this.conditions = new Set(options.conditions || DEFAULT_CONDITIONS);
+    this.extensions = options.extensions || RESOLVE_EXTENSIONS;
+  }
+
+  toModuleId(filePath) {
+    return normalizeModuleId(path.relative(this.rootDir, filePath));
+  }
+
+  async isFile(filePath) {
+    try {
+      return (await fs.stat(filePath)).isFile();
+    } catch {
+      return false;
+    }
+  }
+
+  async isDirectory(filePath) {
+    try {
+      return (await fs.stat(filePath)).isDirectory();
+    } catch {
+      return false;
+    }
+  }
+
+  async readPackageJson(packageDir) {
+    try {
+      return JSON.parse(await fs.readFile(path.join(packageDir, 'package.json'), 'utf8'));
+    } catch {
+      return null;
+    }
+  }
+
+  // Finds the directory of the nearest package.json above `filePath`.
+  async findPackageDir(filePath) {
+    let dir = path.dirname(filePath);
+    for (;;) {
+      if (await this.isFile(path.join(dir, 'package.json'))) return dir;
+      const parent = path.dirname(dir);
+      if (parent === dir) return null;
+      dir = parent;
+    }
+  }
+
+  // The package.json `sideEffects` declaration covering `filePath`, as
+  // true/false, or undefined when its package does not declare one.
+  async packageSideEffects(filePath) {
+    const packageDir = await this.findPackageDir(filePath);
+    if (!packageDir) return undefined;
+    const pkg = await this.readPackageJson(packageDir);
+    return pkg ? declaredSideEffects(pkg.sideEffects, path.relative(packageDir, filePath)) : undefined;
+  }
+
+  // Resolves a file path the way relative imports are resolved: exact file,
+  // then with each extension, then as a directory with an index file.
+  async resolveFile(filePath) {
+    if (await this.isFile(filePath)) return filePath;
+    for (const ext of this.extensions) {
+      if (await this.isFile(filePath + ext)) return filePath + ext;
+    }
+    for (const ext of this.extensions) {
+      const index = path.join(filePath, `index${ext}`);
+      if (await this.isFile(index)) return index;
+    }
+    return null;
+  }
+
+  // Picks a target out of an `exports` value for an already-matched subpath.
+  resolveExportTarget(target, patternMatch) {
+    if (typeof target === 'string') {
+      return patternMatch === undefined ? target : target.split('*').join(patternMatch);
+    }
+    if (Array.isArray(target)) {
+      for (const entry of target) {
+        const resolved = this.resolveExportTarget(entry, patternMatch);
+        if (resolved) return resolved;
+      }
+      return null;
+    }
+    if (target && typeof target === 'object') {
+      for (const [condition, value] of Object.entries(target)) {
+        if (condition === 'default' || this.conditions.has(condition)) {
+          const resolved = this.resolveExportTarget(value, patternMatch);
+          if (resolved) return resolved;
+        }
+      }
+    }
+    return null;
+  }
+
+  // Resolves `subpath` ('.' or './x') against a package.json `exports` field.
+  resolvePackageExports(exportsField, subpath) {
+    const isSubpathMap = exportsField && typeof exportsField === 'object' &&
+      !Array.isArray(exportsField) && Object.keys(exportsField).some(key => key.startsWith('.'));
+
+    if (!isSubpathMap) {
+      return subpath === '.' ? this.resolveExportTarget(exportsField) : null;
+    }
+    if (Object.prototype.hasOwnProperty.call(exportsField, subpath)) {
+      return this.resolveExportTarget(exportsField[subpath]);
+    }
+    // Subpath patterns: { "./features/*": "./src/features/*.js" }
+    let best = null;
+    for (const key of Object.keys(exportsField)) {
+      const star = key.indexOf('*');
+      if (star === -1) continue;
+      const prefix = key.slice(0, star);
+      const suffix = key.slice(star + 1);
+      if (subpath.startsWith(prefix) && subpath.endsWith(suffix) && subpath.length >= key.length - 1) {
+        if (!best || prefix.length > best.prefix.length) {
+          best = { key, prefix, match: subpath.slice(prefix.length, subpath.length - suffix.length) };
+        }
+      }
+    }
+    return best ? this.resolveExportTarget(exportsField[best.key], best.match) : null;
+  }
+
+  async resolvePackageEntry(packageDir, subpath) {
+    const pkg = (await this.readPackageJson(packageDir)) || {};
+
+    if (pkg.exports !== undefined) {
+      const target = this.resolvePackageExports(pkg.exports, subpath);
+      return target ? this.resolveFile(path.join(packageDir, target)) : null;
+    }
+    if (subpath !== '.') {
+      return this.resolveFile(path.join(packageDir, subpath));
+    }
+    const fields = [];
+    if (this.conditions.has('browser') && typeof pkg.browser === 'string') fields.push(pkg.browser);
+    if (typeof pkg.module === 'string') fields.push(pkg.module);
+    if (typeof pkg.main === 'string') fields.push(pkg.main);
+    for (const field of fields) {
+      const resolved = await this.resolveFile(path.join(packageDir, field));
+      if (resolved) return resolved;
+    }
+    return this.resolveFile(path.join(packageDir, 'index'));
+  }
+
+  // Resolves a bare specifier imported from the file at `importerPath` to an
+  // absolute file path, or null when no package provides it.
+  async resolve(specifier, importerPath) {
+    const { name, subpath } = splitPackageSpecifier(specifier);
+    let dir = path.dirname(importerPath);
+    for (;;) {
+      const packageDir = path.join(dir, 'node_modules', name);
+      if (await this.isDirectory(packageDir)) {
+        const resolved = await this.resolvePackageEntry(packageDir, subpath);
+        if (resolved) return resolved;
+      }
+      const parent = path.dirname(dir);
+      if (parent === dir) return null;
+      dir = parent;
+    }
+  }
+
+  // Adds every module reachable through bare specifiers (in static imports,
+  // re-exports and `import()` calls with a literal specifier) to a copy of
+  // `moduleMap`. Returns the expanded map plus the per-importer resolutions
+  // (Map<importerId, Map<specifier, moduleId>>) to hand to `ModuleResolver`,
+  // and the package.json `sideEffects` declarations of the added modules
+  // (Map<moduleId, boolean>) to hand to `TreeShaker`.
+  async expand(moduleMap) {
+    const modules = new Map(moduleMap instanceof Map ? moduleMap : Object.entries(moduleMap));
+    const resolutions = new Map();
+    const sideEffects = new Map();
+    const fromDisk = new Set();
+    const queue = [...modules.keys()];
+
+    while (queue.length) {
+      const id = queue.shift();
+      const importerPath = path.resolve(this.rootDir, id);
+      const { imports, exports, dynamicImports } = findModuleSyntax(tokenize(modules.get(id)));
+      const sources = [...imports, ...exports, ...dynamicImports].map(spec => spec.source).filter(Boolean);
+
+      for (const specifier of sources) {
+        let filePath = null;
+        if (isBareSpecifier(specifier)) {
+          filePath = await this.resolve(specifier, importerPath);
+        } else if (fromDisk.has(id)) {
+          // Files pulled in from node_modules bring their relative imports along.
+          filePath = await this.resolveFile(path.resolve(path.dirname(importerPath), specifier));
+        }
+        if (!filePath) continue;
+
+        const resolvedId = this.toModuleId(filePath);
+        if (!resolutions.has(id)) resolutions.set(id, new Map());
+        resolutions.get(id).set(specifier, resolvedId);
+
+        if (!modules.has(resolvedId)) {
+          modules.set(resolvedId, await fs.readFile(filePath, 'utf8'));
+          fromDisk.add(resolvedId);
+          queue.push(resolvedId);
+          const declared = await this.packageSideEffects(filePath);
+          if (declared !== undefined) sideEffects.set(resolvedId, declared);
+        }
+      }
+    }
+
+    return { modules, resolutions, sideEffects };
+  }
+}
+
+// CommonJS export
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports.NodeResolver = NodeResolver;
+}
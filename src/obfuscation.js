@@ -1,54 +1,346 @@
 // src/obfuscation.js
 // Obfuscator: string encoding + identifier renaming + optional control-flow
-// flattening. String encoding replaces literal contents with hexadecimal
-// escape sequences (e.g. "Hi" -> "\\x48\\x69") while preserving semantics.
+// flattening. String encoding re-spells each literal's value with escape
+// sequences (e.g. "Hi" -> "\\x48\\x69", "é€😀" -> "\\xe9\\u20ac\\u{1f600}")
+// while preserving semantics.
 // Uses the tokenizer for robust parsing that handles all JS syntax correctly.
+// The string array mode moves literals into one shared, optionally encoded
+// array (see `extractStrings`). Control-flow flattening turns function bodies
+// into a dispatcher loop (see `flattenFunction`).
+// Identifier renaming follows the scope analysis in src/scope.js: only
+// bindings declared in the code are renamed, every reference resolves to the
+// same new name, and globals, property names and module interface names are
+// left alone.
 
-import { tokenize } from './parser.js';
-
-const OBFUSCATOR_GLOBALS = new Set([
-  'window',
-  'global',
-  'globalThis',
-  'document',
-  'console',
-  'Math',
-  'Date',
-  'JSON',
-  'Array',
-  'Object',
-  'String',
-  'Number',
-  'Boolean',
-  'RegExp',
-  'Promise',
-  'Set',
-  'Map',
-  'Buffer',
-  'atob',
-  'undefined',
-  'NaN',
-  'Infinity',
-  'Error',
-  'TypeError',
-  'ReferenceError',
-  'SyntaxError',
-  'RangeError',
-  'eval',
-  'parseInt',
-  'parseFloat',
-  'isNaN',
-  'isFinite',
-  'encodeURI',
-  'decodeURI',
-  'encodeURIComponent',
-  'decodeURIComponent',
-  'require',
-  'module',
-  'exports',
-  '__dirname',
-  '__filename',
-]);
+import {
+  tokenize,
+  significantTokens,
+  isPunctuator,
+  isWord,
+  findClosingBracket,
+  skipStatement,
+  skipExpression,
+  splitStatements,
+  collectBindingNames,
+  classifyBraces,
+  stringValue,
+} from './parser.js';
+import { MappedOutput, composeSourceMaps, identitySegments } from './source-map.js';
+import { analyzeScopes, assignNames, renamedTokens } from './scope.js';
+
+// Returns a function producing identifiers (`_a`, `_b`, ...) that occur
+// nowhere in `tokens`, for helper variables the passes introduce.
+function nameAllocator(tokens, generateName) {
+  const taken = new Set(tokens.filter(tok => tok.type === 'identifier').map(tok => tok.value));
+  let next = 0;
+  return () => {
+    let name;
+    do name = `_${generateName(next++)}`; while (taken.has(name));
+    taken.add(name);
+    return name;
+  };
+}
+
+// Whether a template following token `prev` is tagged, e.g. by `String.raw`.
+function isTemplateTag(prev) {
+  if (!prev) return false;
+  if (prev.type === 'identifier' || prev.type === 'template' || prev.type === 'templateTail') return true;
+  if (prev.type === 'keyword') return prev.value === 'this' || prev.value === 'super';
+  return isPunctuator(prev, ')') || isPunctuator(prev, ']');
+}
+
+const TEMPLATE_PARTS = new Set(['template', 'templateHead', 'templateMiddle', 'templateTail']);
+
+// Re-spells the text of a template token with escapes, keeping its
+// delimiters (`` ` `` or `}` before, `` ` `` or `${` after). Line terminators
+// in template source are normalized to \n.
+function encodeTemplatePart(tok) {
+  const open = tok.value[0];
+  const close = tok.type === 'templateHead' || tok.type === 'templateMiddle' ? '${' : '`';
+  const text = tok.value.slice(1, -close.length).replace(/\r\n?/g, '\n');
+  return open + escapeString(stringValue(`\`${text}\``)) + close;
+}
+
+// Spells `value` with escapes only: `\xNN` for Latin-1 characters, `\uNNNN`
+// for the rest of the BMP (lone surrogates included) and `\u{...}` for astral
+// characters, so surrogate pairs stay one escape.
+function escapeString(value) {
+  let out = '';
+  for (const ch of value) {
+    const code = ch.codePointAt(0);
+    if (code <= 0xff) out += `\\x${code.toString(16).padStart(2, '0')}`;
+    else if (code <= 0xffff) out += `\\u${code.toString(16).padStart(4, '0')}`;
+    else out += `\\u{${code.toString(16)}}`;
+  }
+  return out;
+}
+
+const BASE64_CHARS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+// Base64 of the UTF-8 bytes of `text` (decoded at runtime with `atob`).
+function toBase64(text) {
+  const bytes = new TextEncoder().encode(text);
+  let out = '';
+  for (let i = 0; i < bytes.length; i += 3) {
+    const chunk = (bytes[i] << 16) | ((bytes[i + 1] || 0) << 8) | (bytes[i + 2] || 0);
+    out += BASE64_CHARS[chunk >> 18] + BASE64_CHARS[(chunk >> 12) & 63];
+    out += i + 1 < bytes.length ? BASE64_CHARS[(chunk >> 6) & 63] : '=';
+    out += i + 2 < bytes.length ? BASE64_CHARS[chunk & 63] : '=';
+  }
+  return out;
+}
+
+function xorWithKey(text, key) {
+  let out = '';
+  for (let i = 0; i < text.length; i++) {
+    out += String.fromCharCode(text.charCodeAt(i) ^ key.charCodeAt(i % key.length));
+  }
+  return out;
+}
+
+const LONE_SURROGATE = /[\ud800-\udbff](?![\udc00-\udfff])|(?<![\ud800-\udbff])[\udc00-\udfff]/;
+
+// Whether the string literal at tokens[index] has to stay where it is:
+// module specifiers and export names, directives such as 'use strict' (and
+// any other statement made of a lone string), and property keys in object
+// literals, destructuring patterns and class bodies. `container` is the kind
+// of the innermost enclosing bracket.
+function keepsStringLiteral(tokens, index, container) {
+  const prev = tokens[index - 1];
+  const next = tokens[index + 1];
+  if (isWord(prev, 'from') || isWord(prev, 'import') || isWord(prev, 'as') || isWord(next, 'as')) return true;
+  if (isPunctuator(prev, '(') && isWord(tokens[index - 2], 'import')) return true;
+  const statementStart = !prev || isPunctuator(prev, ';') || isPunctuator(prev, '{') || isPunctuator(prev, '}');
+  const statementEnd = !next || next.type === 'eof' || isPunctuator(next, ';') || isPunctuator(next, '}') || next.lineBreakBefore;
+  if (statementStart && statementEnd && container !== 'object') return true;
+  if (container === 'class') return true;
+  return container === 'object' && (isPunctuator(next, ':') || isPunctuator(next, '('));
+}
+
+// Finds the string literals that `keepsStringLiteral` keeps in place in
+// `raw` (all tokens of the code). Returns { tokens, positions, kept }: the
+// significant tokens, their indices in `raw`, and the Set of the `raw`
+// indices of the kept literals.
+function keptStringLiterals(raw) {
+  const positions = []; // significant token index -> raw token index
+  raw.forEach((tok, i) => {
+    if (tok.type !== 'whitespace' && tok.type !== 'comment') positions.push(i);
+  });
+  const tokens = significantTokens(raw);
+  const braceKinds = classifyBraces(tokens);
+  const kept = new Set();
+  const stack = [];
+  tokens.forEach((tok, i) => {
+    if (tok.type === 'templateHead') stack.push('template');
+    else if (tok.type === 'templateTail') stack.pop();
+    if (tok.type === 'punctuator') {
+      if (tok.value === '{') stack.push(braceKinds[i]);
+      else if (tok.value === '(') stack.push('paren');
+      else if (tok.value === '[') stack.push('bracket');
+      else if (tok.value === '}' || tok.value === ')' || tok.value === ']') stack.pop();
+      return;
+    }
+    if (tok.type === 'string' && keepsStringLiteral(tokens, i, stack[stack.length - 1])) kept.add(positions[i]);
+  });
+  return { tokens, positions, kept };
+}
+
+// Index of the `{` opening the body of function scope `scope`, or -1 for
+// arrow functions with an expression body.
+function functionBodyOpen(tokens, scope) {
+  if (!isPunctuator(tokens[scope.end], '}')) return -1;
+  let i = scope.start;
+  while (i < scope.end) {
+    const tok = tokens[i];
+    if (tok.type === 'punctuator' && (tok.value === '(' || tok.value === '[' || tok.value === '{')) {
+      const close = findClosingBracket(tokens, i);
+      if (close === scope.end) return i;
+      i = close + 1;
+    } else {
+      i++;
+    }
+  }
+  return -1;
+}
+
+// Why the function scope `scope` with body tokens[open..close] cannot be
+// flattened, or null when it can.
+function flattenBlocker(tokens, scope, open, close) {
+  if (scope.dynamic) return 'eval';
+  const before = [tokens[scope.start - 1], tokens[scope.start - 2], tokens[scope.start - 3]];
+  if (before.some(tok => isWord(tok, 'async'))) return 'async';
+  if (isPunctuator(tokens[scope.start + 1], '*') || isPunctuator(tokens[scope.start - 2], '*')) return 'generator';
+  for (let i = open; i < close; i++) {
+    if (isWord(tokens[i], 'yield')) return 'generator';
+    if (isWord(tokens[i], 'await')) return 'async';
+    if (isWord(tokens[i], 'finally')) return 'finally';
+  }
+  return null;
+}
+
+// Rewrites the body of one function into a dispatcher loop:
+//
+//   { let a; let s = 4; for (;;) switch (s) { case 9: a = f(); s = 2; continue;
+//     case 4: s = (a) ? 9 : 2; continue; ... default: return; } }
+//
+// Sequential statements and `if`/`else` chains become `case`s over shuffled
+// state numbers; loops, `switch`, `try` and other statements are kept whole
+// inside their case. Function declarations move in front of the loop, and
+// `let`/`const`/`class` declarations are hoisted to the top of the body with
+// their initializers turned into assignments. Returns the new body as pieces
+// ([text, original offset]) or null when the function is not safe to rewrite
+// (a hoisted binding is captured by a closure or clashes with another name,
+// or a function is declared inside an `if`).
+function flattenFunction(context, scope, open, close) {
+  const { tokens, textOf, bindingsByName, declarationOwner, globalReferences } = context;
+  const cases = [];
+  const hoisted = []; // pieces of function declarations
+  const lexical = []; // bindings hoisted out of `let`/`const`/`class`
+  const flatBlocks = new Set([open]);
+  const states = new Set();
+  const stateName = context.freshName();
+  let unsafe = false;
+
+  const newState = () => {
+    let state;
+    do state = Math.floor(Math.random() * 0x10000); while (states.has(state));
+    states.add(state);
+    return state;
+  };
+  // `terminal` cases (`return`, `throw`) need no jump to the next state.
+  const addCase = (pieces, next, terminal = false) => {
+    const state = newState();
+    const semicolon = pieces[pieces.length - 1][0].endsWith(';') ? '' : ';';
+    const jump = terminal ? semicolon : `${semicolon} ${stateName} = ${next}; continue;`;
+    cases.push({ state, pieces: [...pieces, [jump, null]] });
+    return state;
+  };
+  const hoistNames = (indices) => {
+    for (const index of indices) {
+      const binding = declarationOwner.get(index);
+      if (!binding) unsafe = true;
+      else lexical.push(binding);
+    }
+  };
+
+  // Statements tokens[from, to) followed by the `next` state; returns the
+  // entry state.
+  const chain = (from, to, next, topLevel) => {
+    const statements = splitStatements(tokens, from, to);
+    for (let k = statements.length - 1; k >= 0; k--) {
+      next = statement(statements[k].start, statements[k].end, next, topLevel);
+    }
+    return next;
+  };
+  const branch = (from, to, next) => {
+    if (isPunctuator(tokens[from], '{')) {
+      flatBlocks.add(from);
+      return chain(from + 1, findClosingBracket(tokens, from), next, false);
+    }
+    return statement(from, to, next, false);
+  };
+  const statement = (start, end, next, topLevel) => {
+    const tok = tokens[start];
+    if (isPunctuator(tok, ';')) return next;
+    if (isPunctuator(tok, '{')) return branch(start, end, next);
+    if (isWord(tok, 'if') && isPunctuator(tokens[start + 1], '(')) {
+      const condClose = findClosingBracket(tokens, start + 1);
+      const thenEnd = skipStatement(tokens, condClose + 1);
+      const hasElse = thenEnd < end && isWord(tokens[thenEnd], 'else');
+      const elseState = hasElse ? branch(thenEnd + 1, end, next) : next;
+      const thenState = branch(condClose + 1, thenEnd, next);
+      const state = newState();
+      cases.push({
+        state,
+        pieces: [
+          [`${stateName} = `, null],
+          ...textOf(start + 1, condClose + 1),
+          [` ? ${thenState} : ${elseState}; continue;`, null],
+        ],
+      });
+      return state;
+    }
+    const isAsyncFunction = isWord(tok, 'async') && isWord(tokens[start + 1], 'function') && !tokens[start + 1].lineBreakBefore;
+    if (isWord(tok, 'function') || isAsyncFunction) {
+      if (!topLevel) unsafe = true;
+      hoisted.push(...textOf(start, end), ['\n', null]);
+      return next;
+    }
+    if (isWord(tok, 'class') && tokens[start + 1].type === 'identifier') {
+      hoistNames([start + 1]);
+      return addCase([[`${tokens[start + 1].value} = `, null], ...textOf(start, end)], next);
+    }
+    if ((isWord(tok, 'let') || isWord(tok, 'const')) && !isPunctuator(tokens[start + 1], '=')) {
+      const parts = [];
+      let j = start + 1;
+      for (;;) {
+        const patternStart = j;
+        const names = [];
+        const indices = [];
+        j = collectBindingNames(tokens, j, names, indices);
+        hoistNames(indices);
+        if (isPunctuator(tokens[j], '=')) {
+          j = skipExpression(tokens, j + 1);
+          if (parts.length) parts.push([', ', null]);
+          parts.push(['(', null], ...textOf(patternStart, j), [')', null]);
+        }
+        if (!isPunctuator(tokens[j], ',')) break;
+        j++;
+      }
+      return parts.length ? addCase(parts, next) : next;
+    }
+    return addCase(textOf(start, end), next, isWord(tok, 'return') || isWord(tok, 'throw'));
+  };
+
+  // The directive prologue ('use strict') stays in front.
+  let bodyStart = open + 1;
+  const prologue = [];
+  while (tokens[bodyStart].type === 'string' &&
+    (isPunctuator(tokens[bodyStart + 1], ';') || isPunctuator(tokens[bodyStart + 1], '}') || tokens[bodyStart + 1].lineBreakBefore)) {
+    const end = skipStatement(tokens, bodyStart);
+    prologue.push(...textOf(bodyStart, end), ['\n', null]);
+    bodyStart = end;
+  }
+
+  const entry = chain(bodyStart, close, 'null', true);
+  if (unsafe || cases.length < 2) return null;
+
+  // Hoisting must not change what any name refers to, and closures must not
+  // observe a hoisted binding before its (former) declaration ran.
+  const flatScopes = new Set(context.analysis.scopes.filter(s => s === scope || (s.kind === 'block' && flatBlocks.has(s.start))));
+  const inBody = index => index > open && index < close;
+  for (const binding of lexical) {
+    for (const index of binding.tokens.keys()) {
+      for (let s = context.analysis.scopeAt[index]; s && s !== binding.scope; s = s.parent) {
+        if (s.kind === 'function' || s.kind === 'class') return null;
+      }
+    }
+    for (const other of bindingsByName.get(binding.name)) {
+      if (other === binding) continue;
+      if (flatScopes.has(other.scope)) return null;
+      const encloses = (() => {
+        for (let s = scope.parent; s; s = s.parent) if (s === other.scope) return true;
+        return false;
+      })();
+      if (encloses && [...other.tokens.keys()].some(inBody)) return null;
+    }
+    if (globalReferences.some(([index, name]) => name === binding.name && inBody(index))) return null;
+  }
+
+  for (let k = cases.length - 1; k > 0; k--) {
+    const other = Math.floor(Math.random() * (k + 1));
+    [cases[k], cases[other]] = [cases[other], cases[k]];
+  }
+  const names = [...new Set(lexical.map(binding => binding.name))];
+  const pieces = [...prologue, ...hoisted];
+  if (names.length) pieces.push([`let ${names.join(', ')};\n`, null]);
+  pieces.push([`let ${stateName} = ${entry};\nfor (;;) switch (${stateName}) {\n`, null]);
+  for (const { state, pieces: body } of cases) {
+    pieces.push([`case ${state}: `, null], ...body, ['\n', null]);
+  }
+  pieces.push(['default: return;\n}', null]);
+  return pieces;
+}
 
 export class Obfuscator {
   constructor(options = {}) {
@@ -58,48 +350,158 @@ export class Obfuscator {
       // to ensure maximum safety for arbitrary code.
       renameIdentifiers: false,
       flattenIfs: false,
+      // Tagged templates are left alone unless enabled: the tag also sees
+      // the raw text, which encoding changes.
+      encodeTaggedTemplates: false,
+      // Move string literals into a shared array read through a decoder
+      // function (see `extractStrings`).
+      stringArray: false,
+      stringArrayEncoding: 'none', // 'none' | 'base64' | 'xor'
+      stringArrayKey: null, // XOR key; random when not set
+      stringArrayRotate: false,
+      stringArrayShuffle: false,
+      // Record a source map of the last `obfuscate` call in `this.sourceMap`.
+      sourceMap: false,
+      sourceFile: 'input.js', // name of the input in the source map
       ...options,
     };
+    // Original name -> new name of the bindings renamed by the last
+    // `renameIdentifiers` call (the last one when names repeat across scopes).
     this.idMap = new Map();
+    this.sourceMap = null;
+    this.passOutputs = []; // MappedOutputs of the passes run by `obfuscate`
+  }
+
+  // Each pass writes a MappedOutput over its input; `endPass` keeps it so
+  // `obfuscate` can chain the passes' source maps.
+  startPass(code) {
+    const output = new MappedOutput();
+    output.addSource(this.options.sourceFile, code);
+    return output;
+  }
+
+  endPass(output) {
+    this.passOutputs.push(output);
+    return output.code;
   }
 
   encodeStrings(code) {
     if (!this.options.encodeStrings) return code;
-    const tokens = tokenize(code);
-
-    const toHexEscapes = (text) => {
-      let out = '';
-      for (let i = 0; i < text.length; i++) {
-        const hex = text.charCodeAt(i).toString(16).padStart(2, '0');
-        out += '\\x' + hex;
+    const output = this.startPass(code);
+    const emit = (tok, text) => output.append(text, 0, tok.start, tok.type === 'identifier' ? tok.value : null);
+    // A tag receives the raw text as well, which re-encoding would change.
+    // Whether each open template is tagged, innermost last.
+    const tagged = [];
+    let prev = null;
+    const raw = tokenize(code);
+    // Literals kept in place by the string array stay as written too: escaping
+    // would turn directives ('use strict') into plain expressions.
+    const { kept } = keptStringLiterals(raw);
+    raw.forEach((tok, index) => {
+      if (tok.type === 'whitespace' || tok.type === 'comment') {
+        output.append(tok.value);
+        return;
       }
-      return out;
-    };
-
-    let out = '';
-
-    for (const tok of tokens) {
-      if (tok.type === 'string') {
+      if (tok.type === 'string' && !kept.has(index)) {
         const quote = tok.value[0];
-        const inner = tok.value.slice(1, -1);
-        const encoded = toHexEscapes(inner);
-        out += `${quote}${encoded}${quote}`;
-      } else if (tok.type === 'template') {
-        // Only encode simple templates without interpolation; otherwise we
-        // leave them as-is to avoid changing semantics.
-        if (!tok.value.includes('${')) {
-          const inner = tok.value.slice(1, -1);
-          const encoded = toHexEscapes(inner);
-          out += '`' + encoded + '`';
-        } else {
-          out += tok.value;
+        emit(tok, `${quote}${escapeString(stringValue(tok.value))}${quote}`);
+      } else if (TEMPLATE_PARTS.has(tok.type)) {
+        if (tok.type === 'template' || tok.type === 'templateHead') {
+          tagged.push(isTemplateTag(prev) && !this.options.encodeTaggedTemplates);
         }
+        emit(tok, tagged[tagged.length - 1] ? tok.value : encodeTemplatePart(tok));
+        if (tok.type === 'template' || tok.type === 'templateTail') tagged.pop();
       } else {
-        out += tok.value;
+        emit(tok, tok.value);
+      }
+      prev = tok;
+    });
+
+    return this.endPass(output);
+  }
+
+  // Moves string literals into one shared array and replaces each of them
+  // with a call to a decoder function: `"hello"` -> `_b(3)`. The array
+  // entries are stored as-is, as base64 of their UTF-8 bytes, or XORed with
+  // a key (`stringArrayEncoding`), optionally shuffled and rotated (undone at
+  // startup). See `keepsStringLiteral` for the literals that stay in place.
+  extractStrings(code) {
+    if (!this.options.stringArray) return code;
+
+    const raw = tokenize(code);
+    const { tokens, positions, kept } = keptStringLiterals(raw);
+    const encoding = this.options.stringArrayEncoding;
+
+    const values = []; // distinct string values, in order of appearance
+    const slots = new Map(); // value -> index in `values`
+    const extracted = new Map(); // raw token index -> index in `values`
+    raw.forEach((tok, i) => {
+      if (tok.type !== 'string' || kept.has(i)) return;
+      const value = stringValue(tok.value);
+      if (encoding === 'base64' && LONE_SURROGATE.test(value)) return;
+      if (!slots.has(value)) {
+        slots.set(value, values.length);
+        values.push(value);
+      }
+      extracted.set(i, slots.get(value));
+    });
+    if (!values.length) return code;
+
+    // Shuffling permutes the stored order; rotating stores the array shifted
+    // by `rotation` and shifts it back before any lookup runs.
+    const order = values.map((_, i) => i);
+    if (this.options.stringArrayShuffle) {
+      for (let k = order.length - 1; k > 0; k--) {
+        const other = Math.floor(Math.random() * (k + 1));
+        [order[k], order[other]] = [order[other], order[k]];
       }
     }
+    const indexOf = new Map(order.map((slot, i) => [slot, i]));
+    const rotation = this.options.stringArrayRotate && order.length > 1
+      ? 1 + Math.floor(Math.random() * (order.length - 1))
+      : 0;
+    const stored = new Array(order.length);
+    order.forEach((slot, i) => { stored[(i + rotation) % order.length] = values[slot]; });
 
-    return out;
+    const freshName = nameAllocator(tokens, index => this.generateName(index));
+    const arrayName = freshName();
+    const decoderName = freshName();
+    const key = this.options.stringArrayKey || Array.from({ length: 8 }, () =>
+      BASE64_CHARS[Math.floor(Math.random() * 62)]).join('');
+    const encode = encoding === 'base64' ? toBase64 : encoding === 'xor' ? text => xorWithKey(text, key) : text => text;
+    const decoded = {
+      base64: `decodeURIComponent(atob(${arrayName}[i]).replace(/[\\s\\S]/g, function (c) { return '%' + ('0' + c.charCodeAt(0).toString(16)).slice(-2); }))`,
+      xor: `(function (s, k) { for (var o = '', j = 0; j < s.length; j++) o += String.fromCharCode(s.charCodeAt(j) ^ k.charCodeAt(j % k.length)); return o; })(${arrayName}[i], ${JSON.stringify(key)})`,
+    }[encoding] || `${arrayName}[i]`;
+    let header = `var ${arrayName} = [${stored.map(value => JSON.stringify(encode(value))).join(', ')}];\n`;
+    if (rotation) {
+      header += `(function (a, n) { while (n--) a.push(a.shift()); })(${arrayName}, ${rotation});\n`;
+    }
+    header += `function ${decoderName}(i) { return ${decoded}; }\n`;
+
+    // The array goes after the hashbang and the directive prologue, in front
+    // of everything else.
+    let headerAt = tokens[0].type === 'hashbang' ? 1 : 0;
+    while (tokens[headerAt].type === 'string' && !extracted.has(positions[headerAt])) {
+      headerAt = skipStatement(tokens, headerAt);
+    }
+    const headerBefore = positions[headerAt];
+
+    const output = this.startPass(code);
+    raw.forEach((tok, i) => {
+      if (i === headerBefore) output.append(header);
+      if (extracted.has(i)) {
+        // Minified code has literals right after keywords (`return'x'`).
+        const before = raw[i - 1];
+        const space = before && (before.type === 'keyword' || before.type === 'identifier') ? ' ' : '';
+        output.append(`${space}${decoderName}(${indexOf.get(extracted.get(i))})`, 0, tok.start);
+      } else if (tok.type === 'whitespace' || tok.type === 'comment') {
+        output.append(tok.value);
+      } else {
+        output.append(tok.value, 0, tok.start, tok.type === 'identifier' ? tok.value : null);
+      }
+    });
+    return this.endPass(output);
   }
 
   generateName(index) {
@@ -119,77 +521,130 @@ export class Obfuscator {
     const tokens = tokenize(code);
     this.idMap.clear();
 
-    // First pass: collect all renamable identifiers
-    for (let i = 0; i < tokens.length; i++) {
-      const tok = tokens[i];
-      if (tok.type !== 'identifier') continue;
-      if (!this.shouldRenameIdentifier(tokens, i)) continue;
-      if (this.idMap.has(tok.value)) continue;
-      const newName = this.generateName(this.idMap.size);
-      this.idMap.set(tok.value, newName);
-    }
+    // Analyze the significant tokens and translate the renamed token indices
+    // back to positions in the full token list.
+    const significant = [];
+    tokens.forEach((tok, i) => {
+      if (tok.type !== 'whitespace' && tok.type !== 'comment') significant.push(i);
+    });
+    const analysis = analyzeScopes(significantTokens(tokens));
+    const renames = assignNames(analysis, {
+      nameFor: index => this.generateName(index),
+      topLevel: true,
+    });
+    for (const [binding, name] of renames) this.idMap.set(binding.name, name);
+    const renamed = new Map();
+    for (const [index, text] of renamedTokens(renames)) renamed.set(significant[index], text);
 
-    // Second pass: rebuild code with renamed identifiers
-    let out = '';
+    // Rebuild the code with renamed identifiers. The map keeps the original
+    // names so debuggers can show them.
+    const output = this.startPass(code);
     for (let i = 0; i < tokens.length; i++) {
       const tok = tokens[i];
-      if (tok.type === 'identifier' && this.shouldRenameIdentifier(tokens, i)) {
-        const renamed = this.idMap.get(tok.value);
-        out += renamed || tok.value;
+      if (tok.type === 'whitespace' || tok.type === 'comment') {
+        output.append(tok.value);
       } else {
-        out += tok.value;
+        output.append(renamed.get(i) ?? tok.value, 0, tok.start, tok.type === 'identifier' ? tok.value : null);
       }
     }
 
-    return out;
+    return this.endPass(output);
   }
 
-  shouldRenameIdentifier(tokens, index) {
-    const tok = tokens[index];
-    const name = tok.value;
-
-    // Don't rename keywords (tokenizer already marks them, but double-check)
-    if (tok.type === 'keyword') return false;
+  flattenControlFlow(code) {
+    if (!this.options.flattenIfs) return code;
 
-    // Don't rename global identifiers
-    if (OBFUSCATOR_GLOBALS.has(name)) return false;
+    const raw = tokenize(code);
+    const positions = []; // significant token index -> raw token index
+    const significantAt = new Map(); // raw token index -> significant token index
+    raw.forEach((tok, i) => {
+      if (tok.type === 'whitespace' || tok.type === 'comment') return;
+      significantAt.set(i, positions.length);
+      positions.push(i);
+    });
+    const tokens = significantTokens(raw);
+    const analysis = analyzeScopes(tokens);
 
-    // Look backwards to find previous non-whitespace token
-    let prevIdx = index - 1;
-    while (prevIdx >= 0 && tokens[prevIdx].type === 'whitespace') {
-      prevIdx--;
+    const bindingsByName = new Map();
+    const declarationOwner = new Map();
+    for (const binding of analysis.bindings) {
+      if (!bindingsByName.has(binding.name)) bindingsByName.set(binding.name, []);
+      bindingsByName.get(binding.name).push(binding);
+      for (const index of binding.declarations) declarationOwner.set(index, binding);
     }
+    const replacements = new Map(); // body `{` index -> { close, pieces }
 
-    if (prevIdx >= 0) {
-      const prev = tokens[prevIdx];
-      // Property access: obj.name or obj?.name
-      if (prev.type === 'punctuator' && (prev.value === '.' || prev.value === '?.')) {
-        return false;
+    // Pieces ([text, original offset]) of raw tokens from..to (inclusive),
+    // with already flattened bodies substituted.
+    const rawPieces = (from, to) => {
+      const pieces = [];
+      for (let i = from; i <= to; i++) {
+        const replacement = replacements.get(significantAt.get(i));
+        if (replacement) {
+          pieces.push(['{', raw[i].start], ...replacement.pieces);
+          i = positions[replacement.close];
+          pieces.push(['}', raw[i].start]);
+        } else {
+          const tok = raw[i];
+          pieces.push([tok.value, tok.type === 'whitespace' || tok.type === 'comment' ? null : tok.start]);
+        }
       }
-    }
+      return pieces;
+    };
+    const context = {
+      tokens,
+      analysis,
+      bindingsByName,
+      declarationOwner,
+      globalReferences: analysis.globalReferences,
+      textOf: (from, to) => (to > from ? rawPieces(positions[from], positions[to - 1]) : []),
+      freshName: nameAllocator(tokens, index => this.generateName(index)),
+    };
 
-    return true;
-  }
+    // Innermost functions first, so outer bodies copy flattened inner ones.
+    const functions = analysis.scopes
+      .filter(scope => scope.kind === 'function')
+      .sort((a, b) => b.start - a.start);
+    for (const scope of functions) {
+      const open = functionBodyOpen(tokens, scope);
+      if (open === -1 || flattenBlocker(tokens, scope, open, scope.end)) continue;
+      const pieces = flattenFunction(context, scope, open, scope.end);
+      if (pieces) replacements.set(open, { close: scope.end, pieces });
+    }
 
-  flattenControlFlow(code) {
-    if (!this.options.flattenIfs) return code;
-    // Control-flow flattening is intentionally conservative; complex patterns
-    // (deeply nested try/catch, generators, async) should keep this disabled.
-    return code;
+    const output = this.startPass(code);
+    for (const [text, offset] of rawPieces(0, raw.length - 1)) output.append(text, 0, offset);
+    return this.endPass(output);
   }
 
   obfuscate(code, options = {}) {
     const opts = { ...this.options, ...options };
+    this.passOutputs = [];
     let out = code;
     if (opts.renameIdentifiers) {
       out = this.renameIdentifiers(out);
     }
+    if (opts.stringArray) {
+      out = this.extractStrings(out);
+    }
     if (opts.encodeStrings) {
       out = this.encodeStrings(out);
     }
     if (opts.flattenIfs) {
       out = this.flattenControlFlow(out);
     }
+    this.sourceMap = null;
+    if (opts.sourceMap) {
+      // Chain the pass maps so the final map points into the original input.
+      this.sourceMap = this.passOutputs
+        .map(output => output.toSourceMap())
+        .reduce((inner, outer) => composeSourceMaps(outer, inner), null);
+      if (!this.sourceMap) {
+        const output = this.startPass(code);
+        output.appendMapped(code, 0, identitySegments(tokenize(code)));
+        this.sourceMap = output.toSourceMap();
+      }
+    }
     return out;
   }
 }
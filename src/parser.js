@@ -6,9 +6,10 @@
 //
 // This is NOT a full ECMAScript parser. It is intentionally conservative:
 // - Expression grammar is not interpreted; tokens are emitted in sequence.
-// - Regex literal vs division is detected using a simple, battle-tested
-//   heuristic based on previous token type, which is sufficient for
-//   production usage in typical ES module code.
+// - Regex literal vs division is detected from the previous token, plus
+//   the bracket context: a `)` closing an `if`/`for`/`while`/`with` head or
+//   a `}` closing a block can be followed by a statement starting with a
+//   regex, other `)` and `}` by division.
 //
 // The public API:
 //   - tokenize(code: string): Token[]
@@ -17,8 +18,14 @@
 // Tokens have the shape:
 //   { type, value, start, end }
 // where `type` is one of:
-//   'identifier' | 'keyword' | 'string' | 'template' | 'number' |
-//   'punctuator' | 'regex' | 'comment' | 'whitespace' | 'eof'
+//   'identifier' | 'keyword' | 'privateName' | 'string' | 'template' |
+//   'templateHead' | 'templateMiddle' | 'templateTail' | 'number' |
+//   'punctuator' | 'regex' | 'comment' | 'whitespace' | 'hashbang' | 'eof'
+// As in the ECMAScript lexical grammar, `a${b}c${d}e` is lexed as the
+// templateHead `a${, the tokens of b, the templateMiddle }c${, the tokens
+// of d and the templateTail }e` (a template without substitutions is a
+// single 'template' token). Number tokens written as legacy octal (`017`)
+// have `legacyOctal: true`.
 
 const KEYWORDS = new Set([
   'break','case','catch','class','const','continue','debugger','default','delete',
@@ -28,63 +35,138 @@ const KEYWORDS = new Set([
 ]);
 
 const PUNCTUATORS = new Set([
-  '{','}','(',')','[',']','.',';',',',':','?','~',
+  '{','}','(',')','[',']','.','...',';',',',':','?','~',
   '<','>','<=','>=','==','!=','===','!==',
   '+','-','*','%','++','--','<<','>>','>>>',
   '&','|','^','!','&&','||','??',
-  '=','+=','-=','*=','%=','<<=','>>=','>>>=',
+  '=','+=','-=','*=','/=','%=','<<=','>>=','>>>=',
   '&=','|=','^=','=>','**','**=','/','?.','??=','||=','&&=',
 ]);
 
-function isIdentifierStart(ch) {
-  return (
-    (ch >= 'a' && ch <= 'z') ||
-    (ch >= 'A' && ch <= 'Z') ||
-    ch === '$' ||
-    ch === '_'
-  );
-}
+// Numeric literals, tried in order: prefixed integers (with `_` separators
+// and a BigInt `n` suffix), legacy octal integers (`017`, sloppy mode only),
+// and decimals with fraction, exponent, separators or `n` (`1_000`, `.5e-3`,
+// `1.`, `10n`; `089` is a decimal too).
+const NUMBER_PATTERNS = [
+  /0[xX][\da-fA-F_]*n?/y,
+  /0[bB][01_]*n?/y,
+  /0[oO][0-7_]*n?/y,
+  /0[0-7]+(?![\d.eEn_])/y,
+  /(?:\d[\d_]*(?:\.(?:\d[\d_]*)?)?|\.\d[\d_]*)(?:[eE][+-]?\d[\d_]*)?n?/y,
+];
+const LEGACY_OCTAL = /^0[0-7]+$/;
+
+// Identifier names: ID_Start ID_Continue* (plus `$`, `_`, ZWNJ and ZWJ),
+// where any character may be written as a `\uXXXX` or `\u{...}` escape.
+const IDENTIFIER_ESCAPE = String.raw`\\u(?:[\da-fA-F]{4}|\{[\da-fA-F]+\})`;
+const IDENTIFIER = new RegExp(
+  `(?:[\\p{ID_Start}$_]|${IDENTIFIER_ESCAPE})(?:[\\p{ID_Continue}$\\u200c\\u200d]|${IDENTIFIER_ESCAPE})*`,
+  'uy',
+);
 
-function isIdentifierPart(ch) {
-  return isIdentifierStart(ch) || (ch >= '0' && ch <= '9');
+// End index of the identifier name starting at code[index], or -1.
+function identifierEnd(code, index) {
+  IDENTIFIER.lastIndex = index;
+  return IDENTIFIER.test(code) ? IDENTIFIER.lastIndex : -1;
 }
 
 function isDecimalDigit(ch) {
   return ch >= '0' && ch <= '9';
 }
 
-// Heuristic to decide if a slash starts a regex literal, based on previous token.
+// Keywords whose parenthesized head is followed by a statement, which may
+// start with a regex: `if (x) /re/.test(s)`.
+const HEAD_KEYWORDS = new Set(['if', 'for', 'while', 'with']);
+
+// Heuristic to decide if a slash starts a regex literal, based on previous
+// token. The tokenizer overrides it after a `)` that closes a statement head
+// and a `}` that closes a block, where a statement (and so a regex) may start.
 function isRegexAllowedAfter(prevToken) {
-  if (!prevToken) return true;
+  if (!prevToken || prevToken.type === 'hashbang') return true;
+  // Start of a template substitution: `${/re/.source}`
+  if (prevToken.type === 'templateHead' || prevToken.type === 'templateMiddle') return true;
   if (prevToken.type === 'keyword') {
-    return ['return','case','throw','else','do','typeof','instanceof','in','of'].includes(
+    return ['return','case','throw','else','do','typeof','void','delete','await','yield','instanceof','in','of'].includes(
       prevToken.value
     );
   }
-  // After these token types, we can start a regex.
-  if (['punctuator'].includes(prevToken.type)) {
-    return ['(','{','[',',',';','!','~','?','=',':','&&','||','??','+','-','*','/','%','&','|','^','<','>'].includes(
-      prevToken.value
-    );
+  // Every operator (`=>`, `===`, `+=`, `**`, `...` included) expects an
+  // operand next; only closing brackets, `++`/`--` and member access end one.
+  if (prevToken.type === 'punctuator') {
+    return ![')',']','}','++','--','.','?.'].includes(prevToken.value);
   }
   // Otherwise, assume division.
   return false;
 }
 
+// Scans template literal text from `index` (just after the opening backtick or
+// the `}` closing a substitution) up to the closing backtick or the next `${`.
+// Returns the index after it and whether a substitution follows.
+function scanTemplate(code, index) {
+  let j = index;
+  while (j < code.length) {
+    const c = code[j];
+    if (c === '\\') {
+      j += 2;
+      continue;
+    }
+    if (c === '`') return { end: j + 1, substitution: false };
+    if (c === '$' && code[j + 1] === '{') return { end: j + 2, substitution: true };
+    j++;
+  }
+  return { end: code.length, substitution: false }; // unterminated
+}
+
 export function tokenize(code) {
   const tokens = [];
   let i = 0;
   const len = code.length;
   let prevSignificant = null;
+  let beforePrev = null; // the significant token before prevSignificant
+  // Open brackets, innermost last: 'paren', 'head' (the parenthesized head
+  // of `if`/`for`/`while`/`with`), 'bracket', the brace kinds of `braceKind`
+  // ('block' | 'object', or 'class' for class bodies) and 'template'
+  // substitutions. A `}` that closes a substitution continues its template.
+  const brackets = [];
+  let classPending = false;
+  // Conditional expressions awaiting their `:`, per bracket depth, and the
+  // last `:` that completed one (a `{` after it opens an object literal).
+  const ternaries = [];
+  let ternaryColon = null;
+  // Set when the last significant token is a `)` closing a statement head or
+  // a `}` closing a block: a statement may start next, so `/` opens a regex.
+  let statementMayStart = false;
+  // Function and class bodies, innermost last: the bracket depth inside
+  // their `{` and whether they belong to an expression (`x = function () {}`)
+  // or a declaration. `bodyPending` is the `function`/`class` keyword
+  // waiting for its body.
+  const bodies = [];
+  let bodyPending = null; // { token, depth, expression }
 
   function push(type, value, start, end) {
     const t = { type, value, start, end };
     tokens.push(t);
     if (type !== 'whitespace' && type !== 'comment') {
+      if (classPending && isWord(prevSignificant, 'class')) classPending = startsClass(beforePrev, t);
+      // `{ function: 1 }` names a property.
+      if (bodyPending && bodyPending.token === prevSignificant && bodyPending.token.value === 'function' &&
+          !isPunctuator(t, '(') && !isPunctuator(t, '*') && t.type !== 'identifier') {
+        bodyPending = null;
+      }
+      beforePrev = prevSignificant;
       prevSignificant = t;
+      statementMayStart = false;
     }
   }
 
+  // Hashbang (`#!/usr/bin/env node`), only valid as the very first line.
+  if (code.startsWith('#!')) {
+    let j = 2;
+    while (j < len && !/[\n\r\u2028\u2029]/.test(code[j])) j++;
+    push('hashbang', code.slice(0, j), 0, j);
+    i = j;
+  }
+
   while (i < len) {
     const start = i;
     let ch = code[i];
@@ -138,73 +220,64 @@ export function tokenize(code) {
       continue;
     }
 
-    // Template literal (no interpolation parsing; we keep as a single token)
+    // Template literal: `text` without substitutions is one 'template'
+    // token; otherwise a 'templateHead' (`text${), the substitution's own
+    // tokens, then a 'templateMiddle' (}text${) per further substitution and
+    // a 'templateTail' (}text`).
     if (ch === '`') {
-      let j = i + 1;
-      while (j < len) {
-        const c = code[j];
-        if (c === '\\') {
-          j += 2;
-          continue;
-        }
-        if (c === '`') {
-          j++;
-          break;
-        }
-        // Skip ${...} sequences conservatively
-        if (c === '$' && code[j + 1] === '{') {
-          j += 2;
-          let depth = 1;
-          while (j < len && depth > 0) {
-            const d = code[j];
-            if (d === '\\') {
-              j += 2;
-              continue;
-            }
-            if (d === '{') depth++;
-            else if (d === '}') depth--;
-            j++;
-          }
-          continue;
-        }
-        j++;
-      }
-      push('template', code.slice(i, j), i, j);
-      i = j;
+      const { end, substitution } = scanTemplate(code, i + 1);
+      push(substitution ? 'templateHead' : 'template', code.slice(i, end), i, end);
+      if (substitution) brackets.push('template');
+      i = end;
       continue;
     }
 
-    // Number literal (simple decimal/hex)
+    // Number literal (see NUMBER_PATTERNS)
     if (isDecimalDigit(ch) || (ch === '.' && isDecimalDigit(code[i + 1]))) {
-      let j = i;
-      if (ch === '0' && (code[i + 1] === 'x' || code[i + 1] === 'X')) {
-        j += 2;
-        while (j < len && /[0-9a-fA-F]/.test(code[j])) j++;
-      } else {
-        while (j < len && /[0-9]/.test(code[j])) j++;
-        if (code[j] === '.' && /[0-9]/.test(code[j + 1])) {
-          j++;
-          while (j < len && /[0-9]/.test(code[j])) j++;
+      let j = i + 1;
+      for (const pattern of NUMBER_PATTERNS) {
+        pattern.lastIndex = i;
+        if (pattern.test(code)) {
+          j = pattern.lastIndex;
+          break;
         }
       }
       push('number', code.slice(i, j), i, j);
+      if (LEGACY_OCTAL.test(code.slice(i, j))) tokens[tokens.length - 1].legacyOctal = true;
       i = j;
       continue;
     }
 
-    // Identifier / keyword
-    if (isIdentifierStart(ch)) {
-      let j = i + 1;
-      while (j < len && isIdentifierPart(code[j])) j++;
-      const value = code.slice(i, j);
+    // Identifier / keyword. Values keep escapes as written (`\u0061`).
+    const identifier = identifierEnd(code, i);
+    if (identifier !== -1) {
+      const value = code.slice(i, identifier);
       const type = KEYWORDS.has(value) ? 'keyword' : 'identifier';
-      push(type, value, i, j);
+      if (value === 'class') classPending = true;
+      if ((value === 'function' || value === 'class') &&
+          !isPunctuator(prevSignificant, '.') && !isPunctuator(prevSignificant, '?.')) {
+        const before = isWord(prevSignificant, 'async') ? beforePrev : prevSignificant;
+        const expression = startsExpression(before, brackets[brackets.length - 1], before === ternaryColon);
+        push(type, value, i, identifier);
+        bodyPending = { token: prevSignificant, depth: brackets.length, expression };
+        i = identifier;
+        continue;
+      }
+      push(type, value, i, identifier);
+      i = identifier;
+      continue;
+    }
+
+    // Private class member name: #field
+    if (ch === '#' && identifierEnd(code, i + 1) !== -1) {
+      const j = identifierEnd(code, i + 1);
+      push('privateName', code.slice(i, j), i, j);
       i = j;
       continue;
     }
 
     // Regex literal vs division
-    if (ch === '/' && isRegexAllowedAfter(prevSignificant)) {
+    if (ch === '/' && (statementMayStart || isRegexAllowedAfter(prevSignificant))) {
       let j = i + 1;
       let inClass = false;
       while (j < len) {
@@ -231,9 +304,9 @@ export function tokenize(code) {
     }
 
     // Punctuator & operators (fallback: single char)
-    // We attempt 3,2,1-char matches.
+    // We attempt 4,3,2,1-char matches.
     let matched = null;
-    for (const size of [3, 2, 1]) {
+    for (const size of [4, 3, 2, 1]) {
       if (i + size <= len) {
         const candidate = code.slice(i, i + size);
         if (PUNCTUATORS.has(candidate)) {
@@ -243,7 +316,45 @@ export function tokenize(code) {
       }
     }
     if (matched) {
+      if (matched === '}' && brackets[brackets.length - 1] === 'template') {
+        brackets.pop();
+        const { end, substitution } = scanTemplate(code, i + 1);
+        push(substitution ? 'templateMiddle' : 'templateTail', code.slice(i, end), i, end);
+        if (substitution) brackets.push('template');
+        i = end;
+        continue;
+      }
+      let closed = null;
+      let body = null;
+      if (matched === '(') {
+        // `for await (...)` included
+        const head = !!prevSignificant && prevSignificant.type === 'keyword' &&
+          (HEAD_KEYWORDS.has(prevSignificant.value) || (prevSignificant.value === 'await' && isWord(beforePrev, 'for')));
+        brackets.push(head ? 'head' : 'paren');
+      } else if (matched === '[') {
+        brackets.push('bracket');
+      } else if (matched === '{') {
+        const kind = braceKind(prevSignificant, brackets[brackets.length - 1], prevSignificant === ternaryColon);
+        const opensBody = bodyPending && bodyPending.depth === brackets.length &&
+          (bodyPending.token.value === 'function' || classPending);
+        brackets.push(classPending ? 'class' : kind);
+        classPending = false;
+        if (opensBody) {
+          bodies.push({ depth: brackets.length, expression: bodyPending.expression });
+          bodyPending = null;
+        }
+      } else if (matched === ')' || matched === ']' || matched === '}') {
+        if (matched === '}' && bodies.length && bodies[bodies.length - 1].depth === brackets.length) body = bodies.pop();
+        closed = brackets.pop();
+      }
       push('punctuator', matched, i, i + matched.length);
+      if (matched === '?') {
+        ternaries[brackets.length] = (ternaries[brackets.length] || 0) + 1;
+      } else if (matched === ':' && ternaries[brackets.length] > 0) {
+        ternaries[brackets.length]--;
+        ternaryColon = prevSignificant;
+      }
+      statementMayStart = body ? !body.expression : closed === 'head' || closed === 'block';
       i += matched.length;
       continue;
     }
@@ -259,150 +370,773 @@ export function tokenize(code) {
 
 // --- Module-level analysis helpers ----------------------------------------
 
-// ImportSpec: { source: string, type: 'default'|'namespace'|'named'|'side-effect', specifiers?: string[] }
-// ExportSpec: { type: 'named'|'default'|'all', names?: string[], source?: string }
+// ImportSpec: {
+//   type: 'default' | 'namespace' | 'named' | 'side-effect',
+//   source: string,
+//   specifiers: Specifier[],
+//   start, end,
+// }
+// ExportSpec: {
+//   type: 'named' | 'default' | 'all',
+//   names: string[],        // exported names
+//   source?: string,        // re-exports only
+//   specifiers: Specifier[],
+//   start, end,
+// }
+// Specifier: {
+//   kind: 'default' | 'namespace' | 'named',
+//   local: string | null,    // binding in this module
+//   imported: string | null, // name in the source module ('*' = namespace)
+//   exported: string | null, // name exported by this module
+//   start, end,
+// }
+//
+// `start`/`end` are token indices into `tokens` (end exclusive): the whole
+// statement for a spec, and for a specifier the tokens that name it (`x`,
+// `* as ns`, `a as b`, a declared binding, or `default` in an unnamed
+// `export default`). The `type` of an import is the form of its last
+// clause (`import x, { y }` is 'named'); each specifier has its own `kind`.
+// `export * as ns from` is of type 'all' with a 'namespace' specifier.
+// DynamicImport: {
+//   source: string | null,  // null unless the argument is a plain string
+//   start, end,             // the `import(...)` call
+// }
 
 export function findModuleSyntax(tokens) {
   const imports = [];
   const exports = [];
+  // Work on significant tokens, mapping indices back to `tokens`.
+  const positions = [];
+  tokens.forEach((tok, index) => {
+    if (tok.type !== 'whitespace' && tok.type !== 'comment') positions.push(index);
+  });
+  const sig = significantTokens(tokens);
+  const at = (from, to) => ({ start: positions[from], end: positions[to - 1] + 1 });
+  const specifier = (kind, names, from, to) => ({ kind, local: null, imported: null, exported: null, ...names, ...at(from, to) });
 
-  let i = 0;
-  const len = tokens.length;
+  let i = sig.length && sig[0].type === 'hashbang' ? 1 : 0;
+  while (i < sig.length && sig[i].type !== 'eof') {
+    const start = i;
+    const tok = sig[i];
+    const next = sig[i + 1];
+    const end = skipStatement(sig, i);
+    i = end;
+
+    if (isWord(tok, 'import') && !isPunctuator(next, '(') && !isPunctuator(next, '.')) {
+      const specifiers = [];
+      let type = 'side-effect';
+      let j = start + 1;
+      if (sig[j].type !== 'string') {
+        if (!isPunctuator(sig[j], '{') && !isPunctuator(sig[j], '*')) {
+          type = 'default';
+          specifiers.push(specifier('default', { local: sig[j].value, imported: 'default' }, j, j + 1));
+          j++;
+          if (isPunctuator(sig[j], ',')) j++;
+        }
+        if (isPunctuator(sig[j], '*')) {
+          type = 'namespace';
+          specifiers.push(specifier('namespace', { local: sig[j + 2].value, imported: '*' }, j, j + 3));
+          j += 3;
+        } else if (isPunctuator(sig[j], '{')) {
+          type = 'named';
+          const list = parseSpecifierList(sig, j);
+          for (const { name, alias, start: from, end: to } of list.specifiers) {
+            specifiers.push(specifier('named', { local: alias, imported: name }, from, to));
+          }
+          j = list.next;
+        }
+        j++; // from
+      }
+      if (sig[j].type !== 'string') continue;
+      imports.push({ type, source: unquote(sig[j]), specifiers, ...at(start, end) });
+      continue;
+    }
 
-  function peek(offset = 0) {
-    return tokens[i + offset] || tokens[len - 1];
+    if (!isWord(tok, 'export')) continue;
+    const spec = { type: 'named', names: [], specifiers: [], ...at(start, end) };
+    if (isPunctuator(next, '*')) {
+      spec.type = 'all';
+      let j = start + 2;
+      if (isWord(sig[j], 'as')) {
+        const exported = unquote(sig[j + 1]);
+        spec.names.push(exported);
+        spec.specifiers.push(specifier('namespace', { imported: '*', exported }, start + 1, j + 2));
+        j += 2;
+      }
+      const from = parseFromClause(sig, j);
+      if (from) spec.source = from.source;
+    } else if (isPunctuator(next, '{')) {
+      const list = parseSpecifierList(sig, start + 1);
+      const from = parseFromClause(sig, list.next);
+      if (from) spec.source = from.source;
+      for (const { name, alias, start: first, end: last } of list.specifiers) {
+        spec.names.push(alias);
+        const names = from ? { imported: name, exported: alias } : { local: name, exported: alias };
+        spec.specifiers.push(specifier('named', names, first, last));
+      }
+    } else if (isWord(next, 'default')) {
+      spec.type = 'default';
+      spec.names.push('default');
+      const nameIndex = declaredNameIndex(sig, start + 2);
+      spec.specifiers.push(nameIndex === -1
+        ? specifier('default', { exported: 'default' }, start + 1, start + 2)
+        : specifier('default', { local: sig[nameIndex].value, exported: 'default' }, nameIndex, nameIndex + 1));
+    } else {
+      const nameIndices = [];
+      if (isWord(next, 'var') || isWord(next, 'let') || isWord(next, 'const')) {
+        collectDeclarationNames(sig, start + 2, nameIndices);
+      } else {
+        const nameIndex = declaredNameIndex(sig, start + 1);
+        if (nameIndex !== -1) nameIndices.push(nameIndex);
+      }
+      for (const index of nameIndices) {
+        const name = sig[index].value;
+        spec.names.push(name);
+        spec.specifiers.push(specifier('named', { local: name, exported: name }, index, index + 1));
+      }
+    }
+    exports.push(spec);
   }
 
-  function consume() {
-    const t = tokens[i];
-    i += 1;
-    return t;
+  // `import(...)` calls, anywhere in the module (but not `x.import(...)` or
+  // methods named `import`).
+  const dynamicImports = [];
+  for (let k = 0; k < sig.length; k++) {
+    if (!isWord(sig[k], 'import') || !isPunctuator(sig[k + 1], '(')) continue;
+    if (isPunctuator(sig[k - 1], '.') || isPunctuator(sig[k - 1], '?.')) continue;
+    const close = findClosingBracket(sig, k + 1);
+    if (isPunctuator(sig[close + 1], '{')) continue;
+    const arg = sig[k + 2];
+    const literal = (arg.type === 'string' || arg.type === 'template') &&
+      (isPunctuator(sig[k + 3], ')') || isPunctuator(sig[k + 3], ','));
+    dynamicImports.push({ source: literal ? stringValue(arg.value) : null, ...at(k, close + 1) });
   }
 
-  // 'from' is a contextual keyword, so it's tokenized as an identifier
-  function isFromKeyword(tok) {
-    return (tok.type === 'identifier' || tok.type === 'keyword') && tok.value === 'from';
+  return { imports, exports, dynamicImports };
+}
+
+// Index of the name in a function or class declaration starting at `index`
+// (`function name`, `async function* name`, `class name`), or -1 when the
+// statement is not one or is unnamed.
+function declaredNameIndex(tokens, index) {
+  let i = index;
+  if (isWord(tokens[i], 'async') && isWord(tokens[i + 1], 'function')) i++;
+  if (isWord(tokens[i], 'function')) {
+    i++;
+    if (isPunctuator(tokens[i], '*')) i++;
+  } else if (isWord(tokens[i], 'class')) {
+    i++;
+  } else {
+    return -1;
   }
+  return tokens[i].type === 'identifier' || (tokens[i].type === 'keyword' && !isWord(tokens[i], 'extends'))
+    ? i : -1;
+}
 
-  while (i < len) {
-    const t = peek();
-    if (t.type === 'keyword' && t.value === 'import') {
-      const startIndex = i;
-      consume(); // import
-      let next = peek();
-      // import "side-effect";
-      if (next.type === 'string') {
-        imports.push({ type: 'side-effect', source: next.value.slice(1, -1) });
-        consume(); // string
-      } else {
-        // named/default/namespace imports until 'from'
-        // Note: 'from' is a contextual keyword, so it's tokenized as an identifier
-        while (!isFromKeyword(next) && next.type !== 'eof') {
-          consume();
-          next = peek();
-        }
-        if (isFromKeyword(next)) {
-          consume(); // from
-          // Skip whitespace to find the source string
-          while (peek().type === 'whitespace') consume();
-          const srcTok = peek();
-          if (srcTok.type === 'string') {
-            imports.push({
-              type: 'import',
-              source: srcTok.value.slice(1, -1),
-            });
-            consume();
-          }
-        }
-      }
-      // skip to end of statement (semicolon or newline/punctuator heuristic)
-      while (peek().type !== 'eof' && peek().value !== ';') consume();
-      if (peek().value === ';') consume();
+// --- Token-stream helpers ---------------------------------------------------
+//
+// The helpers below work on "significant" token arrays (see
+// `significantTokens`): whitespace and comments are dropped and each token
+// records whether a line terminator preceded it, which is all the information
+// automatic semicolon insertion needs. They are shared by the transforms that
+// need a little more structure than a flat token stream (bundler, tree shaker,
+// obfuscator) without going as far as a full parser.
+
+const OPENING_BRACKETS = new Set(['{', '(', '[']);
+const CLOSING_BRACKETS = new Set(['}', ')', ']']);
+
+// Template substitutions nest like brackets: a 'templateHead' opens them and
+// a 'templateTail' closes them. A 'templateMiddle' closes one substitution
+// and opens the next, so it leaves the depth unchanged and is neither.
+export function isOpeningBracket(tok) {
+  return tok.type === 'punctuator' ? OPENING_BRACKETS.has(tok.value) : tok.type === 'templateHead';
+}
+
+export function isClosingBracket(tok) {
+  return tok.type === 'punctuator' ? CLOSING_BRACKETS.has(tok.value) : tok.type === 'templateTail';
+}
+
+// Keywords that can only begin a new statement.
+const STATEMENT_KEYWORDS = new Set([
+  'export', 'import', 'const', 'let', 'var', 'if', 'for', 'while', 'do',
+  'return', 'throw', 'try', 'switch', 'break', 'continue',
+]);
+
+// Keywords after which a `{` starts an object literal rather than a block.
+const EXPRESSION_KEYWORDS = new Set([
+  'return', 'typeof', 'void', 'delete', 'in', 'of', 'instanceof', 'new',
+  'yield', 'await', 'case', 'throw', 'extends',
+]);
+
+// Keywords that behave like binary operators and so never start a statement.
+const OPERATOR_KEYWORDS = new Set(['in', 'instanceof', 'of']);
+
+// Words that can prefix an object literal or class member name.
+const MEMBER_MODIFIERS = new Set(['get', 'set', 'static', 'async']);
+
+// Statements where a line break directly after the keyword ends the statement.
+const RESTRICTED_KEYWORDS = new Set(['return', 'break', 'continue', 'throw', 'yield']);
+
+const LINE_TERMINATOR = /[\n\r\u2028\u2029]/;
+const PURE_ANNOTATION = /^\/\*\s*[#@]__PURE__\s*\*\/$/;
+
+export function significantTokens(tokens) {
+  const out = [];
+  let lineBreak = false;
+  let pure = false;
+  for (const tok of tokens) {
+    if (tok.type === 'whitespace' || tok.type === 'comment') {
+      if (LINE_TERMINATOR.test(tok.value)) lineBreak = true;
+      if (tok.type === 'comment' && PURE_ANNOTATION.test(tok.value)) pure = true;
       continue;
     }
+    const significant = { ...tok, lineBreakBefore: lineBreak };
+    // `/*#__PURE__*/ call()` and `/*@__PURE__*/ new X()` annotations.
+    if (pure) significant.pureAnnotation = true;
+    out.push(significant);
+    lineBreak = false;
+    pure = false;
+  }
+  return out;
+}
 
-    if (t.type === 'keyword' && t.value === 'export') {
-      consume(); // export
-      // Skip whitespace after 'export'
-      while (peek().type === 'whitespace') consume();
-      const n = peek();
-      if (n.type === 'punctuator' && n.value === '*') {
-        consume(); // *
-        // Skip whitespace to find 'from'
-        while (peek().type === 'whitespace') consume();
-        let fromTok = peek();
-        if (isFromKeyword(fromTok)) {
-          consume(); // from
-          // Skip whitespace to find source string
-          while (peek().type === 'whitespace') consume();
-          const srcTok = peek();
-          if (srcTok.type === 'string') {
-            exports.push({
-              type: 'all',
-              source: srcTok.value.slice(1, -1),
-            });
-            consume();
-          }
+export function isPunctuator(tok, value) {
+  return !!tok && tok.type === 'punctuator' && tok.value === value;
+}
+
+export function isWord(tok, value) {
+  return !!tok && (tok.type === 'identifier' || tok.type === 'keyword') && tok.value === value;
+}
+
+export function unquote(tok) {
+  return tok.type === 'string' ? tok.value.slice(1, -1) : tok.value;
+}
+
+// Value of a string literal token (quotes included), or of a template
+// without substitutions, with its escape sequences resolved.
+export function stringValue(literal) {
+  const body = literal.slice(1, -1);
+  let out = '';
+  for (let i = 0; i < body.length; i++) {
+    if (body[i] !== '\\') {
+      out += body[i];
+      continue;
+    }
+    const ch = body[++i];
+    switch (ch) {
+      case 'n': out += '\n'; break;
+      case 't': out += '\t'; break;
+      case 'r': out += '\r'; break;
+      case 'b': out += '\b'; break;
+      case 'f': out += '\f'; break;
+      case 'v': out += '\v'; break;
+      case 'x':
+        out += String.fromCharCode(parseInt(body.slice(i + 1, i + 3), 16));
+        i += 2;
+        break;
+      case 'u':
+        if (body[i + 1] === '{') {
+          const end = body.indexOf('}', i);
+          out += String.fromCodePoint(parseInt(body.slice(i + 2, end), 16));
+          i = end;
         } else {
-          exports.push({ type: 'all' });
+          out += String.fromCharCode(parseInt(body.slice(i + 1, i + 5), 16));
+          i += 4;
+        }
+        break;
+      case '\r':
+        if (body[i + 1] === '\n') i++;
+        break;
+      case '\n':
+      case '\u2028':
+      case '\u2029':
+        break; // line continuation
+      default: {
+        // Legacy octal escapes (`\0`, `\12`, `\377`) in sloppy-mode code.
+        const octal = /^(?:[0-3][0-7]{0,2}|[4-7][0-7]?)/.exec(body.slice(i));
+        if (octal) {
+          out += String.fromCharCode(parseInt(octal[0], 8));
+          i += octal[0].length - 1;
+        } else {
+          out += ch;
         }
-        while (peek().type !== 'eof' && peek().value !== ';') consume();
-        if (peek().value === ';') consume();
-        continue;
       }
+    }
+  }
+  return out;
+}
 
-      if (n.type === 'keyword' && n.value === 'default') {
-        exports.push({ type: 'default' });
-        // skip rest of declaration/expression for our purposes
-        while (peek().type !== 'eof' && peek().value !== ';') consume();
-        if (peek().value === ';') consume();
-        continue;
+// Returns the index of the bracket that closes the one at `index`.
+export function findClosingBracket(tokens, index) {
+  let depth = 0;
+  for (let i = index; i < tokens.length; i++) {
+    const tok = tokens[i];
+    if (isOpeningBracket(tok)) depth++;
+    else if (isClosingBracket(tok) && --depth === 0) return i;
+  }
+  return tokens.length - 1;
+}
+
+function endsExpression(tok) {
+  if (!tok) return false;
+  if (tok.type === 'punctuator') return tok.value === ')' || tok.value === ']' || tok.value === '}';
+  if (tok.type === 'keyword') return tok.value === 'this' || tok.value === 'super';
+  // A templateHead or templateMiddle leaves a substitution open.
+  return tok.type !== 'eof' && tok.type !== 'templateHead' && tok.type !== 'templateMiddle';
+}
+
+// True for the template parts that end a substitution.
+function closesSubstitution(tok) {
+  return tok.type === 'templateMiddle' || tok.type === 'templateTail';
+}
+
+// True when a new statement starts at `index` even without a semicolon,
+// following the automatic semicolon insertion rules.
+export function startsNewStatement(tokens, index) {
+  const tok = tokens[index];
+  const prev = tokens[index - 1];
+  if (!prev || tok.type === 'eof') return true;
+  if (tok.type === 'keyword' && STATEMENT_KEYWORDS.has(tok.value)) {
+    // `import(...)` and `import.meta` are expressions.
+    const next = tokens[index + 1];
+    if (!(tok.value === 'import' && (isPunctuator(next, '(') || isPunctuator(next, '.')))) return true;
+  }
+  if (!tok.lineBreakBefore) return false;
+  if (prev.type === 'keyword' && RESTRICTED_KEYWORDS.has(prev.value)) return true;
+  if (!endsExpression(prev) || closesSubstitution(tok)) return false;
+  if (tok.type === 'punctuator') return tok.value === '++' || tok.value === '--';
+  return !(tok.type === 'keyword' && OPERATOR_KEYWORDS.has(tok.value));
+}
+
+// Punctuators that, at the start of a line, may continue the previous line's
+// expression (or be parsed differently once joined onto it).
+const LINE_START_HAZARDS = new Set(['(', '[', '{', '+', '-', '/', '/=', '++', '--']);
+
+// True when removing the line break between the significant tokens `prev`
+// and `next` could change how the code parses: automatic semicolon insertion
+// would end the statement there, a restricted production depends on it
+// (`return\nx`, `x\n++y`, `async\nfunction`), or `next` starts with a token
+// that would otherwise be read as continuing `prev` (`(`, `[`, templates,
+// regex literals, unary `+`/`-`).
+export function isLineBreakSignificant(prev, next) {
+  if (!prev || !next || next.type === 'eof') return false;
+  if (prev.type === 'keyword' && (RESTRICTED_KEYWORDS.has(prev.value) || prev.value === 'async' || prev.value === 'debugger')) {
+    return true;
+  }
+  const postfix = isPunctuator(prev, '++') || isPunctuator(prev, '--');
+  if ((!endsExpression(prev) && !postfix) || closesSubstitution(next)) return false;
+  if (next.type === 'punctuator') return LINE_START_HAZARDS.has(next.value);
+  return !(next.type === 'keyword' && OPERATOR_KEYWORDS.has(next.value));
+}
+
+// Skips an expression (initializer, default value, expression statement) up
+// to a `,` or `;` at its own depth, the closing bracket of the enclosing
+// construct, or the start of the next statement. Returns the stop index.
+export function skipExpression(tokens, index) {
+  let depth = 0;
+  let i = index;
+  while (i < tokens.length && tokens[i].type !== 'eof') {
+    const tok = tokens[i];
+    if (depth === 0 && i > index && startsNewStatement(tokens, i)) break;
+    if (isOpeningBracket(tok)) depth++;
+    else if (isClosingBracket(tok)) {
+      if (depth === 0) break;
+      depth--;
+    } else if (depth === 0 && (isPunctuator(tok, ',') || isPunctuator(tok, ';') || tok.type === 'templateMiddle')) break;
+    i++;
+  }
+  return i;
+}
+
+// Collects the names bound by a binding pattern (identifier, object or array
+// destructuring) starting at `index`. Returns the index after the pattern.
+// When `indices` is given, the token index of each name is pushed to it.
+export function collectBindingNames(tokens, index, names, indices = null) {
+  const tok = tokens[index];
+  if (tok.type === 'identifier' || tok.type === 'keyword') {
+    names.push(tok.value);
+    if (indices) indices.push(index);
+    return index + 1;
+  }
+  if (!isPunctuator(tok, '{') && !isPunctuator(tok, '[')) return index + 1;
+
+  const isObject = tok.value === '{';
+  const close = isObject ? '}' : ']';
+  let i = index + 1;
+  while (i < tokens.length && !isPunctuator(tokens[i], close) && tokens[i].type !== 'eof') {
+    if (isPunctuator(tokens[i], ',')) {
+      i++;
+      continue;
+    }
+    if (isPunctuator(tokens[i], '...')) {
+      i = collectBindingNames(tokens, i + 1, names, indices);
+      continue;
+    }
+    if (isObject) {
+      const keyIndex = i;
+      let key = tokens[i];
+      if (isPunctuator(key, '[')) {
+        // Computed key: skip to the matching bracket.
+        i = findClosingBracket(tokens, i) + 1;
+        key = null;
+      } else {
+        i++;
+      }
+      if (isPunctuator(tokens[i], ':')) {
+        i = collectBindingNames(tokens, i + 1, names, indices);
+      } else if (key) {
+        names.push(key.value);
+        if (indices) indices.push(keyIndex);
       }
+    } else {
+      i = collectBindingNames(tokens, i, names, indices);
+    }
+    if (isPunctuator(tokens[i], '=')) {
+      i = skipExpression(tokens, i + 1);
+    }
+  }
+  return i + 1;
+}
 
-      if (n.type === 'punctuator' && n.value === '{') {
-        // export { a, b as c }
-        consume(); // {
-        const names = [];
-        while (peek().type !== 'eof') {
-          const tk = consume();
-          if (tk.type === 'identifier') {
-            names.push(tk.value);
-          } else if (tk.type === 'punctuator' && tk.value === '}') {
-            break;
-          }
+// Collects the names declared by `const a = 1, { b } = c` starting right after
+// the declaration keyword. Returns the names and the index after the statement.
+// When `indices` is given, the token index of each name is pushed to it.
+export function collectDeclarationNames(tokens, index, indices = null) {
+  const names = [];
+  let i = index;
+  for (;;) {
+    i = collectBindingNames(tokens, i, names, indices);
+    if (isPunctuator(tokens[i], '=')) i = skipExpression(tokens, i + 1);
+    if (isPunctuator(tokens[i], ',')) {
+      i++;
+      continue;
+    }
+    break;
+  }
+  if (isPunctuator(tokens[i], ';')) i++;
+  return { names, next: i };
+}
+
+// Parses `{ a, b as c, default as d }` starting at the `{` token. Each
+// specifier records the token range it spans as `start`/`end`.
+export function parseSpecifierList(tokens, index) {
+  const specifiers = [];
+  let i = index + 1;
+  while (i < tokens.length && !isPunctuator(tokens[i], '}') && tokens[i].type !== 'eof') {
+    if (isPunctuator(tokens[i], ',')) {
+      i++;
+      continue;
+    }
+    const start = i;
+    const name = unquote(tokens[i]);
+    let alias = name;
+    i++;
+    if (isWord(tokens[i], 'as')) {
+      alias = unquote(tokens[i + 1]);
+      i += 2;
+    }
+    specifiers.push({ name, alias, start, end: i });
+  }
+  return { specifiers, next: i + 1 };
+}
+
+// Parses `from 'source'` plus an optional trailing semicolon.
+export function parseFromClause(tokens, index) {
+  let i = index;
+  if (!isWord(tokens[i], 'from') || tokens[i + 1].type !== 'string') return null;
+  const source = unquote(tokens[i + 1]);
+  i += 2;
+  if (isPunctuator(tokens[i], ';')) i++;
+  return { source, next: i };
+}
+
+// Returns the index after the function or class declaration whose `function`,
+// `async` or `class` keyword is at `index`.
+function skipFunctionOrClass(tokens, index) {
+  let i = index;
+  if (isWord(tokens[i], 'class')) {
+    while (i < tokens.length && !isPunctuator(tokens[i], '{') && tokens[i].type !== 'eof') i++;
+    return findClosingBracket(tokens, i) + 1;
+  }
+  while (i < tokens.length && !isPunctuator(tokens[i], '(') && tokens[i].type !== 'eof') i++;
+  i = findClosingBracket(tokens, i) + 1;
+  return findClosingBracket(tokens, i) + 1;
+}
+
+// Returns the index after the statement starting at `index`.
+export function skipStatement(tokens, index) {
+  const tok = tokens[index];
+  const next = tokens[index + 1];
+  const afterParens = () => findClosingBracket(tokens, index + 1) + 1;
+  const optionalSemicolon = (i) => (isPunctuator(tokens[i], ';') ? i + 1 : i);
+
+  if (tok.type === 'eof') return index + 1;
+  if (isPunctuator(tok, ';')) return index + 1;
+  if (isPunctuator(tok, '{')) return findClosingBracket(tokens, index) + 1;
+
+  if (tok.type === 'keyword') {
+    switch (tok.value) {
+      case 'function':
+      case 'class':
+        return skipFunctionOrClass(tokens, index);
+      case 'async':
+        if (isWord(next, 'function') && !next.lineBreakBefore) return skipFunctionOrClass(tokens, index);
+        break;
+      case 'if': {
+        let i = skipStatement(tokens, afterParens());
+        if (isWord(tokens[i], 'else')) i = skipStatement(tokens, i + 1);
+        return i;
+      }
+      case 'for':
+      case 'while':
+      case 'with': {
+        // `for await (...)`
+        const open = isWord(next, 'await') ? index + 2 : index + 1;
+        return skipStatement(tokens, findClosingBracket(tokens, open) + 1);
+      }
+      case 'do': {
+        let i = skipStatement(tokens, index + 1);
+        if (isWord(tokens[i], 'while')) i = optionalSemicolon(findClosingBracket(tokens, i + 1) + 1);
+        return i;
+      }
+      case 'try': {
+        let i = findClosingBracket(tokens, index + 1) + 1;
+        if (isWord(tokens[i], 'catch')) {
+          if (isPunctuator(tokens[i + 1], '(')) i = findClosingBracket(tokens, i + 1);
+          i = findClosingBracket(tokens, i + 1) + 1;
         }
-        exports.push({ type: 'named', names });
-        while (peek().type !== 'eof' && peek().value !== ';') consume();
-        if (peek().value === ';') consume();
-        continue;
+        if (isWord(tokens[i], 'finally')) i = findClosingBracket(tokens, i + 1) + 1;
+        return i;
       }
-
-      // export const/let/var/function/class name ...
-      if (n.type === 'keyword') {
-        consume(); // const/let/var/function/class
-        // Skip whitespace to find the identifier
-        while (peek().type === 'whitespace') consume();
-        const idTok = peek();
-        if (idTok.type === 'identifier') {
-          exports.push({ type: 'named', names: [idTok.value] });
+      case 'switch':
+        return findClosingBracket(tokens, afterParens()) + 1;
+      case 'import': {
+        if (isPunctuator(next, '(') || isPunctuator(next, '.')) break;
+        let i = index + 1;
+        while (tokens[i].type !== 'string' && tokens[i].type !== 'eof') {
+          i = isPunctuator(tokens[i], '{') ? findClosingBracket(tokens, i) + 1 : i + 1;
         }
-        // Skip to semicolon or end of declaration heuristically
-        while (peek().type !== 'eof' && peek().value !== ';') consume();
-        if (peek().value === ';') consume();
-        continue;
+        i++;
+        // Import attributes: `with { type: 'json' }`
+        if ((isWord(tokens[i], 'with') || isWord(tokens[i], 'assert')) && isPunctuator(tokens[i + 1], '{')) {
+          i = findClosingBracket(tokens, i + 1) + 1;
+        }
+        return optionalSemicolon(i);
       }
+      case 'export': {
+        if (isWord(next, 'default')) {
+          const decl = tokens[index + 2];
+          if (isWord(decl, 'function') || isWord(decl, 'class') ||
+              (isWord(decl, 'async') && isWord(tokens[index + 3], 'function'))) {
+            return skipFunctionOrClass(tokens, index + 2);
+          }
+          return optionalSemicolon(skipExpression(tokens, index + 2));
+        }
+        if (isPunctuator(next, '{')) {
+          let i = findClosingBracket(tokens, index + 1) + 1;
+          if (isWord(tokens[i], 'from')) i += 2;
+          return optionalSemicolon(i);
+        }
+        if (isPunctuator(next, '*')) {
+          let i = index + 2;
+          if (isWord(tokens[i], 'as')) i += 2;
+          if (isWord(tokens[i], 'from')) i += 2;
+          return optionalSemicolon(i);
+        }
+        return skipStatement(tokens, index + 1);
+      }
+      case 'const':
+      case 'let':
+      case 'var':
+        return collectDeclarationNames(tokens, index + 1).next;
+      default:
+        break;
     }
+  }
 
-    consume();
+  // Labelled statement
+  if (tok.type === 'identifier' && isPunctuator(next, ':')) return skipStatement(tokens, index + 2);
+
+  // Expression statement (and return/throw/break/continue)
+  let i = index;
+  for (;;) {
+    i = skipExpression(tokens, i);
+    if (isPunctuator(tokens[i], ',')) {
+      i++;
+      continue;
+    }
+    break;
   }
+  return optionalSemicolon(i);
+}
 
-  return { imports, exports };
+// Splits tokens[from, to) into statements: [{ start, end }] token ranges.
+export function splitStatements(tokens, from = 0, to = tokens.length) {
+  const statements = [];
+  let i = from;
+  while (i < to && tokens[i].type !== 'eof') {
+    const end = Math.min(Math.max(skipStatement(tokens, i), i + 1), to);
+    statements.push({ start: i, end });
+    i = end;
+  }
+  return statements;
+}
+
+// Whether a `function` or `class` keyword after `prev` starts an expression
+// rather than a declaration. `enclosing` is the innermost open bracket and
+// `ternary` is set when `prev` is the `:` of a conditional expression.
+function startsExpression(prev, enclosing, ternary) {
+  if (!prev || prev.type === 'hashbang') return false;
+  if (prev.type === 'punctuator') {
+    if (prev.value === ';' || prev.value === ')' || prev.value === '}') return false;
+    if (prev.value === '{') return enclosing !== 'block';
+    // Labels and `case`/`default` clauses end with a colon too.
+    if (prev.value === ':') return ternary || (enclosing !== undefined && enclosing !== 'block');
+    return true;
+  }
+  if (prev.type === 'keyword') return !['else', 'do', 'export', 'default'].includes(prev.value);
+  return prev.type === 'templateHead' || prev.type === 'templateMiddle';
+}
+
+// Decides whether a `{` following `prev` opens an object literal or a block.
+// `ternary` is set when `prev` is the `:` of a conditional expression; other
+// colons in blocks end labels and `case`/`default` clauses.
+function braceKind(prev, enclosing, ternary = false) {
+  if (!prev) return 'block';
+  if (prev.type === 'punctuator') {
+    if ([')', '=>', '}', ';', '{'].includes(prev.value)) return 'block';
+    if (prev.value === ':') return !ternary && (enclosing === 'block' || !enclosing) ? 'block' : 'object';
+    return 'object';
+  }
+  // Start of a template substitution: `${{ a: 1 }}`
+  if (prev.type === 'templateHead' || prev.type === 'templateMiddle') return 'object';
+  if (prev.type === 'keyword' && EXPRESSION_KEYWORDS.has(prev.value)) return 'object';
+  // Destructuring pattern: `const { a } = b`
+  if (prev.type === 'keyword' && (prev.value === 'var' || prev.value === 'let' || prev.value === 'const')) return 'object';
+  return 'block';
+}
+
+// Whether a word after `prev` is a member name in an 'object' literal or
+// 'class' body (`{ new: 1 }`, `class A { static delete() {} }`).
+export function isMemberKeyPosition(prev, kind) {
+  if (!prev) return false;
+  if (prev.type === 'punctuator') {
+    if (prev.value === '{' || prev.value === ',' || prev.value === '*') return true;
+    return kind === 'class' && (prev.value === ';' || prev.value === '}');
+  }
+  return MEMBER_MODIFIERS.has(prev.value);
+}
+
+// Whether a `class` keyword between `prev` and `next` starts a class rather
+// than naming a property (`a.class`, `{ class: 1 }`, `class() {}`).
+function startsClass(prev, next) {
+  if (isPunctuator(prev, '.') || isPunctuator(prev, '?.')) return false;
+  return !next || next.type !== 'punctuator' || next.value === '{';
+}
+
+// Classifies every `{` as opening an 'object' literal, a 'block' or a 'class'
+// body. Returns an array indexed like `tokens` (undefined for other tokens).
+export function classifyBraces(tokens) {
+  const kinds = new Array(tokens.length);
+  const stack = [];
+  const ternaries = []; // pending `?` per bracket depth (see `tokenize`)
+  let ternaryColon = -1;
+  let classPending = false;
+  for (let i = 0; i < tokens.length; i++) {
+    const tok = tokens[i];
+    if (tok.type === 'keyword' && tok.value === 'class' && startsClass(tokens[i - 1], tokens[i + 1])) classPending = true;
+    if (tok.type === 'templateHead') stack.push('template');
+    else if (tok.type === 'templateTail') stack.pop();
+    if (tok.type !== 'punctuator') continue;
+    if (tok.value === '?') {
+      ternaries[stack.length] = (ternaries[stack.length] || 0) + 1;
+    } else if (tok.value === ':' && ternaries[stack.length] > 0) {
+      ternaries[stack.length]--;
+      ternaryColon = i;
+    } else if (tok.value === '{') {
+      kinds[i] = classPending ? 'class' : braceKind(tokens[i - 1], stack[stack.length - 1], ternaryColon === i - 1);
+      stack.push(kinds[i]);
+      classPending = false;
+    } else if (tok.value === '(') {
+      stack.push('paren');
+    } else if (tok.value === '[') {
+      stack.push('bracket');
+    } else if (CLOSING_BRACKETS.has(tok.value)) {
+      stack.pop();
+    }
+  }
+  return kinds;
+}
+
+// Finds identifier tokens that refer to a binding, skipping property names
+// (`a.b`, `{ b: 1 }`, class members). Returns [{ index, shorthand }] where
+// `shorthand` marks `{ a }` object literal entries (and `{ a = 1 }` pattern
+// entries) that both name a property and reference a binding.
+export function findReferences(tokens) {
+  const references = [];
+  const kinds = classifyBraces(tokens);
+  const stack = [];
+  for (let i = 0; i < tokens.length; i++) {
+    const tok = tokens[i];
+    const prev = tokens[i - 1];
+    if (tok.type === 'templateHead') stack.push('template');
+    else if (tok.type === 'templateTail') stack.pop();
+    if (tok.type === 'punctuator') {
+      if (tok.value === '{') {
+        stack.push(kinds[i]);
+      } else if (tok.value === '(') {
+        stack.push('paren');
+      } else if (tok.value === '[') {
+        stack.push('bracket');
+      } else if (CLOSING_BRACKETS.has(tok.value)) {
+        stack.pop();
+      }
+      continue;
+    }
+    if (tok.type !== 'identifier') continue;
+    if (isPunctuator(prev, '.') || isPunctuator(prev, '?.')) continue;
+
+    const next = tokens[i + 1];
+    const kind = stack[stack.length - 1];
+    if ((kind === 'object' || kind === 'class') && isMemberKeyPosition(prev, kind)) {
+      // `get`/`set`/`static`/`async` modifiers in front of a member name
+      if (MEMBER_MODIFIERS.has(tok.value) && next && next.type !== 'punctuator') continue;
+      if (MEMBER_MODIFIERS.has(tok.value) && (isPunctuator(next, '[') || isPunctuator(next, '*'))) continue;
+      if (isPunctuator(next, ':') || isPunctuator(next, '(') || kind === 'class') continue;
+      if (isPunctuator(next, ',') || isPunctuator(next, '}') || (kind === 'object' && isPunctuator(next, '='))) {
+        references.push({ index: i, shorthand: true });
+        continue;
+      }
+    }
+    references.push({ index: i, shorthand: false });
+  }
+  return references;
 }
 
 // CommonJS export for non-ESM environments
 if (typeof module !== 'undefined' && module.exports) {
   module.exports.tokenize = tokenize;
   module.exports.findModuleSyntax = findModuleSyntax;
+  module.exports.significantTokens = significantTokens;
+  module.exports.isPunctuator = isPunctuator;
+  module.exports.isWord = isWord;
+  module.exports.unquote = unquote;
+  module.exports.stringValue = stringValue;
+  module.exports.isOpeningBracket = isOpeningBracket;
+  module.exports.isClosingBracket = isClosingBracket;
+  module.exports.findClosingBracket = findClosingBracket;
+  module.exports.startsNewStatement = startsNewStatement;
+  module.exports.isLineBreakSignificant = isLineBreakSignificant;
+  module.exports.skipExpression = skipExpression;
+  module.exports.collectBindingNames = collectBindingNames;
+  module.exports.collectDeclarationNames = collectDeclarationNames;
+  module.exports.parseSpecifierList = parseSpecifierList;
+  module.exports.parseFromClause = parseFromClause;
+  module.exports.skipStatement = skipStatement;
+  module.exports.splitStatements = splitStatements;
+  module.exports.classifyBraces = classifyBraces;
+  module.exports.findReferences = findReferences;
+  module.exports.isMemberKeyPosition = isMemberKeyPosition;
 }
 
 
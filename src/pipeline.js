@@ -3,19 +3,56 @@
 
 import fs from 'node:fs/promises';
 import path from 'node:path';
+import { pathToFileURL } from 'node:url';
 
-import { TreeShaker } from './tree-shaking.js';
-import { Minifier } from './minification.js';
+import { tokenize, findModuleSyntax } from './parser.js';
 import { Bundler } from './bundling.js';
-import { Obfuscator } from './obfuscation.js';
+import { NodeResolver } from './node-resolver.js';
+import { composeSourceMaps, findSourceMappingURL, decodeDataURL } from './source-map.js';
+import { ModuleResolver, normalizeModuleId } from './resolver.js';
+import { PipelineWatcher } from './watch.js';
+import { ModuleCache } from './module-cache.js';
+import {
+  PluginDriver,
+  validatePlugin,
+  treeShakePlugin,
+  bundlePlugin,
+  minifyPlugin,
+  obfuscatePlugin,
+} from './plugins.js';
+
+// Whether a run reported an error diagnostic (`severity: 'error'`).
+function hasErrors(diagnostics) {
+  return diagnostics.some(diagnostic => diagnostic.severity === 'error');
+}
 
 export class Pipeline {
   constructor(options = {}) {
     this.entryFile = options.entryFile || './index.js';
     this.modulesDir = options.modulesDir || './src';
-    this.outputFile = options.outputFile || './dist/minibun.js';
+    // `outputFile: ''` (or null) keeps the output in memory: `run` returns it
+    // without writing any file.
+    this.outputFile = options.outputFile === undefined ? './dist/minibun.js' : options.outputFile;
     this.modules = options.modules || null; // Optional in‑memory Map
-    this.steps = [];
+    // Opt-in node_modules resolution: true or { conditions, extensions }
+    this.nodeResolve = options.nodeResolve || false;
+    // Source maps: when enabled, every step records a map, the maps are
+    // chained and `<outputFile>.map` is written next to the output.
+    this.sourceMaps = options.sourceMap || false;
+    // Maps from upstream tools: Map<moduleId, Source Map v3>. Files loaded by
+    // `loadModules` contribute theirs through `//# sourceMappingURL=`.
+    this.inputSourceMaps = options.inputSourceMaps || new Map();
+    // Optional ModuleCache shared by the steps across runs (`watch` sets one
+    // up). With `cacheDir`, results are also stored on disk for later builds.
+    this.cacheDir = options.cacheDir || null;
+    this.cache = options.cache || (this.cacheDir ? new ModuleCache({ dir: this.cacheDir }) : null);
+    this.plugins = []; // Built-in steps and `use`d plugins, in order (see plugins.js)
+    this.pluginSpecs = []; // Plugins named in the JSON config, imported by the next run
+    this.diagnostics = []; // Diagnostics (e.g. unresolved imports) from the last run
+    this.sourceMap = null; // Composed source map of the last run
+    this.graph = new Map(); // Import graph of the last run: module -> Set<dependency>
+    this.cacheStats = null; // { hits, misses } of the last run, when caching
+    this.outputFiles = []; // Paths of the files the last run wrote (or is writing)
   }
 
   // ---- Fluent configuration API ----
@@ -40,8 +77,40 @@ export class Pipeline {
     return this;
   }
 
+  /**
+   * Resolve bare specifiers (`import { h } from 'preact'`) from node_modules,
+   * honouring package.json `exports` conditions, `module` and `main`.
+   */
+  useNodeResolution(options = {}) {
+    this.nodeResolve = options;
+    return this;
+  }
+
+  /**
+   * Emit a source map for the output, mapped through every step back to the
+   * original modules (and through their input source maps, if any).
+   */
+  useSourceMaps(enabled = true) {
+    this.sourceMaps = enabled;
+    return this;
+  }
+
+  /**
+   * Tree-shake modules unreachable from the entry. Options:
+   * `sideEffects` (false, or globs of files that do have side effects, like
+   * the package.json field) and `pureAnnotations` (default true).
+   */
   useTreeShaker(options = {}) {
-    this.steps.push({ type: 'treeShake', options });
+    return this.use(treeShakePlugin(options));
+  }
+
+  /**
+   * Add a plugin: an object with a `name` and hooks (`resolveId`, `load`,
+   * `transform`, `renderChunk`, `generateBundle`, ...; see plugins.js).
+   * Each hook runs in the order the plugins and steps were added.
+   */
+  use(plugin) {
+    this.plugins.push(validatePlugin(plugin));
     return this;
   }
 
@@ -63,18 +132,15 @@ export class Pipeline {
   }
 
   useBundler(options = {}) {
-    this.steps.push({ type: 'bundle', options });
-    return this;
+    return this.use(bundlePlugin(options));
   }
 
   useMinifier(options = {}) {
-    this.steps.push({ type: 'minify', options });
-    return this;
+    return this.use(minifyPlugin(options));
   }
 
   useObfuscator(options = {}) {
-    this.steps.push({ type: 'obfuscate', options });
-    return this;
+    return this.use(obfuscatePlugin(options));
   }
 
 
@@ -84,7 +150,10 @@ export class Pipeline {
     const pipeline = new Pipeline({
       entryFile: config.entry || './index.js',
       modulesDir: config.modulesDir || './src',
-      outputFile: config.output || './dist/minibun.js',
+      outputFile: config.output === undefined ? './dist/minibun.js' : config.output,
+      nodeResolve: config.nodeResolve || false,
+      sourceMap: config.sourceMap || false,
+      cacheDir: config.cacheDir || null,
     });
 
     const p = config.pipeline || {};
@@ -95,50 +164,261 @@ export class Pipeline {
     if (p.obfuscate) pipeline.useObfuscator(p.obfuscate === true ? {} : p.obfuscate);
 
     // Reasonable default if no steps specified
-    if (pipeline.steps.length === 0) {
+    if (pipeline.plugins.length === 0) {
       pipeline.useBundler().useMinifier();
     }
 
+    // Plugins: module paths or package names, optionally with options
+    // (`["./banner.js", { "text": "..." }]`). They run after the steps.
+    pipeline.pluginSpecs = config.plugins || [];
+
     return pipeline;
   }
 
+  // Imports the plugins of `pluginSpecs`. A plugin module's default export
+  // is the plugin, or a function of the options returning it; relative
+  // paths are relative to the working directory.
+  async loadConfiguredPlugins() {
+    const specs = this.pluginSpecs;
+    this.pluginSpecs = [];
+    for (const spec of specs) {
+      const [specifier, options = {}] = Array.isArray(spec) ? spec : [spec];
+      const isPath = /^\.\.?[\\/]/.test(specifier) || path.isAbsolute(specifier);
+      let exported;
+      try {
+        exported = (await import(isPath ? pathToFileURL(path.resolve(specifier)).href : specifier)).default;
+      } catch (err) {
+        throw new Error(`Cannot load plugin ${specifier}: ${err.message}`);
+      }
+      this.use(typeof exported === 'function' ? await exported(options) : exported);
+    }
+  }
+
   // ---- Execution ----
 
   async run() {
-    let current = this.modules || (await this.loadModules());
-
-    for (const step of this.steps) {
-      switch (step.type) {
-        case 'treeShake': {
-          const shaker = new TreeShaker(current);
-          current = shaker.shake(this.entryFile);
-          break;
-        }
-        case 'bundle': {
-          const bundler = new Bundler(current);
-          current = bundler.bundle(this.entryFile);
-          break;
-        }
-        case 'minify': {
-          const minifier = new Minifier(step.options);
-          current = minifier.minify(String(current));
-          break;
+    const driver = await this.createPluginDriver();
+    const { sourceMap, cache } = driver.shared;
+    const { hits, misses } = cache || {};
+    this.diagnostics = driver.diagnostics;
+    this.sourceMap = null;
+    this.outputFiles = [];
+
+    // Source maps follow the output: one map per module while it is a module
+    // map (starting from the input maps), then one map per chunk once the
+    // modules have been rendered.
+    let { modules, moduleMaps } = await this.prepareModules(driver);
+
+    for (const plugin of this.plugins) {
+      if (typeof plugin.transformModules !== 'function') continue;
+      const result = await driver.call(plugin, 'transformModules', [modules]);
+      if (result == null) continue;
+      const { modules: transformed, maps } = result instanceof Map ? { modules: result } : result;
+      modules = transformed;
+      for (const [id, moduleMap] of maps || []) {
+        moduleMaps.set(id, composeSourceMaps(moduleMap, moduleMaps.get(id)));
+      }
+    }
+
+    // Without a plugin rendering the modules (no bundler), the module map
+    // is the result. Otherwise the output is one chunk, or several with a
+    // manifest when the bundler splits the code (`splitChunks`).
+    const rendered = await driver.first('renderModules', modules);
+    if (rendered == null) {
+      await this.saveCache(cache, hits, misses);
+      if (this.outputFile && !hasErrors(this.diagnostics)) {
+        this.outputFiles = [this.outputFile];
+        await this.writeOutput(modules, this.outputFile);
+      }
+      return modules;
+    }
+    const { chunks, manifest = null } = rendered.chunks ? rendered : {
+      chunks: [{
+        fileName: driver.shared.fileName,
+        code: typeof rendered === 'string' ? rendered : rendered.code,
+        map: rendered.map || null,
+        isEntry: true,
+        modules: [...modules.keys()],
+      }],
+    };
+    for (const chunk of chunks) {
+      const info = { fileName: chunk.fileName, entry: this.entryFile, isEntry: chunk.isEntry, modules: chunk.modules };
+      const finished = await driver.chain('renderChunk', chunk.code, info);
+      let map = sourceMap && chunk.map ? composeSourceMaps(chunk.map, moduleMaps) : null;
+      if (sourceMap && finished.map) map = map ? composeSourceMaps(finished.map, map) : finished.map;
+      chunk.code = finished.code;
+      chunk.map = map;
+    }
+    await this.saveCache(cache, hits, misses);
+
+    const bundle = {};
+    for (const { fileName, code, map } of chunks) {
+      const file = { type: 'chunk', fileName, code, map: null };
+      if (this.outputFile && map) {
+        file.map = this.relativizeSourceMap(map, path.join(path.dirname(this.outputFile), fileName));
+        bundle[`${fileName}.map`] = { type: 'asset', fileName: `${fileName}.map`, source: JSON.stringify(file.map) };
+        file.code += `\n//# sourceMappingURL=${fileName}.map`;
+      } else {
+        file.map = map;
+      }
+      bundle[fileName] = file;
+    }
+    const entryChunk = bundle[chunks[0].fileName];
+    this.sourceMap = entryChunk.map;
+    await driver.each('generateBundle', bundle);
+
+    // A run with error diagnostics (such as an unresolved entry) still
+    // returns its output but leaves the files of earlier runs in place.
+    if (this.outputFile && !hasErrors(this.diagnostics)) {
+      const outputDir = path.dirname(this.outputFile);
+      this.outputFiles = Object.values(bundle).map(file => path.join(outputDir, file.fileName));
+      for (const file of Object.values(bundle)) {
+        await this.writeOutput(file.type === 'chunk' ? file.code : file.source, path.join(outputDir, file.fileName));
+      }
+    }
+
+    return manifest || entryChunk.code;
+  }
+
+  // Writes the cache and records the hits and misses of the run since
+  // `hits`/`misses`.
+  async saveCache(cache, hits, misses) {
+    if (!cache) return;
+    await cache.save();
+    this.cacheStats = { hits: cache.hits - hits, misses: cache.misses - misses };
+  }
+
+  // The hook driver of one run. Its shared context carries the state the
+  // built-in steps hand to each other: resolutions and `sideEffects`
+  // declarations found while loading modules, and the diagnostics.
+  async createPluginDriver() {
+    if (this.pluginSpecs.length) await this.loadConfiguredPlugins();
+    return new PluginDriver(this.plugins, {
+      pipeline: this,
+      entry: this.entryFile,
+      fileName: path.basename(this.outputFile || 'bundle.js'),
+      sourceMap: !!this.sourceMaps,
+      cache: this.cache,
+      resolutions: new Map(), // Map<importerId, Map<specifier, moduleId>>
+      moduleSideEffects: new Map(), // Map<moduleId, boolean>
+      diagnostics: [],
+    });
+  }
+
+  // Loads the modules the plugins run on: the module map (or the files in
+  // `modulesDir`), their node_modules dependencies when node resolution is
+  // enabled, and the modules the resolveId/load hooks add, all passed
+  // through the transform hooks. Resolutions found on the way are recorded
+  // in the driver's context for every resolving step.
+  async prepareModules(driver) {
+    let modules = this.modules || (await this.loadModules());
+    const { resolutions, moduleSideEffects } = driver.shared;
+    if (this.nodeResolve) {
+      const nodeResolver = new NodeResolver({
+        rootDir: this.modulesDir,
+        ...(this.nodeResolve === true ? {} : this.nodeResolve),
+      });
+      const expanded = await nodeResolver.expand(modules);
+      modules = expanded.modules;
+      expanded.resolutions.forEach((map, importer) => resolutions.set(importer, map));
+      expanded.sideEffects.forEach((declared, id) => moduleSideEffects.set(id, declared));
+    }
+    const moduleMaps = new Map(this.inputSourceMaps);
+    if (driver.has('resolveId') || driver.has('load') || driver.has('transform')) {
+      modules = await this.runModuleHooks(driver, modules, moduleMaps);
+    }
+    return { modules, moduleMaps };
+  }
+
+  // Passes every module through the load and transform hooks and follows
+  // its imports (static and `import()`): through the resolveId hooks, then
+  // to the module map and the files in `modulesDir`. Returns the resulting
+  // module map.
+  async runModuleHooks(driver, modules, moduleMaps) {
+    const { resolutions, moduleSideEffects } = driver.shared;
+    const resolver = new ModuleResolver([]);
+    const result = new Map();
+    const queue = [];
+
+    // Loads and transforms module `id`; false when there is no such module.
+    const add = async (id) => {
+      if (result.has(id)) return true;
+      let loaded = await driver.first('load', id);
+      if (loaded == null) loaded = modules.has(id) ? modules.get(id) : await this.readModuleFile(id);
+      if (loaded == null) return false;
+      const { code, map: loadMap } = typeof loaded === 'string' ? { code: loaded } : loaded;
+      const transformed = await driver.chain('transform', code, id);
+      const stageMap = loadMap && transformed.map ? composeSourceMaps(transformed.map, loadMap) : loadMap || transformed.map;
+      if (stageMap) moduleMaps.set(id, composeSourceMaps(stageMap, moduleMaps.get(id)));
+      result.set(id, transformed.code);
+      queue.push(id);
+      return true;
+    };
+    const record = (importer, source, id) => {
+      if (!resolutions.has(importer)) resolutions.set(importer, new Map());
+      resolutions.get(importer).set(source, id);
+    };
+
+    for (const id of modules.keys()) await add(id);
+    while (queue.length) {
+      const importer = queue.shift();
+      const { imports, exports, dynamicImports } = findModuleSyntax(tokenize(result.get(importer)));
+      const sources = new Set([...imports, ...exports, ...dynamicImports].map(spec => spec.source).filter(Boolean));
+      for (const source of sources) {
+        const known = resolutions.get(importer);
+        if (known && known.has(source)) continue;
+        const resolved = await driver.first('resolveId', source, importer);
+        if (resolved != null) {
+          const { id, sideEffects } = typeof resolved === 'string' ? { id: resolved } : resolved;
+          if (sideEffects !== undefined) moduleSideEffects.set(id, sideEffects);
+          if (await add(id)) record(importer, source, id);
+          continue;
         }
-        case 'obfuscate': {
-          const obfuscator = new Obfuscator(step.options);
-          current = obfuscator.obfuscate(String(current));
-          break;
+        // Unresolved specifiers are reported by the steps.
+        for (const candidate of resolver.candidates(source, importer)) {
+          if (await add(candidate)) {
+            record(importer, source, candidate);
+            break;
+          }
         }
-        default:
-          throw new Error(`Unknown pipeline step: ${step.type}`);
       }
     }
+    return result;
+  }
 
-    if (this.outputFile) {
-      await this.writeOutput(current, this.outputFile);
+  // The code of the file for module `id` in `modulesDir`, or null.
+  async readModuleFile(id) {
+    if (!id.startsWith('./')) return null;
+    try {
+      return await fs.readFile(path.join(this.modulesDir, id), 'utf8');
+    } catch {
+      return null;
     }
+  }
+
+  /**
+   * Dependency graph of the project's modules, without running any step:
+   * `graph` maps each module ID to the Set of modules it imports,
+   * `cycles` lists the modules closing an import cycle and `diagnostics`
+   * the imports that could not be resolved.
+   */
+  async dependencyGraph() {
+    const driver = await this.createPluginDriver();
+    const { modules } = await this.prepareModules(driver);
+    const bundler = new Bundler(modules, { resolutions: driver.shared.resolutions });
+    bundler.buildDependencyGraph();
+    const diagnostics = [...driver.diagnostics, ...bundler.diagnostics];
+    return { graph: bundler.graph, cycles: bundler.detectCircularDependencies(), diagnostics };
+  }
 
-    return current;
+  /**
+   * Watch mode: builds, then rebuilds whenever files under `modulesDir`
+   * change, re-analyzing only the changed modules and their dependents.
+   * Returns a PipelineWatcher emitting 'rebuild' and 'error' events; call
+   * its `close()` to stop. Options: `debounce` (ms, default 50).
+   */
+  watch(options = {}) {
+    return new PipelineWatcher(this, options).start();
   }
 
   async writeOutput(value, filePath) {
@@ -152,6 +432,40 @@ export class Pipeline {
     }
   }
 
+  // Sources are module IDs (relative to `modulesDir`) while the pipeline runs;
+  // in the written map they are relative to the map file itself.
+  relativizeSourceMap(map, outputFile) {
+    const outputDir = path.resolve(path.dirname(outputFile));
+    const sources = map.sources.map(source =>
+      path.relative(outputDir, path.resolve(this.modulesDir, source)).replace(/\\/g, '/'));
+    return { ...map, file: path.basename(outputFile), sources };
+  }
+
+  // Reads the source map referenced by a `//# sourceMappingURL=` comment in
+  // the file at `filePath`, with its sources rewritten to module IDs.
+  async loadInputSourceMap(code, filePath) {
+    const url = findSourceMappingURL(code);
+    if (!url) return null;
+    let map;
+    let mapDir = path.dirname(filePath);
+    try {
+      if (url.startsWith('data:')) {
+        map = decodeDataURL(url);
+      } else {
+        const mapPath = path.resolve(mapDir, decodeURIComponent(url));
+        map = JSON.parse(await fs.readFile(mapPath, 'utf8'));
+        mapDir = path.dirname(mapPath);
+      }
+    } catch {
+      return null;
+    }
+    if (!map || map.version !== 3) return null;
+    const root = map.sourceRoot ? path.resolve(mapDir, map.sourceRoot) : mapDir;
+    const sources = (map.sources || []).map(source =>
+      normalizeModuleId(path.relative(this.modulesDir, path.resolve(root, source))));
+    return { ...map, sourceRoot: undefined, sources };
+  }
+
   async loadModules() {
     const root = this.modulesDir;
     const modules = new Map();
@@ -161,11 +475,17 @@ export class Pipeline {
       for (const entry of entries) {
         const full = path.join(dir, entry.name);
         if (entry.isDirectory()) {
+          // Dependencies are pulled in through node resolution, not the walk.
+          if (entry.name === 'node_modules') continue;
           await walk(full);
         } else if (entry.isFile() && entry.name.endsWith('.js')) {
           const rel = './' + path.relative(root, full).replace(/\\/g, '/');
           const code = await fs.readFile(full, 'utf8');
           modules.set(rel, code);
+          if (this.sourceMaps && !this.inputSourceMaps.has(rel)) {
+            const inputMap = await this.loadInputSourceMap(code, full);
+            if (inputMap) this.inputSourceMaps.set(rel, inputMap);
+          }
         }
       }
     };
@@ -0,0 +1,211 @@
+// src/plugins.js
+// Plugin hooks for Pipeline (`pipeline.use(plugin)`), and the built-in steps
+// (`useTreeShaker`, `useBundler`, ...) implemented as plugins.
+//
+// A plugin is an object with a `name` and any of these hooks, run in the
+// order the plugins were added. Hooks may be async and are called with a
+// context as `this` (see `PluginDriver.contextFor`).
+//   - resolveId(source, importer)  -> module ID, { id, sideEffects } or null
+//   - load(id)                     -> code, { code, map } or null
+//       The first plugin returning a value decides; with no plugin left,
+//       relative imports resolve to the module map or the files in
+//       `modulesDir`.
+//   - transform(code, id)          -> code, { code, map } or null
+//       Every module, once loaded.
+//   - transformModules(modules)    -> Map<id, code>, { modules, maps } or null
+//       The whole module map (tree shaking).
+//   - renderModules(modules)       -> code, { code, map }, { chunks, manifest } or null
+//       Turns the module map into the output; the first plugin returning
+//       code decides (bundling). Split output is a list of chunks
+//       ({ fileName, code, map, isEntry, modules }, the entry first) and
+//       the manifest `Pipeline.run` returns.
+//   - renderChunk(code, chunk)     -> code, { code, map } or null
+//       Each output chunk (minification, obfuscation, banners). `chunk` is
+//       { fileName, entry, isEntry, modules }.
+//   - generateBundle(bundle)
+//       `bundle` maps file names to { type: 'chunk', fileName, code, map }
+//       and { type: 'asset', fileName, source }; changes to it (including
+//       added assets) are written next to the output file.
+// Returning null (or undefined) leaves the value unchanged.
+
+import { TreeShaker } from './tree-shaking.js';
+import { Minifier } from './minification.js';
+import { Bundler } from './bundling.js';
+import { Obfuscator } from './obfuscation.js';
+import { composeSourceMaps } from './source-map.js';
+import { memoize } from './module-cache.js';
+
+const PLUGIN_HOOKS = new Set([
+  'resolveId',
+  'load',
+  'transform',
+  'transformModules',
+  'renderModules',
+  'renderChunk',
+  'generateBundle',
+]);
+
+// Checks that `plugin` looks like a plugin, so that a misspelled hook is
+// reported instead of being silently skipped.
+export function validatePlugin(plugin) {
+  if (!plugin || typeof plugin !== 'object') {
+    throw new Error(`A plugin must be an object with hooks, got ${plugin === null ? 'null' : typeof plugin}`);
+  }
+  const name = plugin.name || 'anonymous';
+  for (const [key, value] of Object.entries(plugin)) {
+    if (typeof value === 'function' && !PLUGIN_HOOKS.has(key)) {
+      throw new Error(`Unknown hook "${key}" in plugin ${name}`);
+    }
+  }
+  return plugin;
+}
+
+// Splits a hook result into code and source map.
+function codeAndMap(result) {
+  return typeof result === 'string' ? { code: result, map: null } : { code: result.code, map: result.map || null };
+}
+
+export class PluginDriver {
+  // `shared` is the part of the hook context common to all plugins.
+  constructor(plugins, shared = {}) {
+    this.plugins = plugins;
+    this.shared = shared;
+    this.diagnostics = shared.diagnostics || [];
+    this.contexts = new Map(plugins.map(plugin => [plugin, this.contextFor(plugin)]));
+  }
+
+  // The `this` of a plugin's hooks: the shared context (`pipeline`, `entry`,
+  // the output `fileName`, `sourceMap`, `cache`, `resolutions`,
+  // `moduleSideEffects`), plus `warn` to report a diagnostic (a message, or
+  // a diagnostic object as-is).
+  contextFor(plugin) {
+    const name = plugin.name || 'anonymous';
+    return {
+      ...this.shared,
+      warn: (diagnostic) => {
+        this.diagnostics.push(typeof diagnostic === 'string'
+          ? { type: 'plugin', plugin: name, message: `[${name}] ${diagnostic}` }
+          : diagnostic);
+      },
+    };
+  }
+
+  has(hook) {
+    return this.plugins.some(plugin => typeof plugin[hook] === 'function');
+  }
+
+  call(plugin, hook, args) {
+    return plugin[hook].apply(this.contexts.get(plugin), args);
+  }
+
+  // The first non-null result of `hook`, or null.
+  async first(hook, ...args) {
+    for (const plugin of this.plugins) {
+      if (typeof plugin[hook] !== 'function') continue;
+      const result = await this.call(plugin, hook, args);
+      if (result != null) return result;
+    }
+    return null;
+  }
+
+  // Passes `code` through every plugin's `hook` (transform, renderChunk),
+  // composing the source maps they return.
+  async chain(hook, code, ...args) {
+    let map = null;
+    for (const plugin of this.plugins) {
+      if (typeof plugin[hook] !== 'function') continue;
+      const result = await this.call(plugin, hook, [code, ...args]);
+      if (result == null) continue;
+      const next = codeAndMap(result);
+      code = next.code;
+      if (next.map) map = map ? composeSourceMaps(next.map, map) : next.map;
+    }
+    return { code, map };
+  }
+
+  async each(hook, ...args) {
+    for (const plugin of this.plugins) {
+      if (typeof plugin[hook] === 'function') await this.call(plugin, hook, args);
+    }
+  }
+}
+
+// ---- Built-in steps ----
+
+export function treeShakePlugin(options = {}) {
+  return {
+    name: 'minibun:tree-shake',
+    async transformModules(modules) {
+      if (this.cache) await this.cache.load(modules.values());
+      const shaker = new TreeShaker(modules, {
+        ...options,
+        resolutions: this.resolutions,
+        moduleSideEffects: this.moduleSideEffects,
+        sourceMap: this.sourceMap,
+        cache: this.cache,
+      });
+      const shaken = shaker.shake(this.entry);
+      this.pipeline.graph = shaker.dependencyGraph;
+      shaker.diagnostics.forEach(this.warn);
+      return { modules: shaken, maps: shaker.sourceMaps };
+    },
+  };
+}
+
+export function bundlePlugin(options = {}) {
+  return {
+    name: 'minibun:bundle',
+    async renderModules(modules) {
+      if (this.cache) await this.cache.load(modules.values());
+      const bundler = new Bundler(modules, {
+        entryFileName: this.fileName,
+        ...options,
+        resolutions: this.resolutions,
+        sourceMap: this.sourceMap,
+        cache: this.cache,
+      });
+      // `splitChunks`: a chunk per `import()`ed module (see `bundleChunks`).
+      const result = options.splitChunks
+        ? bundler.bundleChunks(this.entry)
+        : { code: bundler.bundle(this.entry), map: bundler.sourceMap };
+      this.pipeline.graph = bundler.graph;
+      bundler.diagnostics.forEach(this.warn);
+      return result;
+    },
+  };
+}
+
+export function minifyPlugin(options = {}) {
+  return {
+    name: 'minibun:minify',
+    async renderChunk(code, chunk) {
+      const sourceMap = this.sourceMap;
+      if (this.cache) await this.cache.load([code]);
+      const key = `minify:${JSON.stringify({ ...options, sourceMap })}`;
+      return memoize(this.cache, `*minify*:${chunk.fileName}`, code, key, () => {
+        const minifier = new Minifier({ ...options, sourceMap });
+        return { code: minifier.minify(code), map: minifier.sourceMap };
+      });
+    },
+  };
+}
+
+export function obfuscatePlugin(options = {}) {
+  return {
+    name: 'minibun:obfuscate',
+    renderChunk(code) {
+      const obfuscator = new Obfuscator({ ...options, sourceMap: this.sourceMap });
+      return { code: obfuscator.obfuscate(code), map: obfuscator.sourceMap };
+    },
+  };
+}
+
+// CommonJS export
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports.PluginDriver = PluginDriver;
+  module.exports.validatePlugin = validatePlugin;
+  module.exports.treeShakePlugin = treeShakePlugin;
+  module.exports.bundlePlugin = bundlePlugin;
+  module.exports.minifyPlugin = minifyPlugin;
+  module.exports.obfuscatePlugin = obfuscatePlugin;
+}
@@ -0,0 +1,154 @@
+// src/resolver.js
+// Module specifier resolution shared by the Bundler and TreeShaker.
+//
+// Module IDs are the keys of the module map, written as root-relative POSIX
+// paths such as './lib/a.js' (the shape produced by `Pipeline.loadModules`).
+// Specifiers are resolved relative to the importing module:
+//   - './x.js', '../x.js' and '/x.js' are joined with the importer's directory.
+//   - Extensionless specifiers try each configured extension ('./x' -> './x.js').
+//   - Directory specifiers fall back to an index file ('./lib' -> './lib/index.js').
+//   - Bare specifiers ('preact') only resolve when the map has that exact key,
+//     or through `options.resolutions` (see `NodeResolver.expand`).
+//   - URL-scheme specifiers ('node:fs', 'https://...') are external: they
+//     resolve only like bare ones, and are never reported.
+// Anything else that cannot be resolved is recorded as a diagnostic instead
+// of being silently ignored.
+
+const DEFAULT_EXTENSIONS = ['.js', '.mjs', '.cjs'];
+
+function isRelativeSpecifier(specifier) {
+  return specifier.startsWith('./') || specifier.startsWith('../') ||
+    specifier === '.' || specifier === '..' || specifier.startsWith('/');
+}
+
+// 'node:fs', 'data:...', 'https://...': left to the runtime.
+export function hasURLScheme(specifier) {
+  return /^[a-z][a-z0-9+.-]*:/i.test(specifier);
+}
+
+// Normalizes a path into a module ID: POSIX separators, no '.' or '..'
+// segments (unless they escape the root), and a leading './'.
+export function normalizeModuleId(filePath) {
+  const segments = [];
+  for (const part of String(filePath).replace(/\\/g, '/').split('/')) {
+    if (part === '' || part === '.') continue;
+    if (part === '..' && segments.length && segments[segments.length - 1] !== '..') {
+      segments.pop();
+    } else {
+      segments.push(part);
+    }
+  }
+  const joined = segments.join('/');
+  return joined.startsWith('../') || joined === '..' ? joined : `./${joined}`;
+}
+
+function dirnameOf(moduleId) {
+  const index = moduleId.lastIndexOf('/');
+  return index === -1 ? '.' : moduleId.slice(0, index);
+}
+
+// Converts a package.json `sideEffects` glob into a RegExp over POSIX paths
+// relative to the package root. Like webpack, patterns without a '/' match
+// the file name in any directory.
+function globToRegExp(pattern) {
+  let glob = String(pattern).replace(/\\/g, '/').replace(/^\.\//, '');
+  if (!glob.includes('/')) glob = `**/${glob}`;
+  let source = '';
+  for (let i = 0; i < glob.length; i++) {
+    const ch = glob[i];
+    if (ch === '*' && glob[i + 1] === '*') {
+      const slash = glob[i + 2] === '/';
+      source += slash ? '(?:.*/)?' : '.*';
+      i += slash ? 2 : 1;
+    } else if (ch === '*') {
+      source += '[^/]*';
+    } else if (ch === '?') {
+      source += '[^/]';
+    } else {
+      source += ch.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+// Interprets a `sideEffects` declaration (package.json field or TreeShaker
+// option) for the file at `filePath`, relative to the declaring root.
+// Returns true/false, or undefined when nothing is declared.
+export function declaredSideEffects(field, filePath) {
+  if (typeof field === 'boolean') return field;
+  if (!Array.isArray(field)) return undefined;
+  const relative = normalizeModuleId(filePath).replace(/^\.\//, '');
+  return field.some(pattern => globToRegExp(pattern).test(relative));
+}
+
+export class ModuleResolver {
+  constructor(moduleIds, options = {}) {
+    // moduleIds: Map (keys are used), Set, array, or plain object of modules.
+    if (moduleIds instanceof Map) {
+      this.moduleIds = new Set(moduleIds.keys());
+    } else if (moduleIds && typeof moduleIds[Symbol.iterator] === 'function') {
+      this.moduleIds = new Set(moduleIds);
+    } else {
+      this.moduleIds = new Set(Object.keys(moduleIds || {}));
+    }
+    this.extensions = options.extensions || DEFAULT_EXTENSIONS;
+    // Precomputed resolutions: Map<importerId, Map<specifier, moduleId>>
+    this.resolutions = options.resolutions || new Map();
+    this.diagnostics = [];
+  }
+
+  // Returns the candidate IDs tried for `specifier`, in priority order.
+  candidates(specifier, importer) {
+    if (!isRelativeSpecifier(specifier)) return [specifier];
+
+    const base = specifier.startsWith('/')
+      ? normalizeModuleId(specifier)
+      : normalizeModuleId(`${importer ? dirnameOf(importer) : '.'}/${specifier}`);
+
+    const list = [base];
+    for (const ext of this.extensions) list.push(base + ext);
+    for (const ext of this.extensions) list.push(`${base}/index${ext}`);
+    return list;
+  }
+
+  // Resolves `specifier` imported from module `importer` to a module ID, or
+  // returns null and records an 'unresolved' diagnostic (except for URL
+  // schemes, which are external).
+  resolve(specifier, importer = null) {
+    const known = this.resolutions.get(importer);
+    if (known && known.has(specifier)) return known.get(specifier);
+    for (const candidate of this.candidates(specifier, importer)) {
+      if (this.moduleIds.has(candidate)) return candidate;
+    }
+    if (hasURLScheme(specifier)) return null;
+    this.diagnostics.push({
+      type: 'unresolved',
+      specifier,
+      importer,
+      message: importer
+        ? `Cannot resolve "${specifier}" imported from "${importer}"`
+        : `Cannot resolve "${specifier}"`,
+    });
+    return null;
+  }
+
+  // Resolves an entry point given as a path relative to the module root.
+  // A missing entry leaves nothing to build, so its diagnostic is an error
+  // (`severity: 'error'`) rather than a warning.
+  resolveEntry(entry) {
+    const specifier = isRelativeSpecifier(entry) || this.moduleIds.has(entry) ? entry : `./${entry}`;
+    const reported = this.diagnostics.length;
+    const resolved = this.resolve(specifier, null);
+    if (resolved) return resolved;
+    Object.assign(this.diagnostics[reported], { severity: 'error', message: `Cannot resolve entry "${entry}"` });
+    return entry;
+  }
+}
+
+// CommonJS export
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports.ModuleResolver = ModuleResolver;
+  module.exports.normalizeModuleId = normalizeModuleId;
+  module.exports.declaredSideEffects = declaredSideEffects;
+  module.exports.hasURLScheme = hasURLScheme;
+}
@@ -0,0 +1,558 @@
+// src/scope.js
+// Lexical scope analysis over the significant token stream (see
+// `significantTokens`). Builds a tree of module/script, function, block,
+// catch and class scopes, records every binding's declarations, and resolves
+// each identifier reference to the binding it names (or to a global). The
+// Minifier's mangler and the Obfuscator's renamer are built on top of it.
+//
+// Bindings that cannot be renamed safely are flagged instead of guessed at:
+// imported and exported bindings are `pinned`, and scopes that contain a
+// direct `eval(...)` or a `with` statement, together with all their
+// ancestors, are `dynamic`.
+
+import {
+  isPunctuator,
+  isWord,
+  isOpeningBracket,
+  isClosingBracket,
+  skipExpression,
+  skipStatement,
+  collectBindingNames,
+  classifyBraces,
+  findReferences,
+  isMemberKeyPosition,
+} from './parser.js';
+import { identifierName } from './ast.js';
+
+// Words that can never be used as generated binding names.
+const RESERVED_WORDS = new Set([
+  'break', 'case', 'catch', 'class', 'const', 'continue', 'debugger', 'default', 'delete',
+  'do', 'else', 'enum', 'export', 'extends', 'false', 'finally', 'for', 'function', 'if',
+  'implements', 'import', 'in', 'instanceof', 'interface', 'let', 'new', 'null', 'package',
+  'private', 'protected', 'public', 'return', 'static', 'super', 'switch', 'this', 'throw',
+  'true', 'try', 'typeof', 'var', 'void', 'while', 'with', 'yield', 'await', 'async', 'of',
+  'arguments', 'eval', 'undefined', 'NaN', 'Infinity',
+]);
+
+const NAME_START = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ$_';
+const NAME_PART = `${NAME_START}0123456789`;
+
+export class Binding {
+  constructor(name, kind, scope) {
+    this.name = name;
+    this.kind = kind; // 'var' | 'let' | 'const' | 'function' | 'class' | 'param' | 'catch' | 'import'
+    this.scope = scope;
+    this.declarations = []; // token indices of declaring identifiers
+    this.tokens = new Map(); // token index -> shorthand (`{ a }`), declarations and references
+    this.pinned = false; // imported, exported or otherwise not renamable
+  }
+
+  get references() {
+    return [...this.tokens.keys()].filter(index => !this.declarations.includes(index));
+  }
+}
+
+export class Scope {
+  constructor(kind, parent, start) {
+    this.kind = kind; // 'module' | 'script' | 'function' | 'block' | 'catch' | 'class'
+    this.parent = parent;
+    this.children = [];
+    this.bindings = new Map();
+    this.start = start;
+    this.end = Infinity;
+    this.dynamic = false; // contains (or encloses) direct eval or `with`
+    if (parent) parent.children.push(this);
+  }
+
+  lookup(name) {
+    for (let scope = this; scope; scope = scope.parent) {
+      const binding = scope.bindings.get(name);
+      if (binding) return binding;
+    }
+    return null;
+  }
+
+  declare(name, kind, index) {
+    let binding = this.bindings.get(name);
+    if (!binding) {
+      binding = new Binding(name, kind, this);
+      this.bindings.set(name, binding);
+    }
+    if (index !== undefined && !binding.declarations.includes(index)) {
+      binding.declarations.push(index);
+      binding.tokens.set(index, false);
+    }
+    return binding;
+  }
+
+  // The scope `var` declarations in this scope are hoisted to.
+  varScope() {
+    let scope = this;
+    while (scope.kind !== 'function' && scope.parent) scope = scope.parent;
+    return scope;
+  }
+
+  markDynamic() {
+    for (let scope = this; scope; scope = scope.parent) scope.dynamic = true;
+  }
+}
+
+// Partner index of every bracket token, and the innermost open bracket
+// enclosing every token.
+function matchBrackets(tokens) {
+  const partner = new Array(tokens.length);
+  const enclosing = new Array(tokens.length);
+  const stack = [];
+  tokens.forEach((tok, i) => {
+    enclosing[i] = stack[stack.length - 1];
+    if (isOpeningBracket(tok)) {
+      stack.push(i);
+    } else if (isClosingBracket(tok)) {
+      const open = stack.pop();
+      if (open !== undefined) {
+        partner[open] = i;
+        partner[i] = open;
+      }
+    }
+  });
+  return { partner, enclosing };
+}
+
+function hasModuleSyntax(tokens) {
+  let depth = 0;
+  for (let i = 0; i < tokens.length; i++) {
+    const tok = tokens[i];
+    if (isOpeningBracket(tok)) depth++;
+    else if (isClosingBracket(tok)) depth--;
+    if (depth !== 0 || isPunctuator(tokens[i - 1], '.')) continue;
+    if (isWord(tok, 'export')) return true;
+    if (isWord(tok, 'import') && !isPunctuator(tokens[i + 1], '(') && !isPunctuator(tokens[i + 1], '.')) return true;
+  }
+  return false;
+}
+
+// Analyzes `tokens` (significant tokens). `options.module` forces module
+// (true) or script (false) semantics; by default code with top-level
+// import/export is a module. In a script, top-level bindings are globals.
+// Returns { root, scopes, bindings, scopeAt, globals, isModule } where
+// `scopeAt[i]` is the scope token i belongs to and `globals` holds the
+// names of unresolved references (`globalReferences` lists where each one
+// occurs).
+export function analyzeScopes(tokens, options = {}) {
+  // Names are compared with their escapes resolved: `\u0062ee` declares
+  // and references the same binding as `bee`.
+  tokens = tokens.map(tok => (tok.type === 'identifier' && tok.value.includes('\\')
+    ? { ...tok, value: identifierName(tok.value) }
+    : tok));
+  const { partner, enclosing } = matchBrackets(tokens);
+  const braceKinds = classifyBraces(tokens);
+  const isModule = options.module ?? hasModuleSyntax(tokens);
+  const root = new Scope(isModule ? 'module' : 'script', null, 0);
+  const scopes = [root];
+  const scopeAt = new Array(tokens.length);
+  const scopeOverride = new Map(); // token index -> scope (declaration names)
+  const ownBodies = new Set(); // `{` indices that do not open a block scope (function bodies, specifier lists)
+  const ownParams = new Set(); // `(` indices already handled as function/catch parameters
+  const nonReferences = new Set(); // identifiers that are labels or module interface names
+  const exportedLocals = []; // token indices of `export { local }` names
+  const arrows = new Map(); // parameter start index -> `=>` index
+
+  tokens.forEach((tok, i) => {
+    if (!isPunctuator(tok, '=>')) return;
+    arrows.set(isPunctuator(tokens[i - 1], ')') ? partner[i - 1] : i - 1, i);
+  });
+
+  const stack = [root];
+  const brackets = []; // 'paren' | 'bracket' | 'object' | 'block' | 'class' | 'template'
+  const top = () => stack[stack.length - 1];
+  const open = (kind, start, end) => {
+    const scope = new Scope(kind, top(), start);
+    scope.end = end;
+    scopes.push(scope);
+    stack.push(scope);
+    return scope;
+  };
+
+  const declarePattern = (scope, index, kind) => {
+    const names = [];
+    const indices = [];
+    const next = collectBindingNames(tokens, index, names, indices);
+    names.forEach((name, k) => {
+      const binding = scope.declare(name, kind, indices[k]);
+      // `{ a }` in an object pattern names both the property and the binding.
+      const at = indices[k];
+      const pattern = enclosing[at];
+      if (isPunctuator(tokens[pattern], '{') && braceKinds[pattern] === 'object' &&
+          (isPunctuator(tokens[at - 1], '{') || isPunctuator(tokens[at - 1], ','))) {
+        binding.tokens.set(at, true);
+      }
+    });
+    return next;
+  };
+  const declareParams = (scope, paren) => {
+    const close = partner[paren];
+    let j = paren + 1;
+    while (j < close) {
+      if (isPunctuator(tokens[j], ',') || isPunctuator(tokens[j], '...')) {
+        j++;
+        continue;
+      }
+      j = declarePattern(scope, j, 'param');
+      if (isPunctuator(tokens[j], '=')) j = skipExpression(tokens, j + 1);
+      if (j <= paren) break;
+    }
+  };
+
+  // Whether a `function`/`class` at `index` is a declaration rather than an
+  // expression.
+  const isStatementStart = (index) => {
+    const prev = tokens[index - 1];
+    if (!prev || prev.type === 'hashbang') return true;
+    if (prev.type === 'punctuator') {
+      if (prev.value === ';' || prev.value === '}' || prev.value === ')') return true;
+      if (prev.value === '{') return braceKinds[index - 1] === 'block';
+      if (prev.value === ':') return brackets[brackets.length - 1] !== 'object' && brackets[brackets.length - 1] !== 'paren';
+      return false;
+    }
+    if (prev.type === 'keyword') return ['else', 'do', 'export', 'default'].includes(prev.value);
+    return prev.type === 'identifier';
+  };
+
+  const handleModuleClause = (i) => {
+    const tok = tokens[i];
+    let j = i + 1;
+    if (tok.value === 'import') {
+      if (tokens[j].type === 'string') return;
+      if (tokens[j].type === 'identifier') {
+        root.declare(tokens[j].value, 'import', j).pinned = true;
+        j++;
+        if (isPunctuator(tokens[j], ',')) j++;
+      }
+    }
+    if (isPunctuator(tokens[j], '*')) {
+      j++;
+      if (isWord(tokens[j], 'as')) {
+        nonReferences.add(j);
+        if (tok.value === 'import') root.declare(tokens[j + 1].value, 'import', j + 1).pinned = true;
+        else nonReferences.add(j + 1);
+        j += 2;
+      }
+    } else if (isPunctuator(tokens[j], '{')) {
+      const close = partner[j];
+      const from = close + 1;
+      ownBodies.add(j);
+      const reexport = tok.value === 'export' && isWord(tokens[from], 'from');
+      for (let k = j + 1; k < close; k++) {
+        const spec = tokens[k];
+        if (isPunctuator(spec, ',')) continue;
+        const aliased = isWord(tokens[k + 1], 'as');
+        if (tok.value === 'import') {
+          if (aliased) {
+            nonReferences.add(k).add(k + 1);
+            k += 2;
+          }
+          root.declare(tokens[k].value, 'import', k).pinned = true;
+        } else {
+          if (reexport) nonReferences.add(k);
+          else exportedLocals.push(k);
+          if (aliased) {
+            nonReferences.add(k + 1).add(k + 2);
+            k += 2;
+          }
+        }
+      }
+      j = from;
+    }
+    if (isWord(tokens[j], 'from')) nonReferences.add(j);
+  };
+
+  for (let i = 0; i < tokens.length; i++) {
+    while (stack.length > 1 && i > top().end) stack.pop();
+    const tok = tokens[i];
+    const prev = tokens[i - 1];
+    scopeAt[i] = scopeOverride.get(i) || top();
+    const scope = top();
+
+    if (arrows.has(i)) {
+      const arrow = arrows.get(i);
+      let end;
+      if (isPunctuator(tokens[arrow + 1], '{')) {
+        end = partner[arrow + 1];
+        ownBodies.add(arrow + 1);
+      } else {
+        end = skipExpression(tokens, arrow + 1) - 1;
+      }
+      const fn = open('function', i, end);
+      scopeAt[i] = fn;
+      if (isPunctuator(tok, '(')) declareParams(fn, i);
+      else fn.declare(tok.value, 'param', i);
+    }
+
+    if (tok.type === 'templateHead') brackets.push('template');
+    else if (tok.type === 'templateTail') brackets.pop();
+    if (tok.type === 'punctuator') {
+      if (tok.value === '(') {
+        const container = brackets[brackets.length - 1];
+        const bodyOpen = partner[i] + 1;
+        const isMethod = (container === 'object' || container === 'class') && !arrows.has(i) && !ownParams.has(i) &&
+          isPunctuator(tokens[bodyOpen], '{') && !isPunctuator(prev, '(');
+        if (isMethod) {
+          const fn = open('function', i, partner[bodyOpen]);
+          scopeAt[i] = fn;
+          declareParams(fn, i);
+          ownBodies.add(bodyOpen);
+        }
+        brackets.push('paren');
+      } else if (tok.value === '[') {
+        brackets.push('bracket');
+      } else if (tok.value === '{') {
+        if (braceKinds[i] === 'block' && !ownBodies.has(i)) {
+          scopeAt[i] = open('block', i, partner[i]);
+        }
+        brackets.push(braceKinds[i]);
+      } else if (tok.value === ')' || tok.value === ']' || tok.value === '}') {
+        brackets.pop();
+      }
+      continue;
+    }
+
+    if (isPunctuator(prev, '.') || isPunctuator(prev, '?.')) continue;
+
+    if (tok.type === 'identifier') {
+      // Labels (`outer: for ...`) and `break outer` are not references.
+      const container = brackets[brackets.length - 1];
+      if (isPunctuator(tokens[i + 1], ':') && container !== 'object' && container !== 'class' &&
+          container !== 'paren' && container !== 'bracket' && isStatementStart(i)) {
+        nonReferences.add(i);
+      }
+      if ((isWord(prev, 'break') || isWord(prev, 'continue')) && !tok.lineBreakBefore) nonReferences.add(i);
+      if (tok.value === 'eval' && isPunctuator(tokens[i + 1], '(')) scope.markDynamic();
+      continue;
+    }
+    if (tok.type !== 'keyword') continue;
+    // Keywords naming members: `{ new: 1 }`, `class A { class() {} }`
+    const container = brackets[brackets.length - 1];
+    if ((container === 'object' || container === 'class') && isMemberKeyPosition(prev, container)) continue;
+
+    switch (tok.value) {
+      case 'with':
+        scope.markDynamic();
+        break;
+      case 'import':
+      case 'export':
+        if (scope === root && !isPunctuator(tokens[i + 1], '(') && !isPunctuator(tokens[i + 1], '.')) {
+          handleModuleClause(i);
+        }
+        break;
+      case 'var':
+        declareDeclarators(scope.varScope(), i + 1, 'var');
+        break;
+      case 'let':
+      case 'const':
+        declareDeclarators(scope, i + 1, tok.value);
+        break;
+      case 'function': {
+        let j = i + 1;
+        if (isPunctuator(tokens[j], '*')) j++;
+        const nameIndex = tokens[j].type === 'identifier' ? j : -1;
+        const paren = nameIndex === -1 ? j : j + 1;
+        if (!isPunctuator(tokens[paren], '(')) break;
+        const bodyOpen = partner[paren] + 1;
+        const declaration = isStatementStart(isWord(prev, 'async') ? i - 1 : i);
+        if (declaration && nameIndex !== -1) {
+          // Scripts follow the legacy (Annex B) hoisting of block functions.
+          const target = isModule ? scope : scope.varScope();
+          target.declare(tokens[nameIndex].value, 'function', nameIndex);
+          scopeOverride.set(nameIndex, scope);
+        }
+        const fn = open('function', i, partner[bodyOpen]);
+        scopeAt[i] = fn;
+        if (!declaration && nameIndex !== -1) fn.declare(tokens[nameIndex].value, 'function', nameIndex);
+        declareParams(fn, paren);
+        ownParams.add(paren);
+        ownBodies.add(bodyOpen);
+        break;
+      }
+      case 'class': {
+        const nameIndex = tokens[i + 1].type === 'identifier' ? i + 1 : -1;
+        let bodyOpen = nameIndex === -1 ? i + 1 : i + 2;
+        while (bodyOpen < tokens.length && !isPunctuator(tokens[bodyOpen], '{')) {
+          const t = tokens[bodyOpen];
+          bodyOpen = isPunctuator(t, '(') || isPunctuator(t, '[') ? partner[bodyOpen] + 1 : bodyOpen + 1;
+        }
+        const declaration = isStatementStart(i);
+        if (declaration && nameIndex !== -1) {
+          scope.declare(tokens[nameIndex].value, 'class', nameIndex);
+          scopeOverride.set(nameIndex, scope);
+        }
+        const cls = open('class', i, partner[bodyOpen]);
+        scopeAt[i] = cls;
+        if (!declaration && nameIndex !== -1) cls.declare(tokens[nameIndex].value, 'class', nameIndex);
+        break;
+      }
+      case 'catch':
+        if (isPunctuator(tokens[i + 1], '(')) {
+          const bodyOpen = partner[i + 1] + 1;
+          const handler = open('catch', i, partner[bodyOpen]);
+          scopeAt[i] = handler;
+          declarePattern(handler, i + 2, 'catch');
+          ownParams.add(i + 1);
+          ownBodies.add(bodyOpen);
+        }
+        break;
+      case 'for': {
+        const paren = isWord(tokens[i + 1], 'await') ? i + 2 : i + 1;
+        if (isPunctuator(tokens[paren], '(') && (isWord(tokens[paren + 1], 'let') || isWord(tokens[paren + 1], 'const'))) {
+          const close = partner[paren];
+          const end = isPunctuator(tokens[close + 1], '{') ? partner[close + 1] : skipStatement(tokens, close + 1) - 1;
+          scopeAt[i] = open('block', i, end);
+        }
+        break;
+      }
+      default:
+        break;
+    }
+  }
+
+  function declareDeclarators(target, index, kind) {
+    let j = index;
+    for (;;) {
+      j = declarePattern(target, j, kind);
+      if (isPunctuator(tokens[j], '=')) j = skipExpression(tokens, j + 1);
+      if (!isPunctuator(tokens[j], ',')) break;
+      j++;
+    }
+  }
+
+  // Resolve references.
+  const globals = new Set();
+  const globalReferences = []; // [token index, name]
+  for (const { index, shorthand } of findReferences(tokens)) {
+    if (nonReferences.has(index)) continue;
+    const binding = scopeAt[index].lookup(tokens[index].value);
+    if (binding) {
+      binding.tokens.set(index, shorthand || binding.tokens.get(index) === true);
+    } else {
+      globals.add(tokens[index].value);
+      globalReferences.push([index, tokens[index].value]);
+    }
+  }
+  for (const index of exportedLocals) {
+    const binding = root.lookup(tokens[index].value);
+    if (binding) binding.pinned = true;
+  }
+  // `export const a`, `export function f`: the declared names are the
+  // module's interface.
+  tokens.forEach((tok, i) => {
+    if (!isWord(tok, 'export') || scopeAt[i] !== root) return;
+    let j = i + 1;
+    if (isWord(tokens[j], 'async')) j++;
+    if (isWord(tokens[j], 'function') || isWord(tokens[j], 'class')) {
+      if (isPunctuator(tokens[j + 1], '*')) j++;
+      const binding = tokens[j + 1] && root.bindings.get(tokens[j + 1].value);
+      if (binding) binding.pinned = true;
+    } else if (isWord(tokens[j], 'var') || isWord(tokens[j], 'let') || isWord(tokens[j], 'const')) {
+      const names = [];
+      let k = j + 1;
+      for (;;) {
+        k = collectBindingNames(tokens, k, names);
+        if (isPunctuator(tokens[k], '=')) k = skipExpression(tokens, k + 1);
+        if (!isPunctuator(tokens[k], ',')) break;
+        k++;
+      }
+      names.forEach(name => root.bindings.get(name) && (root.bindings.get(name).pinned = true));
+    }
+  });
+  const bindings = scopes.flatMap(scope => [...scope.bindings.values()]);
+  return { root, scopes, bindings, scopeAt, globals, globalReferences, isModule };
+}
+
+// Whether `binding` may be renamed without changing behaviour. Top-level
+// bindings of a script are globals other scripts can see; `topLevel` allows
+// renaming them anyway (for code that runs in a scope of its own).
+export function isRenamable(binding, topLevel = false) {
+  return !binding.pinned && !binding.scope.dynamic && (topLevel || binding.scope.kind !== 'script');
+}
+
+// The `index`-th name of the sequence a, b, ..., $, _, aa, ab, ...
+export function shortName(index) {
+  let n = index;
+  let name = NAME_START[n % NAME_START.length];
+  n = Math.floor(n / NAME_START.length);
+  while (n > 0) {
+    n -= 1;
+    name += NAME_PART[n % NAME_PART.length];
+    n = Math.floor(n / NAME_PART.length);
+  }
+  return name;
+}
+
+// Picks new names for every renamable binding: the most referenced bindings
+// get the shortest names, and a name is only reused where it cannot capture
+// or shadow another binding's references. Returns Map<Binding, newName>.
+// Options: `reserved` (names never used or renamed), `nameFor(index)`
+// (name sequence, `shortName` by default) and `topLevel` (see `isRenamable`).
+export function assignNames(analysis, options = {}) {
+  const reserved = new Set(options.reserved || []);
+  const nameFor = options.nameFor || shortName;
+  const { scopeAt, bindings, globals } = analysis;
+
+  // For every scope: how often each final name is declared or referenced in
+  // its subtree.
+  const used = new Map(analysis.scopes.map(scope => [scope, new Map()]));
+  const count = (scope, name, delta) => {
+    for (let s = scope; s; s = s.parent) {
+      const names = used.get(s);
+      names.set(name, (names.get(name) || 0) + delta);
+    }
+  };
+  const contribute = (binding, name, delta) => {
+    count(binding.scope, name, delta);
+    for (const index of binding.tokens.keys()) count(scopeAt[index], name, delta);
+  };
+
+  bindings.forEach(binding => contribute(binding, binding.name, 1));
+  for (const [index, name] of analysis.globalReferences) count(scopeAt[index], name, 1);
+  for (const name of globals) count(analysis.root, name, 1);
+
+  const renames = new Map();
+  const candidates = bindings
+    .filter(binding => isRenamable(binding, options.topLevel) && !reserved.has(binding.name))
+    .sort((a, b) => b.tokens.size - a.tokens.size);
+
+  for (const binding of candidates) {
+    contribute(binding, binding.name, -1);
+    const names = used.get(binding.scope);
+    let name;
+    for (let k = 0; ; k++) {
+      name = nameFor(k);
+      if (!RESERVED_WORDS.has(name) && !reserved.has(name) && !names.get(name)) break;
+    }
+    contribute(binding, name, 1);
+    if (name !== binding.name) renames.set(binding, name);
+  }
+  return renames;
+}
+
+// Replacement text for every token touched by `renames` (see
+// `assignNames`): shorthand `{ a }` entries become `{ a:b }`.
+export function renamedTokens(renames) {
+  const texts = new Map();
+  for (const [binding, name] of renames) {
+    for (const [index, shorthand] of binding.tokens) {
+      texts.set(index, shorthand ? `${binding.name}:${name}` : name);
+    }
+  }
+  return texts;
+}
+
+// CommonJS export
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports.Scope = Scope;
+  module.exports.Binding = Binding;
+  module.exports.analyzeScopes = analyzeScopes;
+  module.exports.isRenamable = isRenamable;
+  module.exports.shortName = shortName;
+  module.exports.assignNames = assignNames;
+  module.exports.renamedTokens = renamedTokens;
+}
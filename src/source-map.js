@@ -0,0 +1,406 @@
+// src/source-map.js
+// Source Map v3 support shared by every pipeline stage.
+//
+// Stages build their output from tokens that still carry their `start`
+// offsets, so each stage records "segments" (generated offset -> original
+// offset) while it writes, and turns them into a map at the end with
+// `MappedOutput.toSourceMap`. Maps of consecutive stages are chained with
+// `composeSourceMaps`. Lines and columns are 0-based throughout, as in the
+// encoded `mappings` field.
+
+const BASE64 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+const BASE64_VALUES = new Map([...BASE64].map((ch, index) => [ch, index]));
+
+// Encodes a signed integer as a Base64 VLQ.
+export function encodeVLQ(value) {
+  let vlq = value < 0 ? ((-value) << 1) | 1 : value << 1;
+  let out = '';
+  do {
+    let digit = vlq & 31;
+    vlq >>>= 5;
+    if (vlq > 0) digit |= 32;
+    out += BASE64[digit];
+  } while (vlq > 0);
+  return out;
+}
+
+// Decodes the Base64 VLQ starting at `index`. Returns { value, next }.
+export function decodeVLQ(text, index = 0) {
+  let result = 0;
+  let shift = 0;
+  let i = index;
+  for (;;) {
+    const digit = BASE64_VALUES.get(text[i++]);
+    if (digit === undefined) throw new Error(`Invalid VLQ character at ${i - 1}`);
+    result += (digit & 31) << shift;
+    shift += 5;
+    if (!(digit & 32)) break;
+  }
+  const value = result & 1 ? -(result >>> 1) : result >>> 1;
+  return { value, next: i };
+}
+
+// Converts string offsets into { line, column } positions.
+export class LineIndex {
+  constructor(text) {
+    this.lineStarts = [0];
+    const pattern = /\r\n?|[\n\u2028\u2029]/g;
+    let match;
+    while ((match = pattern.exec(text))) {
+      this.lineStarts.push(match.index + match[0].length);
+    }
+  }
+
+  position(offset) {
+    let low = 0;
+    let high = this.lineStarts.length - 1;
+    while (low < high) {
+      const mid = (low + high + 1) >> 1;
+      if (this.lineStarts[mid] <= offset) low = mid;
+      else high = mid - 1;
+    }
+    return { line: low, column: offset - this.lineStarts[low] };
+  }
+}
+
+export class SourceMapGenerator {
+  constructor(options = {}) {
+    this.file = options.file || null;
+    this.sources = [];
+    this.sourcesContent = [];
+    this.names = [];
+    this.mappings = [];
+  }
+
+  // Registers a source file and returns its index (sources are deduplicated
+  // by name).
+  addSource(name, content = null) {
+    let index = this.sources.indexOf(name);
+    if (index === -1) {
+      index = this.sources.push(name) - 1;
+      this.sourcesContent.push(content);
+    } else if (content !== null && this.sourcesContent[index] === null) {
+      this.sourcesContent[index] = content;
+    }
+    return index;
+  }
+
+  // mapping: { generated: { line, column }, source?, original?: { line, column }, name? }
+  addMapping(mapping) {
+    const entry = { generated: mapping.generated, source: -1, original: null, name: -1 };
+    if (mapping.source !== undefined && mapping.source !== null && mapping.original) {
+      entry.source = mapping.source;
+      entry.original = mapping.original;
+      if (mapping.name) {
+        let name = this.names.indexOf(mapping.name);
+        if (name === -1) name = this.names.push(mapping.name) - 1;
+        entry.name = name;
+      }
+    }
+    this.mappings.push(entry);
+  }
+
+  encodeMappings() {
+    const sorted = [...this.mappings].sort((a, b) =>
+      a.generated.line - b.generated.line || a.generated.column - b.generated.column);
+    const lines = [];
+    let previous = { source: 0, line: 0, column: 0, name: 0 };
+    let line = 0;
+    let column = 0;
+    let segments = [];
+    let lastKey = null;
+
+    for (const m of sorted) {
+      while (line < m.generated.line) {
+        lines.push(segments.join(','));
+        segments = [];
+        line++;
+        column = 0;
+      }
+      // Several tokens may map from the same generated position; keep one.
+      const key = `${m.generated.line}:${m.generated.column}`;
+      if (key === lastKey) continue;
+      lastKey = key;
+
+      let segment = encodeVLQ(m.generated.column - column);
+      column = m.generated.column;
+      if (m.source !== -1) {
+        segment += encodeVLQ(m.source - previous.source);
+        segment += encodeVLQ(m.original.line - previous.line);
+        segment += encodeVLQ(m.original.column - previous.column);
+        previous.source = m.source;
+        previous.line = m.original.line;
+        previous.column = m.original.column;
+        if (m.name !== -1) {
+          segment += encodeVLQ(m.name - previous.name);
+          previous.name = m.name;
+        }
+      }
+      segments.push(segment);
+    }
+    lines.push(segments.join(','));
+    return lines.join(';');
+  }
+
+  toJSON() {
+    const map = {
+      version: 3,
+      sources: this.sources,
+      sourcesContent: this.sourcesContent,
+      names: this.names,
+      mappings: this.encodeMappings(),
+    };
+    return this.file ? { version: 3, file: this.file, ...map } : map;
+  }
+
+  toString() {
+    return JSON.stringify(this.toJSON());
+  }
+}
+
+// Decodes a Source Map v3 object (or its JSON text) for position lookups.
+export class SourceMapConsumer {
+  constructor(map) {
+    const raw = typeof map === 'string' ? JSON.parse(map) : map;
+    if (!raw || raw.version !== 3) throw new Error('Only version 3 source maps are supported');
+    this.file = raw.file || null;
+    this.sources = (raw.sources || []).map(source => (raw.sourceRoot ? `${raw.sourceRoot.replace(/\/$/, '')}/${source}` : source));
+    this.sourcesContent = raw.sourcesContent || [];
+    this.names = raw.names || [];
+    this.lines = this.decodeMappings(raw.mappings || '');
+  }
+
+  decodeMappings(mappings) {
+    const lines = [];
+    const state = { source: 0, line: 0, column: 0, name: 0 };
+    for (const lineText of mappings.split(';')) {
+      const segments = [];
+      let generatedColumn = 0;
+      for (const segmentText of lineText.split(',')) {
+        if (!segmentText) continue;
+        const fields = [];
+        let i = 0;
+        while (i < segmentText.length) {
+          const { value, next } = decodeVLQ(segmentText, i);
+          fields.push(value);
+          i = next;
+        }
+        generatedColumn += fields[0];
+        const segment = { generatedColumn, source: null, line: null, column: null, name: null };
+        if (fields.length >= 4) {
+          state.source += fields[1];
+          state.line += fields[2];
+          state.column += fields[3];
+          segment.source = this.sources[state.source];
+          segment.line = state.line;
+          segment.column = state.column;
+          if (fields.length >= 5) {
+            state.name += fields[4];
+            segment.name = this.names[state.name];
+          }
+        }
+        segments.push(segment);
+      }
+      segments.sort((a, b) => a.generatedColumn - b.generatedColumn);
+      lines.push(segments);
+    }
+    return lines;
+  }
+
+  // Returns { source, line, column, name } for the segment covering the
+  // generated position, or null when it is unmapped.
+  originalPositionFor({ line, column }) {
+    const segments = this.lines[line];
+    if (!segments || !segments.length) return null;
+    let low = 0;
+    let high = segments.length - 1;
+    if (segments[0].generatedColumn > column) return null;
+    while (low < high) {
+      const mid = (low + high + 1) >> 1;
+      if (segments[mid].generatedColumn <= column) low = mid;
+      else high = mid - 1;
+    }
+    const segment = segments[low];
+    if (segment.source === null || segment.source === undefined) return null;
+    return { source: segment.source, line: segment.line, column: segment.column, name: segment.name };
+  }
+
+  sourceContentFor(source) {
+    const index = this.sources.indexOf(source);
+    return index === -1 ? null : (this.sourcesContent[index] ?? null);
+  }
+
+  eachMapping(callback) {
+    this.lines.forEach((segments, line) => {
+      for (const segment of segments) callback({ generated: { line, column: segment.generatedColumn }, ...segment });
+    });
+  }
+}
+
+// Chains two maps: `outer` maps the final output to an intermediate file and
+// `inner` maps that intermediate file back to the original sources. `inner`
+// is either one map (used for every source of `outer`) or a Map/object keyed
+// by the source names of `outer`; sources without an inner map pass through.
+export function composeSourceMaps(outer, inner) {
+  if (!outer) return null;
+  if (!inner) return outer;
+  const outerMap = new SourceMapConsumer(outer);
+  const single = inner.version === 3 ? new SourceMapConsumer(inner) : null;
+  const keyed = new Map();
+  if (!single) {
+    const entries = inner instanceof Map ? [...inner] : Object.entries(inner);
+    for (const [source, map] of entries) if (map) keyed.set(source, new SourceMapConsumer(map));
+  }
+
+  const generator = new SourceMapGenerator({ file: outerMap.file });
+  outerMap.eachMapping((mapping) => {
+    if (mapping.source === null || mapping.source === undefined) return;
+    const innerMap = single || keyed.get(mapping.source);
+    if (!innerMap) {
+      generator.addMapping({
+        generated: mapping.generated,
+        source: generator.addSource(mapping.source, outerMap.sourceContentFor(mapping.source)),
+        original: { line: mapping.line, column: mapping.column },
+        name: mapping.name,
+      });
+      return;
+    }
+    const original = innerMap.originalPositionFor({ line: mapping.line, column: mapping.column });
+    if (!original) return;
+    generator.addMapping({
+      generated: mapping.generated,
+      source: generator.addSource(original.source, innerMap.sourceContentFor(original.source)),
+      original: { line: original.line, column: original.column },
+      name: original.name || mapping.name,
+    });
+  });
+  return generator.toJSON();
+}
+
+// Output string built piece by piece, remembering where each mapped piece
+// came from. Segments are { generated, source, original, name } with
+// `generated`/`original` as string offsets.
+export class MappedOutput {
+  constructor() {
+    this.code = '';
+    this.sources = []; // [{ name, content }]
+    this.segments = [];
+  }
+
+  addSource(name, content) {
+    const index = this.sources.findIndex(s => s.name === name);
+    if (index !== -1) return index;
+    return this.sources.push({ name, content }) - 1;
+  }
+
+  // Appends unmapped text, or text copied from `original` in `source`.
+  append(text, source = null, original = null, name = null) {
+    if (text && source !== null && original !== null) {
+      this.segments.push({ generated: this.code.length, source, original, name });
+    }
+    this.code += text;
+    return this;
+  }
+
+  // Appends text that carries its own segments (offsets relative to `text`,
+  // as returned by `applyEdits`), all pointing into `source`.
+  appendMapped(text, source, segments) {
+    const base = this.code.length;
+    for (const segment of segments) {
+      this.segments.push({ ...segment, generated: base + segment.generated, source });
+    }
+    this.code += text;
+    return this;
+  }
+
+  toSourceMap(file = null) {
+    const generator = new SourceMapGenerator({ file });
+    const generatedIndex = new LineIndex(this.code);
+    const sourceIndexes = this.sources.map(({ name, content }) => ({
+      index: generator.addSource(name, content),
+      lines: new LineIndex(content || ''),
+    }));
+    for (const segment of this.segments) {
+      const source = sourceIndexes[segment.source];
+      generator.addMapping({
+        generated: generatedIndex.position(segment.generated),
+        source: source.index,
+        original: source.lines.position(segment.original),
+        name: segment.name,
+      });
+    }
+    return generator.toJSON();
+  }
+}
+
+// Segments for copying `code` unchanged: one per token.
+export function identitySegments(tokens) {
+  return tokens
+    .filter(tok => tok.type !== 'whitespace' && tok.type !== 'comment' && tok.type !== 'eof')
+    .map(tok => ({
+      generated: tok.start,
+      original: tok.start,
+      name: tok.type === 'identifier' ? tok.value : null,
+    }));
+}
+
+// Applies non-overlapping { start, end, text } edits to `code`. Returns the
+// new code and segments mapping every copied token (from `tokens`) and every
+// inserted replacement back to `code`.
+export function applyEdits(code, tokens, edits) {
+  const sorted = [...edits].sort((a, b) => a.start - b.start);
+  const copied = identitySegments(tokens);
+  const segments = [];
+  let out = '';
+  let last = 0;
+  let t = 0;
+
+  const copy = (from, to) => {
+    while (t < copied.length && copied[t].original < from) t++;
+    while (t < copied.length && copied[t].original < to) {
+      segments.push({ ...copied[t], generated: out.length + copied[t].original - from });
+      t++;
+    }
+    out += code.slice(from, to);
+  };
+
+  for (const edit of sorted) {
+    copy(last, edit.start);
+    if (edit.text) segments.push({ generated: out.length, original: edit.start, name: null });
+    out += edit.text;
+    last = Math.max(last, edit.end);
+  }
+  copy(last, code.length);
+  return { code: out, segments };
+}
+
+// Returns the URL of a trailing `//# sourceMappingURL=` comment, or null.
+export function findSourceMappingURL(code) {
+  const match = /\/\/[#@]\s*sourceMappingURL=(\S+)\s*$/.exec(String(code));
+  return match ? match[1] : null;
+}
+
+// Decodes an inline `data:application/json;base64,...` source map URL.
+export function decodeDataURL(url) {
+  const match = /^data:application\/json(?:;charset=[\w-]+)?(;base64)?,(.*)$/.exec(url);
+  if (!match) return null;
+  const text = match[1]
+    ? (typeof Buffer !== 'undefined' ? Buffer.from(match[2], 'base64').toString('utf8') : atob(match[2]))
+    : decodeURIComponent(match[2]);
+  return JSON.parse(text);
+}
+
+// CommonJS export
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports.encodeVLQ = encodeVLQ;
+  module.exports.decodeVLQ = decodeVLQ;
+  module.exports.LineIndex = LineIndex;
+  module.exports.SourceMapGenerator = SourceMapGenerator;
+  module.exports.SourceMapConsumer = SourceMapConsumer;
+  module.exports.composeSourceMaps = composeSourceMaps;
+  module.exports.MappedOutput = MappedOutput;
+  module.exports.identitySegments = identitySegments;
+  module.exports.applyEdits = applyEdits;
+  module.exports.findSourceMappingURL = findSourceMappingURL;
+  module.exports.decodeDataURL = decodeDataURL;
+}
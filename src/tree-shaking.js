@@ -1,134 +1,693 @@
 // src/tree-shaking.js
-// Tree-shaker built on top of the tokenizer. It understands ES module
-// imports/exports via `findModuleSyntax` and performs conservative
-// side-effect detection using token streams.
+// Tree-shaker built on top of the tokenizer. Each module is split into
+// top-level statements; the shaker tracks which exports every importer
+// actually references, walks intra-module references from the declarations
+// behind those exports, and removes top-level declarations nothing reaches.
+// Top-level statements are classified for side effects (calls, `new`,
+// writes to non-local bindings, ...) so pure modules can be dropped.
 
-import { tokenize, findModuleSyntax } from './parser.js';
+import {
+  tokenize,
+  significantTokens,
+  isPunctuator,
+  isWord,
+  unquote,
+  findClosingBracket,
+  skipExpression,
+  collectBindingNames,
+  collectDeclarationNames,
+  parseSpecifierList,
+  parseFromClause,
+  splitStatements,
+  findReferences,
+  findModuleSyntax,
+} from './parser.js';
+import { ModuleResolver, declaredSideEffects } from './resolver.js';
+import { MappedOutput, applyEdits } from './source-map.js';
+import { memoize } from './module-cache.js';
+
+// Local name used for anonymous `export default <expression>` values.
+const DEFAULT_BINDING = '*default*';
+
+const ASSIGNMENT_OPERATORS = new Set([
+  '=', '+=', '-=', '*=', '/=', '%=', '**=', '<<=', '>>=', '>>>=',
+  '&=', '|=', '^=', '&&=', '||=', '??=',
+]);
+
+// Returns the first token in tokens[from, to) that makes evaluating the range
+// observable outside the module, as { reason, index }, or null when it is
+// free of side effects. Reasons: 'call', 'new', 'tagged-template', 'await',
+// 'yield', 'delete', 'assignment' (to a binding not in `locals`),
+// 'property-write' and 'update'. Function bodies are skipped because defining
+// a function runs none of its code; class bodies are only checked for
+// `static` initializers and blocks, which do run. `pureCalls` holds the `new`
+// and `(` tokens of calls annotated as pure (see `findPureCalls`).
+function findSideEffect(tokens, from, to, locals = new Set(), pureCalls = new Set()) {
+  for (let i = from; i < to; i++) {
+    const tok = tokens[i];
+    const prev = tokens[i - 1];
+
+    if (isWord(tok, 'function')) {
+      let j = i;
+      while (j < to && !isPunctuator(tokens[j], '(')) j++;
+      i = findClosingBracket(tokens, findClosingBracket(tokens, j) + 1);
+      continue;
+    }
+    if (isWord(tok, 'class')) {
+      let open = i;
+      while (open < to && !isPunctuator(tokens[open], '{')) open++;
+      const effect = findSideEffect(tokens, i + 1, open, locals, pureCalls) ||
+        findStaticSideEffect(tokens, open, locals, pureCalls);
+      if (effect) return effect;
+      i = findClosingBracket(tokens, open);
+      continue;
+    }
+    if (isPunctuator(tok, '=>')) {
+      i = isPunctuator(tokens[i + 1], '{')
+        ? findClosingBracket(tokens, i + 1)
+        : skipExpression(tokens, i + 1) - 1;
+      continue;
+    }
+
+    if (tok.type === 'keyword') {
+      if (tok.value === 'new' && pureCalls.has(i)) continue;
+      if (['new', 'delete', 'await', 'yield'].includes(tok.value)) return { reason: tok.value, index: i };
+      continue;
+    }
+    if ((tok.type === 'template' || tok.type === 'templateHead') && prev && (prev.type === 'identifier' || isPunctuator(prev, ')') || isPunctuator(prev, ']'))) {
+      return { reason: 'tagged-template', index: i };
+    }
+    if (tok.type !== 'punctuator') continue;
+
+    if (tok.value === '++' || tok.value === '--') {
+      // Postfix `x++` targets the previous operand, prefix `++x` the next one.
+      const postfix = prev && (prev.type === 'identifier' || isPunctuator(prev, ']') || isPunctuator(prev, ')'));
+      const reason = postfix ? assignmentTarget(tokens, i - 1, locals) : prefixUpdateTarget(tokens, i + 1, locals);
+      if (reason) return { reason, index: i };
+      continue;
+    }
+    if (ASSIGNMENT_OPERATORS.has(tok.value)) {
+      const reason = assignmentTarget(tokens, i - 1, locals);
+      if (reason) return { reason, index: i };
+      continue;
+    }
+    if (tok.value === '(') {
+      const close = findClosingBracket(tokens, i);
+      // Arrow parameters: `(a = 1) => ...`
+      if (isPunctuator(tokens[close + 1], '=>')) {
+        i = close;
+        continue;
+      }
+      // Object literal methods/accessors: `{ run() { ... } }`, but not the
+      // bodies of `if (...) { ... }` and the other statements with a head.
+      if (close + 1 < to && isPunctuator(tokens[close + 1], '{') && !isStatementHead(tokens, i)) {
+        i = findClosingBracket(tokens, close + 1);
+        continue;
+      }
+      const isCall = prev && (
+        prev.type === 'identifier' || prev.type === 'template' || prev.type === 'templateTail' || isWord(prev, 'super') ||
+        isPunctuator(prev, ')') || isPunctuator(prev, ']') || isPunctuator(prev, '?.')
+      );
+      // Arguments of a pure call are still scanned.
+      if (isCall && !pureCalls.has(i)) return { reason: 'call', index: i };
+    }
+  }
+  return null;
+}
+
+// Keywords whose `(...)` head is followed by a block that runs.
+const STATEMENT_HEADS = new Set(['if', 'for', 'while', 'switch', 'with', 'catch']);
+
+// Whether the `(` at `open` starts the head of a statement such as
+// `for (...) { ... }` rather than the parameters of a method named `for`
+// (which follows a `,` or a modifier like `get`).
+function isStatementHead(tokens, open) {
+  let keyword = open - 1;
+  if (isWord(tokens[keyword], 'await') && isWord(tokens[keyword - 1], 'for')) keyword--;
+  const tok = tokens[keyword];
+  if (!tok || tok.type !== 'keyword' || !STATEMENT_HEADS.has(tok.value)) return false;
+  const before = tokens[keyword - 1];
+  return !(isPunctuator(before, ',') || isPunctuator(before, '*') || ['get', 'set', 'async', 'static'].some(word => isWord(before, word)));
+}
+
+// Classifies the target of an assignment ending at `index`: null for a
+// module-local binding, 'property-write' for `a.b`/`a[b]`, otherwise
+// 'assignment' (globals, imports, destructuring patterns).
+function assignmentTarget(tokens, index, locals) {
+  const target = tokens[index];
+  if (isPunctuator(target, ']')) return 'property-write';
+  if (target && target.type === 'identifier') {
+    const before = tokens[index - 1];
+    if (isPunctuator(before, '.') || isPunctuator(before, '?.')) return 'property-write';
+    return locals.has(target.value) ? null : 'assignment';
+  }
+  return 'assignment';
+}
+
+function prefixUpdateTarget(tokens, index, locals) {
+  const target = tokens[index];
+  const after = tokens[index + 1];
+  if (isPunctuator(after, '.') || isPunctuator(after, '[') || isPunctuator(after, '?.')) return 'property-write';
+  return target && target.type === 'identifier' && locals.has(target.value) ? null : 'update';
+}
+
+// Checks `static x = ...` initializers and `static { ... }` blocks of the
+// class body opening at `open`; both run when the class is defined.
+function findStaticSideEffect(tokens, open, locals, pureCalls) {
+  const close = findClosingBracket(tokens, open);
+  for (let i = open + 1; i < close; i++) {
+    const tok = tokens[i];
+    if (isPunctuator(tok, '{') || isPunctuator(tok, '(') || isPunctuator(tok, '[')) {
+      // Method bodies, parameter lists and computed keys are skipped;
+      // `static { ... }` blocks run.
+      const end = findClosingBracket(tokens, i);
+      if (isPunctuator(tok, '{') && isWord(tokens[i - 1], 'static')) {
+        const effect = findSideEffect(tokens, i + 1, end, locals, pureCalls);
+        if (effect) return effect;
+      }
+      i = end;
+      continue;
+    }
+    if (isWord(tok, 'static') && tokens[i + 1].type === 'identifier' && isPunctuator(tokens[i + 2], '=')) {
+      const end = skipExpression(tokens, i + 3);
+      const effect = findSideEffect(tokens, i + 3, end, locals, pureCalls);
+      if (effect) return effect;
+      i = end - 1;
+    }
+  }
+  return null;
+}
+
+// Indices of the `new` keywords and call parentheses covered by
+// `/*#__PURE__*/` annotations: `/*#__PURE__*/ a.b(...)`, `/*#__PURE__*/ new X(...)`.
+function findPureCalls(tokens) {
+  const pureCalls = new Set();
+  tokens.forEach((tok, index) => {
+    if (!tok.pureAnnotation) return;
+    let i = index;
+    if (isWord(tokens[i], 'new')) pureCalls.add(i++);
+    while (tokens[i].type === 'identifier' || isPunctuator(tokens[i], '.') || isPunctuator(tokens[i], '?.')) i++;
+    if (isPunctuator(tokens[i], '(') && i > index) pureCalls.add(i);
+  });
+  return pureCalls;
+}
+
+// Token ranges of the initializers in `const a = 1, b = f()` (index points
+// just past the declaration keyword).
+function declarationInitializers(tokens, index) {
+  const ranges = [];
+  let i = index;
+  for (;;) {
+    i = collectBindingNames(tokens, i, []);
+    if (isPunctuator(tokens[i], '=')) {
+      const end = skipExpression(tokens, i + 1);
+      ranges.push([i + 1, end]);
+      i = end;
+    }
+    if (!isPunctuator(tokens[i], ',')) break;
+    i++;
+  }
+  return ranges;
+}
+
+function isDeclarationStart(tokens, index) {
+  const tok = tokens[index];
+  return isWord(tok, 'function') || isWord(tok, 'class') ||
+    (isWord(tok, 'async') && isWord(tokens[index + 1], 'function'));
+}
+
+// Name declared by the function/class declaration at `index`, or null.
+function declaredFunctionName(tokens, index) {
+  let i = isWord(tokens[index], 'async') ? index + 2 : index + 1;
+  if (isPunctuator(tokens[i], '*')) i++;
+  return tokens[i].type === 'identifier' ? tokens[i].value : null;
+}
+
+// Describes one top-level statement: what it declares, imports and exports.
+function describeStatement(tokens, start, end) {
+  const stmt = {
+    start,
+    end,
+    kind: 'statement',
+    declares: [],
+    exports: [],      // [{ exported, local }]
+    reexports: [],    // [{ exported, imported, source }] ('*' = namespace)
+    exportAll: null,  // source of `export * from`
+    import: null,     // { source, bindings: [{ local, imported }] }
+    dynamicImports: [], // [{ source }] loaded with `import()`
+    evaluated: [],    // token ranges evaluated when the statement runs
+    sideEffect: null, // { reason, index } (see findSideEffect)
+  };
+  const tok = tokens[start];
+  const next = tokens[start + 1];
+
+  const describeDeclaration = (index, exported) => {
+    stmt.kind = 'declaration';
+    if (isDeclarationStart(tokens, index)) {
+      const name = declaredFunctionName(tokens, index);
+      stmt.declares = [name || DEFAULT_BINDING];
+      // Function declarations run nothing; classes may run static code.
+      if (isWord(tokens[index], 'class')) stmt.evaluated = [[index, end]];
+    } else {
+      stmt.declares = collectDeclarationNames(tokens, index + 1).names;
+      stmt.evaluated = declarationInitializers(tokens, index + 1);
+    }
+    if (exported) stmt.exports = stmt.declares.map(name => ({ exported: name, local: name }));
+  };
+
+  if (isWord(tok, 'import') && !isPunctuator(next, '(') && !isPunctuator(next, '.')) {
+    stmt.kind = 'import';
+    const bindings = [];
+    let j = start + 1;
+    if (tokens[j].type === 'string') {
+      stmt.import = { source: unquote(tokens[j]), bindings };
+      return stmt;
+    }
+    if (tokens[j].type === 'identifier') {
+      bindings.push({ local: tokens[j].value, imported: 'default' });
+      j++;
+      if (isPunctuator(tokens[j], ',')) j++;
+    }
+    if (isPunctuator(tokens[j], '*')) {
+      bindings.push({ local: tokens[j + 2].value, imported: '*' });
+      j += 3;
+    } else if (isPunctuator(tokens[j], '{')) {
+      const list = parseSpecifierList(tokens, j);
+      list.specifiers.forEach(({ name, alias }) => bindings.push({ local: alias, imported: name }));
+      j = list.next;
+    }
+    const from = parseFromClause(tokens, j);
+    stmt.import = { source: from ? from.source : null, bindings };
+    return stmt;
+  }
+
+  if (isWord(tok, 'export')) {
+    if (isPunctuator(next, '*')) {
+      stmt.kind = 'export-from';
+      const named = isWord(tokens[start + 2], 'as');
+      const from = parseFromClause(tokens, named ? start + 4 : start + 2);
+      const source = from ? from.source : null;
+      if (named) {
+        stmt.reexports.push({ exported: unquote(tokens[start + 3]), imported: '*', source });
+      } else {
+        stmt.exportAll = source;
+      }
+      return stmt;
+    }
+    if (isPunctuator(next, '{')) {
+      const list = parseSpecifierList(tokens, start + 1);
+      const from = parseFromClause(tokens, list.next);
+      if (from) {
+        stmt.kind = 'export-from';
+        stmt.reexports = list.specifiers.map(({ name, alias }) => ({
+          exported: alias, imported: name, source: from.source,
+        }));
+      } else {
+        stmt.kind = 'export-list';
+        stmt.exports = list.specifiers.map(({ name, alias }) => ({ exported: alias, local: name }));
+      }
+      return stmt;
+    }
+    if (isWord(next, 'default')) {
+      if (isDeclarationStart(tokens, start + 2)) {
+        describeDeclaration(start + 2, false);
+      } else {
+        stmt.kind = 'declaration';
+        stmt.declares = [DEFAULT_BINDING];
+        stmt.evaluated = [[start + 2, end]];
+      }
+      stmt.exports = [{ exported: 'default', local: stmt.declares[0] }];
+      return stmt;
+    }
+    describeDeclaration(start + 1, true);
+    return stmt;
+  }
+
+  if (isDeclarationStart(tokens, start) || isWord(tok, 'const') || isWord(tok, 'let') || isWord(tok, 'var')) {
+    describeDeclaration(start, false);
+  } else {
+    stmt.evaluated = [[start, end]];
+  }
+  return stmt;
+}
+
+// The module specifier string literal of an import/export-from statement.
+function sourceLiteral(tokens, stmt) {
+  const literal = tokens.slice(stmt.start, stmt.end).find(t => t.type === 'string');
+  return literal ? literal.value : null;
+}
+
+// Splits a module into described top-level statements and attaches the
+// identifiers each statement references. `options.pureAnnotations: false`
+// ignores `/*#__PURE__*/` comments.
+function analyzeModule(code, options = {}) {
+  const tokens = significantTokens(tokenize(code));
+  const statements = splitStatements(tokens).map(({ start, end }) => describeStatement(tokens, start, end));
+
+  const owner = new Array(tokens.length);
+  statements.forEach((stmt, index) => {
+    stmt.references = new Set();
+    for (let i = stmt.start; i < stmt.end; i++) owner[i] = index;
+  });
+  for (const { index } of findReferences(tokens)) {
+    const stmt = statements[owner[index]];
+    // Names inside import/export clauses are not references.
+    if (!stmt || stmt.kind === 'import' || stmt.kind === 'export-list' || stmt.kind === 'export-from') continue;
+    stmt.references.add(tokens[index].value);
+  }
+  for (const { source, start } of findModuleSyntax(tokens).dynamicImports) {
+    const stmt = statements[owner[start]];
+    if (stmt && source !== null) stmt.dynamicImports.push({ source });
+  }
+
+  const declaredBy = new Map();   // local name -> statement
+  const importedAs = new Map();   // local name -> { source, imported }
+  const exportNames = new Set();
+  for (const stmt of statements) {
+    stmt.declares.forEach(name => declaredBy.set(name, stmt));
+    if (stmt.import) {
+      stmt.import.bindings.forEach(b => importedAs.set(b.local, { source: stmt.import.source, imported: b.imported }));
+    }
+    stmt.exports.forEach(e => exportNames.add(e.exported));
+    stmt.reexports.forEach(e => exportNames.add(e.exported));
+  }
+
+  // Classify every statement once all module-local bindings are known, so
+  // that assignments to them are not mistaken for side effects.
+  const locals = new Set(declaredBy.keys());
+  const pureCalls = options.pureAnnotations === false ? new Set() : findPureCalls(tokens);
+  for (const stmt of statements) {
+    for (const [from, to] of stmt.evaluated) {
+      stmt.sideEffect = findSideEffect(tokens, from, to, locals, pureCalls);
+      if (stmt.sideEffect) break;
+    }
+  }
+
+  return { code, tokens, statements, declaredBy, importedAs, exportNames };
+}
+
+// ModuleCache codec for `analyzeModule` results. Statements are stored
+// without the tokens, which are only tokenized again when needed, and
+// `declaredBy` refers to them by index.
+const analysisCodec = {
+  encode({ statements, declaredBy, importedAs, exportNames }) {
+    return structuredClone({
+      statements: statements.map(stmt => ({ ...stmt, references: [...stmt.references] })),
+      declaredBy: [...declaredBy].map(([name, stmt]) => [name, statements.indexOf(stmt)]),
+      importedAs: [...importedAs],
+      exportNames: [...exportNames],
+    });
+  },
+  decode(stored, code) {
+    const data = structuredClone(stored);
+    const statements = data.statements.map(stmt => ({
+      ...stmt,
+      references: new Set(stmt.references),
+      dynamicImports: stmt.dynamicImports || [],
+    }));
+    let tokens = null;
+    return {
+      code,
+      get tokens() {
+        return tokens || (tokens = significantTokens(tokenize(code)));
+      },
+      statements,
+      declaredBy: new Map(data.declaredBy.map(([name, index]) => [name, statements[index]])),
+      importedAs: new Map(data.importedAs),
+      exportNames: new Set(data.exportNames),
+    };
+  },
+};
 
 export class TreeShaker {
-  constructor(moduleMap) {
+  constructor(moduleMap, options = {}) {
     // moduleMap: Map<string, string> or plain object { [name]: code }
     this.moduleMap = moduleMap instanceof Map ? moduleMap : new Map(Object.entries(moduleMap));
+    this.resolver = new ModuleResolver(this.moduleMap, options);
+    // `sideEffects`: declaration for the project's own modules, shaped like
+    // the package.json field (false, or globs of files that do have side
+    // effects). `moduleSideEffects`: Map<moduleId, boolean> of per-module
+    // declarations, e.g. from dependencies' package.json (`NodeResolver`).
+    this.sideEffectsOption = options.sideEffects;
+    this.moduleSideEffects = options.moduleSideEffects || new Map();
+    this.pureAnnotations = options.pureAnnotations !== false;
+    // Optional ModuleCache: module analyses are reused while the code is
+    // unchanged (and stored in its `dir`, if any).
+    this.cache = options.cache || null;
+    // With `sourceMap: true`, `shake` records one map per module in
+    // `this.sourceMaps` (module -> Source Map v3).
+    this.generateSourceMap = options.sourceMap === true;
+    this.sourceMaps = new Map();
+    this.diagnostics = []; // unresolved specifiers reported by the resolver
     this.dependencyGraph = new Map();
     this.exportMap = new Map(); // module -> Set(exportName | 'default' | '*')
     this.reexports = new Map(); // module -> Set<sourceModule>
     this.sideEffects = new Map(); // module -> boolean
+    this.sideEffectReasons = new Map(); // module -> [{ reason, statement, start }]
+    this.analysis = new Map(); // module -> statement-level analysis
+    this.liveStatements = new Map(); // module -> Set<statement> kept after shaking
+    this.removedBindings = new Map(); // module -> string[] of removed top-level bindings
   }
 
   buildDependencyGraph() {
+    this.resolver.diagnostics = [];
     for (const [name, code] of this.moduleMap.entries()) {
       const imports = new Set();
       const exports = new Set();
       const reexports = new Set();
 
-      const tokens = tokenize(code);
-      const modSyntax = findModuleSyntax(tokens);
+      const key = `shake:${this.pureAnnotations ? 'pure' : 'impure'}`;
+      const info = memoize(this.cache, name, code, key,
+        () => analyzeModule(code, { pureAnnotations: this.pureAnnotations }), analysisCodec);
 
-      for (const imp of modSyntax.imports) {
-        if (imp.source) imports.add(imp.source);
-      }
+      // Specifiers are resolved relative to this module so graph keys match
+      // the module map; unresolved ones are kept as-is (external modules).
+      // The written specifier is kept alongside, so that a cached analysis
+      // can be resolved again when other modules come and go.
+      const resolved = new Map();
+      const resolve = (source) => {
+        if (!resolved.has(source)) resolved.set(source, this.resolver.resolve(source, name) || source);
+        return resolved.get(source);
+      };
+      const resolveIn = (record, field) => {
+        if (!(`${field}Specifier` in record)) record[`${field}Specifier`] = record[field];
+        const specifier = record[`${field}Specifier`];
+        if (specifier) record[field] = resolve(specifier);
+        return record[field];
+      };
 
-      for (const exp of modSyntax.exports) {
-        if (exp.type === 'default') {
-          exports.add('default');
-        } else if (exp.type === 'named' && exp.names) {
-          exp.names.forEach(n => exports.add(n));
-        } else if (exp.type === 'all') {
+      for (const stmt of info.statements) {
+        if (stmt.import && resolveIn(stmt.import, 'source')) imports.add(stmt.import.source);
+        for (const reexport of stmt.reexports) {
+          if (resolveIn(reexport, 'source')) imports.add(reexport.source);
+        }
+        if (resolveIn(stmt, 'exportAll')) {
           exports.add('*');
-          if (exp.source) reexports.add(exp.source);
+          reexports.add(stmt.exportAll);
         }
+        stmt.dynamicImports.forEach(record => resolveIn(record, 'source'));
       }
+      for (const binding of info.importedAs.values()) resolveIn(binding, 'source');
+      info.exportNames.forEach(n => exports.add(n));
 
-      // Conservative side-effect detection: look for any non-import/export
-      // top-level call/new tokens.
-      let hasSideEffects = false;
-      for (const tok of tokens) {
-        if (tok.type === 'identifier' && (tok.value === 'import' || tok.value === 'export')) {
-          // skip
-          continue;
-        }
-        if (tok.type === 'identifier' || tok.type === 'punctuator') {
-          // crude heuristic: presence of "new" keyword or "()" pattern
-          if (tok.type === 'identifier' && tok.value === 'new') {
-            hasSideEffects = true;
-            break;
-          }
-        }
-      }
+      // A module has side effects when any top-level statement does; the
+      // offending statements are kept in `sideEffectReasons` for inspection.
+      const reasons = info.statements.filter(stmt => stmt.sideEffect).map(stmt => ({
+        reason: stmt.sideEffect.reason,
+        statement: code.slice(info.tokens[stmt.start].start, info.tokens[stmt.end - 1].end),
+        start: info.tokens[stmt.start].start,
+      }));
 
+      this.analysis.set(name, info);
       this.dependencyGraph.set(name, imports);
       this.exportMap.set(name, exports);
       this.reexports.set(name, reexports);
-      this.sideEffects.set(name, hasSideEffects);
+      // Declared side-effect-free modules are dropped whenever none of their
+      // exports are used, whatever their top-level code does.
+      this.sideEffects.set(name, this.declaredSideEffects(name) !== false && reasons.length > 0);
+      this.sideEffectReasons.set(name, reasons);
     }
+    this.diagnostics = this.resolver.diagnostics;
+  }
+
+  // The side effects declared for module `name`: true/false, or undefined.
+  declaredSideEffects(name) {
+    if (this.moduleSideEffects.has(name)) return this.moduleSideEffects.get(name);
+    if (name.includes('/node_modules/')) return undefined;
+    return declaredSideEffects(this.sideEffectsOption, name);
   }
 
   markReachable(entryModule) {
-    const usedExports = new Map(); // module -> Set<exportName>
-    const visited = new Set();
-    const queue = [entryModule];
+    const usedExports = new Map(); // module -> Set<exportName> ('*' = every export)
+    const reached = new Set();
+    const queue = [];
+
+    const reach = (mod) => {
+      if (!this.analysis.has(mod) || reached.has(mod)) return;
+      reached.add(mod);
+      usedExports.set(mod, new Set());
+      queue.push(mod);
+    };
+    const useExport = (mod, name) => {
+      if (!this.analysis.has(mod)) return;
+      reach(mod);
+      const used = usedExports.get(mod);
+      if (used.has(name) || used.has('*')) return;
+      used.add(name);
+      queue.push(mod);
+    };
+
+    this.liveStatements = new Map();
+    reach(entryModule);
+    if (usedExports.has(entryModule)) usedExports.get(entryModule).add('*');
 
     while (queue.length) {
       const mod = queue.pop();
-      if (visited.has(mod)) continue;
-      visited.add(mod);
-
-      const imports = this.dependencyGraph.get(mod) || new Set();
-      const reexp = this.reexports.get(mod) || new Set();
-
-      // If a module is imported, mark:
-      // - its default export when using default import
-      // - its named exports when using named import lists
-      // For now we conservatively treat any import as using all exports, but
-      // unused modules (never imported) can still be dropped.
-      for (const dep of imports) {
-        const depExports = this.exportMap.get(dep) || new Set();
-        if (!usedExports.has(dep)) usedExports.set(dep, new Set());
-        depExports.forEach(e => usedExports.get(dep).add(e));
-        if (!visited.has(dep)) queue.push(dep);
-      }
+      const info = this.analysis.get(mod);
+      const used = usedExports.get(mod);
+      const usesAll = used.has('*');
+      const isUsed = (name) => usesAll || used.has(name);
+
+      // Modules whose exports are unused and that have no side effects are
+      // dropped entirely; their imports are never evaluated.
+      if (mod !== entryModule && used.size === 0 && !this.sideEffects.get(mod)) continue;
+
+      const live = new Set();
+      const pending = [];
+      const markStatement = (stmt) => {
+        if (!live.has(stmt)) {
+          live.add(stmt);
+          pending.push(stmt);
+        }
+      };
+      const markName = (name) => {
+        if (info.declaredBy.has(name)) markStatement(info.declaredBy.get(name));
+        const imported = info.importedAs.get(name);
+        if (imported) useExport(imported.source, imported.imported);
+      };
 
-      // Re-export `*` from sources
-      for (const dep of reexp) {
-        if (!visited.has(dep)) queue.push(dep);
+      for (const stmt of info.statements) {
+        if (stmt.import) reach(stmt.import.source);
+        // Statements other than declarations always run; declarations only
+        // need to be kept for their own sake when they have side effects.
+        if (stmt.kind === 'statement' || stmt.sideEffect) markStatement(stmt);
+        stmt.exports.forEach(e => isUsed(e.exported) && markName(e.local));
+        stmt.reexports.forEach(e => isUsed(e.exported) && useExport(e.source, e.imported));
+        if (stmt.exportAll) {
+          reach(stmt.exportAll);
+          if (usesAll) {
+            useExport(stmt.exportAll, '*');
+          } else {
+            used.forEach(name => {
+              if (!info.exportNames.has(name) && name !== 'default') useExport(stmt.exportAll, name);
+            });
+          }
+        }
       }
 
-      // Always keep entry module + side-effect modules
-      if (!usedExports.has(mod)) usedExports.set(mod, new Set());
-      if (this.sideEffects.get(mod)) {
-        // Mark pseudo export "__side_effects__" to keep file
-        usedExports.get(mod).add('__side_effects__');
+      while (pending.length) {
+        const stmt = pending.pop();
+        stmt.references.forEach(markName);
+        // Whatever `import()` returns may be used in any way.
+        stmt.dynamicImports.forEach(record => useExport(record.source, '*'));
       }
+      this.liveStatements.set(mod, live);
     }
 
     return usedExports;
   }
 
+  // Re-emits an import statement with only the bindings live code still
+  // references. Returns null when the statement can stay as written.
+  renderImport(stmt, info, liveNames, keepSource) {
+    const sourceText = sourceLiteral(info.tokens, stmt);
+    if (!sourceText) return null;
+    const kept = stmt.import.bindings.filter(b => liveNames.has(b.local));
+    if (kept.length === stmt.import.bindings.length) return null;
+    if (kept.length === 0) return keepSource ? `import ${sourceText};` : '';
+
+    const clauses = [];
+    const def = kept.find(b => b.imported === 'default');
+    const ns = kept.find(b => b.imported === '*');
+    const named = kept.filter(b => b.imported !== 'default' && b.imported !== '*');
+    if (def) clauses.push(def.local);
+    if (ns) clauses.push(`* as ${ns.local}`);
+    if (named.length) {
+      const list = named.map(b => (b.imported === b.local ? b.local : `${b.imported} as ${b.local}`));
+      clauses.push(`{ ${list.join(', ')} }`);
+    }
+    return `import ${clauses.join(', ')} from ${sourceText};`;
+  }
+
   eliminateDeadCodeForModule(code, moduleName, usedExports) {
+    const info = this.analysis.get(moduleName);
+    const live = this.liveStatements.get(moduleName);
+
     // If no exports are used and the module has no side effects, drop it
     // entirely by returning an empty string.
-    const hasAnyUsed = usedExports && usedExports.size > 0;
-    const hasSideEffects = this.sideEffects.get(moduleName);
-    if (!hasAnyUsed && !hasSideEffects) {
+    if (!info || !live) {
+      const declared = info ? info.statements.flatMap(s => s.declares) : [];
+      const removed = declared.filter(n => n !== DEFAULT_BINDING);
+      if (removed.length) this.removedBindings.set(moduleName, removed);
       return '';
     }
-    return code;
+
+    const used = usedExports || new Set();
+    const usesAll = used.has('*');
+    const liveNames = new Set();
+    live.forEach(stmt => stmt.references.forEach(n => liveNames.add(n)));
+    const isKept = (mod) => this.liveStatements.has(mod) || !this.analysis.has(mod);
+
+    const edits = [];
+    const removed = [];
+    const replace = (stmt, text) => {
+      edits.push({ start: info.tokens[stmt.start].start, end: info.tokens[stmt.end - 1].end, text });
+    };
+
+    for (const stmt of info.statements) {
+      if (stmt.kind === 'declaration' && !live.has(stmt)) {
+        removed.push(...stmt.declares.filter(n => n !== DEFAULT_BINDING));
+        replace(stmt, '');
+      } else if (stmt.kind === 'import' && stmt.import.bindings.length) {
+        const text = this.renderImport(stmt, info, liveNames, isKept(stmt.import.source));
+        if (text !== null) replace(stmt, text);
+      } else if (stmt.kind === 'export-list' && !usesAll) {
+        const kept = stmt.exports.filter(e => used.has(e.exported));
+        if (kept.length !== stmt.exports.length) {
+          const list = kept.map(e => (e.exported === e.local ? e.local : `${e.local} as ${e.exported}`));
+          replace(stmt, list.length ? `export { ${list.join(', ')} };` : '');
+        }
+      } else if (stmt.kind === 'export-from' && !usesAll && stmt.reexports.length) {
+        if (!stmt.reexports.some(e => used.has(e.exported))) {
+          // Keep evaluating the source module if it survived for its side effects.
+          const sourceText = sourceLiteral(info.tokens, stmt);
+          if (sourceText) replace(stmt, isKept(stmt.reexports[0].source) ? `import ${sourceText};` : '');
+        }
+      }
+    }
+
+    if (removed.length) this.removedBindings.set(moduleName, removed);
+
+    const out = applyEdits(code, info.tokens, edits);
+    if (this.generateSourceMap) {
+      const output = new MappedOutput();
+      output.appendMapped(out.code, output.addSource(moduleName, code), out.segments);
+      this.sourceMaps.set(moduleName, output.toSourceMap());
+    }
+    return out.code;
   }
 
   shake(entryModule) {
     this.buildDependencyGraph();
+    entryModule = this.resolver.resolveEntry(entryModule);
     const used = this.markReachable(entryModule);
     const output = new Map();
+    this.removedBindings = new Map();
+    this.sourceMaps = new Map();
 
     for (const [name, code] of this.moduleMap.entries()) {
       const usedExports = used.get(name) || new Set();
-      if (name === entryModule) {
-        // Always keep the entry module body intact.
-        output.set(name, code);
-      } else {
-        const cleaned = this.eliminateDeadCodeForModule(code, name, usedExports);
-        output.set(name, cleaned);
-      }
+      output.set(name, this.eliminateDeadCodeForModule(code, name, usedExports));
     }
 
     return output;
@@ -138,4 +697,4 @@ export class TreeShaker {
 // CommonJS export
 if (typeof module !== 'undefined' && module.exports) {
   module.exports.TreeShaker = TreeShaker;
-}
\ No newline at end of file
+}
@@ -0,0 +1,171 @@
+// src/watch.js
+// Watch mode for Pipeline (`pipeline.watch()`): rebuilds when files under
+// `modulesDir` change, reusing the analysis of every module that did not.
+//
+// Events:
+//   - 'rebuild' { changed, affected, duration, output, diagnostics, cache }
+//       `changed`: module IDs whose files changed (every module for the
+//       initial build); `affected`: the changed modules plus the modules
+//       depending on them, which are re-analyzed; `duration` in ms; `cache`:
+//       the cache `{ hits, misses }` of the build.
+//   - 'error' (error) when a build fails. Watching continues, and the next
+//       change triggers a new build.
+
+import fs from 'node:fs/promises';
+import { watch as watchFiles } from 'node:fs';
+import path from 'node:path';
+import { EventEmitter } from 'node:events';
+import { performance } from 'node:perf_hooks';
+
+import { ModuleCache } from './module-cache.js';
+
+export class PipelineWatcher extends EventEmitter {
+  constructor(pipeline, options = {}) {
+    super();
+    this.pipeline = pipeline;
+    // Changes arriving within `debounce` ms of each other form one rebuild.
+    this.debounce = options.debounce ?? 50;
+    this.pending = new Set(); // module IDs changed since the last rebuild
+    this.timer = null;
+    this.building = null; // promise of the build in progress
+    this.watcher = null;
+    this.closed = false;
+    this.ready = null; // promise of the initial build
+    this.emitted = new Set(); // absolute paths of the files the last build wrote
+  }
+
+  // Starts watching and runs the initial build.
+  start() {
+    const pipeline = this.pipeline;
+    if (!pipeline.cache) pipeline.cache = new ModuleCache();
+    this.watcher = watchFiles(pipeline.modulesDir, { recursive: true }, (eventType, filename) => {
+      if (filename) this.onChange(filename.toString());
+    });
+    this.watcher.on('error', err => this.emit('error', err));
+    this.ready = this.building = this.initialBuild().finally(() => this.buildDone());
+    return this;
+  }
+
+  async initialBuild() {
+    const started = performance.now();
+    try {
+      if (!this.pipeline.modules) this.pipeline.modules = await this.pipeline.loadModules();
+      const changed = [...this.pipeline.modules.keys()];
+      await this.build(started, changed, changed);
+    } catch (err) {
+      this.emit('error', err);
+    }
+  }
+
+  onChange(filename) {
+    if (this.closed) return;
+    const file = path.resolve(this.pipeline.modulesDir, filename);
+    // Ignore the pipeline's own output (chunks, source maps and plugin
+    // assets) when it is written under modulesDir: the files of the last
+    // build, and those of the build in progress.
+    if (this.emitted.has(file) || this.pipeline.outputFiles.some(output => path.resolve(output) === file)) return;
+    const id = `./${filename.replace(/\\/g, '/')}`;
+    if (!id.endsWith('.js') || id.split('/').includes('node_modules')) return;
+    this.pending.add(id);
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => this.flush(), this.debounce);
+  }
+
+  // Rebuilds for the pending changes, unless a build is already running
+  // (it flushes again when done).
+  flush() {
+    this.timer = null;
+    if (this.building || this.closed || !this.pending.size) return;
+    const changed = [...this.pending];
+    this.pending.clear();
+    this.building = this.rebuild(changed).finally(() => this.buildDone());
+  }
+
+  buildDone() {
+    this.building = null;
+    if (this.pending.size && !this.timer) this.flush();
+  }
+
+  async rebuild(changed) {
+    const started = performance.now();
+    try {
+      const affected = await this.update(changed);
+      await this.build(started, changed, affected);
+    } catch (err) {
+      this.emit('error', err);
+    }
+  }
+
+  // Reloads the changed files into the module map and drops the cached
+  // analysis of the changed modules and their dependents. Returns the IDs
+  // of those affected modules.
+  async update(changed) {
+    const pipeline = this.pipeline;
+    const modules = pipeline.modules;
+    for (const id of changed) {
+      const file = path.join(pipeline.modulesDir, id);
+      let code;
+      try {
+        code = await fs.readFile(file, 'utf8');
+      } catch (err) {
+        if (err.code !== 'ENOENT') throw err;
+        modules.delete(id);
+        pipeline.inputSourceMaps.delete(id);
+        continue;
+      }
+      modules.set(id, code);
+      if (pipeline.sourceMaps) {
+        const inputMap = await pipeline.loadInputSourceMap(code, file);
+        if (inputMap) pipeline.inputSourceMaps.set(id, inputMap);
+        else pipeline.inputSourceMaps.delete(id);
+      }
+    }
+
+    // Dependents, through the import graph of the last build.
+    const importers = new Map();
+    for (const [id, deps] of pipeline.graph) {
+      for (const dep of deps) {
+        if (!importers.has(dep)) importers.set(dep, []);
+        importers.get(dep).push(id);
+      }
+    }
+    const affected = new Set(changed);
+    const queue = [...changed];
+    while (queue.length) {
+      for (const importer of importers.get(queue.pop()) || []) {
+        if (affected.has(importer)) continue;
+        affected.add(importer);
+        queue.push(importer);
+      }
+    }
+    affected.forEach(id => pipeline.cache.invalidate(id));
+    return [...affected];
+  }
+
+  async build(started, changed, affected) {
+    const output = await this.pipeline.run();
+    this.emitted = new Set(this.pipeline.outputFiles.map(file => path.resolve(file)));
+    this.emit('rebuild', {
+      changed,
+      affected,
+      duration: performance.now() - started,
+      output,
+      diagnostics: this.pipeline.diagnostics,
+      cache: this.pipeline.cacheStats,
+    });
+  }
+
+  // Stops watching; resolves once a build in progress has finished.
+  async close() {
+    this.closed = true;
+    clearTimeout(this.timer);
+    this.timer = null;
+    if (this.watcher) this.watcher.close();
+    await this.building;
+  }
+}
+
+// CommonJS export
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports.PipelineWatcher = PipelineWatcher;
+}
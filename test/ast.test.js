@@ -0,0 +1,135 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+import { parse, generate } from '../src/ast.js';
+
+const srcDir = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'src');
+
+// AST without positions (and regex objects, which never compare equal).
+function shape(node) {
+  return JSON.parse(JSON.stringify(node, (key, value) => {
+    if (key === 'start' || key === 'end' || key === 'loc' || key === 'raw') return undefined;
+    if (typeof value === 'bigint') return `${value}n`;
+    return value instanceof RegExp ? String(value) : value;
+  }));
+}
+
+test('parse builds ESTree nodes with offsets and line/column locations', () => {
+  const code = 'const { a, ...rest } = obj;\nexport default async function* gen() {\n  yield await a?.b(`x${rest}`);\n}';
+  const ast = parse(code);
+
+  assert.equal(ast.type, 'Program');
+  assert.equal(ast.sourceType, 'module');
+  const [declaration, exported] = ast.body;
+  const pattern = declaration.declarations[0].id;
+  assert.equal(pattern.type, 'ObjectPattern');
+  assert.deepEqual(pattern.properties.map(prop => prop.type), ['Property', 'RestElement']);
+  assert.equal(pattern.properties[0].shorthand, true);
+
+  const fn = exported.declaration;
+  assert.equal(fn.type, 'FunctionDeclaration');
+  assert.equal(fn.async, true);
+  assert.equal(fn.generator, true);
+  const yielded = fn.body.body[0].expression;
+  assert.equal(yielded.type, 'YieldExpression');
+  assert.equal(yielded.argument.type, 'AwaitExpression');
+  const chain = yielded.argument.argument;
+  assert.equal(chain.type, 'ChainExpression');
+  assert.equal(chain.expression.callee.optional, true);
+  const template = chain.expression.arguments[0];
+  assert.deepEqual(template.quasis.map(quasi => quasi.value.cooked), ['x', '']);
+  assert.equal(template.expressions[0].name, 'rest');
+
+  assert.equal(code.slice(chain.start, chain.end), 'a?.b(`x${rest}`)');
+  assert.deepEqual(chain.loc, { start: { line: 3, column: 14 }, end: { line: 3, column: 30 } });
+});
+
+test('parse handles classes, literals, directives and operator precedence', () => {
+  const ast = parse(`
+    'use strict';
+    class Counter extends Base {
+      static #count = 0;
+      static { Counter.#count = 1; }
+      get count() { return #count in this ? 1n : 0x1_0; }
+    }
+    x = a ?? b, y = a + b * c ** d ** e;
+    for (const [k, v] of map) label: break label;
+  `, { sourceType: 'script' });
+
+  assert.equal(ast.body[0].directive, 'use strict');
+  const members = ast.body[1].body.body;
+  assert.deepEqual(members.map(member => member.type), ['PropertyDefinition', 'StaticBlock', 'MethodDefinition']);
+  assert.equal(members[0].key.type, 'PrivateIdentifier');
+  assert.equal(members[2].kind, 'get');
+  const conditional = members[2].value.body.body[0].argument;
+  assert.equal(conditional.test.left.type, 'PrivateIdentifier');
+  assert.equal(conditional.consequent.bigint, '1');
+  assert.equal(conditional.alternate.value, 16);
+
+  const [logical, arithmetic] = ast.body[2].expression.expressions;
+  assert.equal(logical.right.type, 'LogicalExpression');
+  assert.equal(generate(arithmetic.right), 'a + b * c ** d ** e');
+  assert.equal(arithmetic.right.right.right.right.type, 'BinaryExpression'); // d ** e
+  assert.equal(ast.body[3].left.declarations[0].id.type, 'ArrayPattern');
+});
+
+test('parse reports syntax errors with their position', () => {
+  assert.throws(() => parse('let ok = 1;\nlet x = ;'), (err) => {
+    assert.ok(err instanceof SyntaxError);
+    assert.match(err.message, /Unexpected token ';' \(2:8\)/);
+    assert.equal(err.pos, 20);
+    assert.deepEqual(err.loc, { line: 2, column: 8 });
+    return true;
+  });
+  assert.throws(() => parse('function f() {'), /Unexpected end of input/);
+});
+
+test('generate parenthesizes by precedence and keeps statement starts unambiguous', () => {
+  const cases = {
+    '(a + b) * c;': '(a+b)*c;',
+    '(-1) ** 2;': '(-1)**2;',
+    '(a ?? b) || c;': '(a??b)||c;',
+    '({}).toString();': '({}.toString());',
+    '(function () {})();': '(function(){}());',
+    'new (a().b)();': 'new (a().b)();',
+    '(a?.b).c;': '(a?.b).c;',
+    'x = () => ({ a });': 'x=()=>({a});',
+    'if (a) { if (b) c; } else d;': 'if(a){if(b)c;}else d;',
+    'x = a - -b + +c;': 'x=a- -b+ +c;',
+    '(1).toFixed();': '(1).toFixed();',
+  };
+  for (const [code, compact] of Object.entries(cases)) {
+    assert.equal(generate(parse(code), { compact: true }), compact, code);
+  }
+  assert.equal(generate(parse('if (a) { b(); } else c();')), 'if (a) {\n  b();\n} else c();');
+});
+
+test('generate round-trips every source file of the repository', async () => {
+  for (const file of await fs.readdir(srcDir)) {
+    const code = await fs.readFile(path.join(srcDir, file), 'utf8');
+    const ast = parse(code);
+    for (const compact of [false, true]) {
+      assert.deepEqual(shape(parse(generate(ast, { compact }))), shape(ast), `${file} (compact: ${compact})`);
+    }
+  }
+});
+
+test('generated code behaves like the original', () => {
+  const code = `
+    const { a = 1, ...rest } = { b: 2, c: 3 };
+    const list = [...Object.keys(rest), a];
+    let total = 0;
+    for (let i = 0; i < 3; i++) total += i ** 2;
+    class Box { #v; constructor(v) { this.#v = v; } get v() { return this.#v ?? 'none'; } }
+    const tag = (s, ...v) => s.raw.join('|') + v.join(',');
+    return [list.join(), total, new Box(null).v, tag\`x\${a}y\${total}\`, typeof void 0, -(-1) - -1, 2 ** 3 ** 2];
+  `;
+  const expected = new Function(code)();
+  const ast = parse(code, { sourceType: 'script' });
+  for (const compact of [false, true]) {
+    assert.deepEqual(new Function(generate(ast, { compact }))(), expected);
+  }
+});
@@ -1,5 +1,6 @@
 import test from 'node:test';
 import assert from 'node:assert/strict';
+import vm from 'node:vm';
 
 import { Bundler } from '../src/bundling.js';
 
@@ -101,3 +102,206 @@ test('Bundler detects circular dependencies but still emits a bundle', () => {
 });
 
 
+
+function runBundle(bundle) {
+  return new Function(`${bundle}\nreturn __entry__;`)();
+}
+
+test('Bundler rewrites import/export syntax into a runnable bundle', () => {
+  const modules = new Map([
+    [
+      './index.js',
+      `
+      import greet, { name as who } from './greet.js';
+      import * as math from './math.js';
+      import './setup.js';
+      export { double as twice } from './math.js';
+      export * from './constants.js';
+      export const { first, list: [, second] } = { first: 1, list: [0, 2] };
+      export default class App {
+        render() { return greet(who) + ' ' + math.double(21); }
+      }
+      `,
+    ],
+    ['./greet.js', `export const name = 'world';\nexport default function (n) { return 'hello ' + n; }`],
+    ['./math.js', 'export function double(n) { return n * 2; }'],
+    ['./constants.js', 'export const VERSION = 3;'],
+    ['./setup.js', 'globalThis.__minibunSetupRan = true;'],
+  ]);
+
+  const bundle = new Bundler(modules).bundle('./index.js');
+  assert.ok(!/^\s*(import|export)\s/m.test(bundle), 'no ES module statements should remain');
+
+  const entry = runBundle(bundle);
+  assert.equal(new entry.default().render(), 'hello world 42');
+  assert.equal(entry.twice(4), 8);
+  assert.equal(entry.VERSION, 3);
+  assert.equal(entry.first, 1);
+  assert.equal(entry.second, 2);
+  assert.equal(globalThis.__minibunSetupRan, true);
+  delete globalThis.__minibunSetupRan;
+});
+
+test('Bundler keeps named exports as live bindings', () => {
+  const modules = new Map([
+    [
+      './index.js',
+      `
+      import { count, increment } from './counter.js';
+      export { count };
+      export const read = () => ({ count });
+      increment();
+      `,
+    ],
+    [
+      './counter.js',
+      `
+      export let count = 0;
+      export function increment() { count += 1; }
+      `,
+    ],
+  ]);
+
+  const entry = runBundle(new Bundler(modules).bundle('./index.js'));
+  assert.equal(entry.count, 1);
+  assert.deepEqual(entry.read(), { count: 1 });
+});
+
+test('Bundler resolves specifiers relative to the importing module', () => {
+  const modules = new Map([
+    ['./index.js', "import { b } from './lib/b.js';\nexport const value = b;"],
+    ['./lib/b.js', "import { a } from '../util/a';\nexport const b = a + 1;"],
+    ['./util/a.js', "import './missing.js';\nexport const a = 1;"],
+  ]);
+
+  const bundler = new Bundler(modules);
+  const bundle = bundler.bundle('./index.js');
+
+  assert.deepEqual([...bundler.graph.get('./lib/b.js')], ['./util/a.js']);
+  assert.ok(bundle.includes("require('./util/a.js')"));
+  assert.ok(bundle.indexOf('/* Module: ./util/a.js */') < bundle.indexOf('/* Module: ./lib/b.js */'));
+  assert.deepEqual(
+    bundler.diagnostics.map(d => [d.type, d.specifier, d.importer]),
+    [['unresolved', './missing.js', './util/a.js']],
+  );
+});
+
+test('Bundler resolves dynamic import() of bundled modules in a single bundle', async () => {
+  const modules = new Map([
+    ['./index.js', "export const load = () => import('./lazy.js');\nexport const other = () => import('some-package');"],
+    ['./lazy.js', 'export const value = 42;'],
+  ]);
+
+  const bundler = new Bundler(modules);
+  const entry = runBundle(bundler.bundle('./index.js'));
+  assert.deepEqual([...bundler.dynamicGraph.get('./index.js')], ['./lazy.js', 'some-package']);
+  assert.deepEqual([...bundler.graph.get('./index.js')], []);
+  assert.equal((await entry.load()).value, 42);
+  assert.ok(entry.other.toString().includes("import('some-package')"));
+});
+
+test('Bundler splits dynamically imported modules into chunks with shared chunks', async () => {
+  const modules = new Map([
+    ['./index.js', "import { log } from './log.js';\nexport const open = (page) => page === 'a' ? import('./pages/a.js') : import('./pages/b.js');\nlog('index');"],
+    ['./log.js', 'export const logs = [];\nexport function log(message) { logs.push(message); }'],
+    ['./format.js', 'export const format = (s) => `<${s}>`;'],
+    ['./pages/a.js', "import { format } from '../format.js';\nimport { log } from '../log.js';\nexport const a = format('a');\nlog('a');"],
+    ['./pages/b.js', "import { format } from '../format.js';\nexport default () => format('b');"],
+  ]);
+
+  const bundler = new Bundler(modules, { entryFileName: 'app.js', runtimeGlobal: '__minibunTest__' });
+  const { chunks, manifest } = bundler.bundleChunks('./index.js');
+  const files = Object.fromEntries(chunks.map(chunk => [chunk.fileName, chunk.code]));
+  const shared = chunks.find(chunk => chunk.fileName.startsWith('shared-')).fileName;
+  const a = chunks.find(chunk => chunk.fileName.startsWith('a-')).fileName;
+  const b = chunks.find(chunk => chunk.fileName.startsWith('b-')).fileName;
+  assert.equal(manifest.entry, 'app.js');
+  assert.deepEqual(manifest.chunks, {
+    'app.js': { isEntry: true, modules: ['./log.js', './index.js'] },
+    [shared]: { isEntry: false, modules: ['./format.js'] },
+    [a]: { isEntry: false, modules: ['./pages/a.js'] },
+    [b]: { isEntry: false, modules: ['./pages/b.js'] },
+  });
+  assert.deepEqual(manifest.dynamicImports, { './pages/a.js': [shared, a], './pages/b.js': [shared, b] });
+
+  // Chunks are loaded on demand, each once, through the registry's `load`.
+  const loaded = [];
+  globalThis.__minibunTest__ = {
+    load(url, file) {
+      loaded.push(url);
+      new Function(files[file])();
+    },
+  };
+  try {
+    const entry = runBundle(files['app.js']);
+    const log = globalThis.__minibunTest__.modules['./log.js'];
+    assert.deepEqual(log.logs, ['index']);
+    assert.equal((await entry.open('a')).a, '<a>');
+    assert.equal((await entry.open('b')).default(), '<b>');
+    await entry.open('a');
+    assert.deepEqual(loaded, [`./${shared}`, `./${a}`, `./${b}`]);
+    // Modules run once, whichever chunk imports them.
+    assert.deepEqual(log.logs, ['index', 'a']);
+  } finally {
+    delete globalThis.__minibunTest__;
+  }
+});
+
+test('Bundler leaves parameters and locals that shadow an import alone', () => {
+  const modules = new Map([
+    [
+      './index.js',
+      `
+      import { x } from './a.js';
+      export function param(x) { return x; }
+      export function local() { let x = 'let'; { const x = 'const'; } return x; }
+      export function caught() { try { throw 'caught'; } catch (x) { return x; } }
+      export const shorthand = () => ({ x });
+      export const outer = () => x;
+      `,
+    ],
+    ['./a.js', "export const x = 'import';"],
+  ]);
+
+  const entry = runBundle(new Bundler(modules).bundle('./index.js'));
+  assert.equal(entry.param('param'), 'param');
+  assert.equal(entry.local(), 'let');
+  assert.equal(entry.caught(), 'caught');
+  assert.deepEqual(entry.shorthand(), { x: 'import' });
+  assert.equal(entry.outer(), 'import');
+});
+
+test('Bundler rewrites shorthand properties of object literals after a ternary colon', () => {
+  const modules = new Map([
+    ['./index.js', "import { value } from './a.js';\nexport const pick = (flag) => flag ? null : { value };"],
+    ['./a.js', 'export const value = 1;'],
+  ]);
+  const entry = runBundle(new Bundler(modules).bundle('./index.js'));
+  assert.deepEqual(entry.pick(false), { value: 1 });
+});
+
+test('Bundler rewrites whole import statements, import attributes included', () => {
+  const modules = new Map([
+    ['./index.js', "import config from './config.js' with { type: 'json' };\nexport const name = config.name;"],
+    ['./config.js', "export default { name: 'app' };"],
+  ]);
+  const entry = runBundle(new Bundler(modules).bundle('./index.js'));
+  assert.equal(entry.name, 'app');
+});
+
+test('Bundler hoists the entry hashbang and drops the others', () => {
+  const modules = new Map([
+    ['./cli.js', "#!/usr/bin/env node\nimport { run } from './lib.js';\nexport const status = run();"],
+    ['./lib.js', "#!/usr/bin/env node\nexport const run = () => 'ok';"],
+  ]);
+  const bundler = new Bundler(modules, { entryFileName: 'cli.js' });
+  const bundle = bundler.bundle('./cli.js');
+  assert.ok(bundle.startsWith('#!/usr/bin/env node\nvar __modules__'));
+  assert.equal(bundle.split('#!').length, 2);
+  // Scripts (unlike function bodies) may start with a hashbang.
+  assert.equal(vm.runInNewContext(`${bundle}\n__entry__.status;`), 'ok');
+
+  const [entryChunk] = bundler.bundleChunks('./cli.js').chunks;
+  assert.ok(entryChunk.code.startsWith('#!/usr/bin/env node\n'));
+  assert.equal(entryChunk.code.split('#!').length, 2);
+});
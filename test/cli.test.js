@@ -0,0 +1,165 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { Readable } from 'node:stream';
+import { execFile } from 'node:child_process';
+import { promisify } from 'node:util';
+import { fileURLToPath } from 'node:url';
+
+import { main } from '../src/cli.js';
+import { withProject } from './helpers.js';
+
+const binPath = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'bin', 'minibun.js');
+
+// Runs the CLI in `cwd` with captured output.
+async function run(argv, { cwd, stdin = '' } = {}) {
+  let stdout = '';
+  let stderr = '';
+  const code = await main(argv, {
+    cwd,
+    stdin: Readable.from([stdin]),
+    stdout: { write: (text) => { stdout += text; } },
+    stderr: { write: (text) => { stderr += text; } },
+  });
+  return { code, stdout, stderr };
+}
+
+const project = {
+  'minibun.config.json': JSON.stringify({ entry: './main.js', modulesDir: './lib', output: './out/app.js', pipeline: {} }),
+  'lib/main.js': "import { greet } from './greet.js';\nimport './missing.js';\nconsole.log(greet('cli'));\n",
+  'lib/greet.js': 'export function greet(name) {\n  return `hello ${name}`;\n}\nexport function unused() {}\n',
+};
+
+test('build runs the config pipeline with flag overrides and reports diagnostics', async () => {
+  await withProject(project, async (dir) => {
+    const result = await run(['build', '--minify', '--tree-shake', '--output', 'dist/app.min.js'], { cwd: dir });
+    assert.equal(result.code, 0);
+    assert.match(result.stdout, /Wrote dist[\\/]app\.min\.js \(\d+ bytes\)/);
+    assert.match(result.stderr, /warning: Cannot resolve "\.\/missing\.js" imported from "\.\/main\.js"/);
+
+    const output = await fs.readFile(path.join(dir, 'dist', 'app.min.js'), 'utf8');
+    assert.ok(output.includes('hello'));
+    assert.ok(!output.includes('unused'));
+    assert.ok(!output.includes('\n  return'));
+
+    // With --cache-dir, a second build reuses every result of the first.
+    await run(['build', '--cache-dir', '.cache'], { cwd: dir });
+    const cached = await run(['build', '--cache-dir', '.cache'], { cwd: dir });
+    assert.match(cached.stdout, /\nCache: [1-9]\d* hits, 0 misses\n$/);
+
+    // --split-chunks writes a file per chunk.
+    await fs.writeFile(path.join(dir, 'lib', 'lazy.js'), 'export const lazy = 1;\n');
+    await fs.appendFile(path.join(dir, 'lib', 'main.js'), "import('./lazy.js');\n");
+    const split = await run(['build', '--split-chunks', '--output', 'split/app.js'], { cwd: dir });
+    assert.match(split.stdout, /^Wrote split[\\/]app\.js \(\d+ bytes\)\nWrote split[\\/]lazy-[0-9a-f]{8}\.js \(\d+ bytes\)\n$/);
+
+    // `build` is the default command; a missing --config is an error.
+    const missing = await run(['--config', 'nope.json'], { cwd: dir });
+    assert.equal(missing.code, 1);
+    assert.equal(missing.stderr, 'minibun: Cannot read config nope.json: file not found\n');
+  });
+});
+
+test('build loads config plugins relative to the config file', async () => {
+  await withProject({
+    'config/minibun.config.json': JSON.stringify({ entry: './main.js', modulesDir: '../lib', output: '../out.js', plugins: [['./banner.js', { text: '/* hi */' }]] }),
+    'config/banner.js': 'export default ({ text }) => ({ name: "banner", renderChunk: (code) => `${text}\\n${code}` });\n',
+    'lib/main.js': 'console.log(1);\n',
+  }, async (dir) => {
+    const result = await run(['--config', 'config/minibun.config.json'], { cwd: dir });
+    assert.equal(result.code, 0);
+    assert.match(await fs.readFile(path.join(dir, 'out.js'), 'utf8'), /^\/\* hi \*\/\n/);
+  });
+});
+
+test('build fails on an unresolved entry and rejects --no-bundle', async () => {
+  await withProject({ ...project, 'out/app.js': 'previous build\n' }, async (dir) => {
+    const unresolved = await run(['build', '--entry', 'nope.js', '--tree-shake'], { cwd: dir });
+    assert.equal(unresolved.code, 1);
+    assert.equal(unresolved.stderr, [
+      'warning: Cannot resolve "./missing.js" imported from "./main.js"',
+      'minibun: Build failed: Cannot resolve entry "nope.js"',
+      '',
+    ].join('\n'));
+    assert.equal(unresolved.stdout, '');
+    // A failed build leaves the previous output alone.
+    assert.equal(await fs.readFile(path.join(dir, 'out', 'app.js'), 'utf8'), 'previous build\n');
+
+    // Any error diagnostic fails the build, such as one from a plugin.
+    await fs.writeFile(path.join(dir, 'strict.js'), "export default { name: 'strict', renderChunk(code) { this.warn({ severity: 'error', message: 'Too big' }); return code; } };\n");
+    await fs.writeFile(path.join(dir, 'strict.json'), JSON.stringify({ entry: './greet.js', modulesDir: './lib', output: './out/app.js', plugins: ['./strict.js'] }));
+    const rejected = await run(['build', '--config', 'strict.json'], { cwd: dir });
+    assert.equal(rejected.code, 1);
+    assert.match(rejected.stderr, /\nminibun: Build failed: Too big\n$/);
+    assert.equal(await fs.readFile(path.join(dir, 'out', 'app.js'), 'utf8'), 'previous build\n');
+
+    const unbundled = await run(['build', '--no-bundle'], { cwd: dir });
+    assert.equal(unbundled.code, 2);
+    assert.match(unbundled.stderr, /^minibun: Unknown option '--no-bundle'/);
+    assert.equal((await run(['build', '--bundle'], { cwd: dir })).code, 2);
+
+    await fs.writeFile(path.join(dir, 'minibun.config.json'), JSON.stringify({ modulesDir: './lib', pipeline: { treeShake: true, bundle: false } }));
+    const configured = await run(['build'], { cwd: dir });
+    assert.equal(configured.code, 1);
+    assert.equal(configured.stderr, 'minibun: Config "pipeline.bundle" cannot be false for build\n');
+    await assert.rejects(fs.access(path.join(dir, 'dist')));
+  });
+});
+
+test('graph prints the dependency graph as text or JSON', async () => {
+  await withProject(project, async (dir) => {
+    const text = await run(['graph'], { cwd: dir });
+    assert.equal(text.code, 0);
+    assert.equal(text.stdout, './greet.js\n./main.js\n  -> ./greet.js\n  -> ./missing.js\n');
+
+    const json = JSON.parse((await run(['graph', '--json'], { cwd: dir })).stdout);
+    assert.deepEqual(json.modules, { './greet.js': [], './main.js': ['./greet.js', './missing.js'] });
+    assert.deepEqual(json.cycles, []);
+    assert.equal(json.diagnostics.length, 1);
+  });
+});
+
+test('minify and obfuscate read stdin or a file and write stdout or --output', async () => {
+  await withProject({ 'in.js': 'function add(first, second) {\n  return first + second;\n}\n' }, async (dir) => {
+    const piped = await run(['minify', '--mangle'], { cwd: dir, stdin: 'const  value = 1 ;\nconsole.log( value );' });
+    assert.deepEqual(piped, { code: 0, stdout: 'const value=1;console.log(value);\n', stderr: '' });
+
+    const written = await run(['minify', 'in.js', '--mangle', '-o', 'out/in.min.js'], { cwd: dir });
+    assert.equal(written.stdout, '');
+    assert.equal(await fs.readFile(path.join(dir, 'out', 'in.min.js'), 'utf8'), 'function add(a,b){return a+b;}');
+
+    const obfuscated = await run(['obfuscate', '-'], { cwd: dir, stdin: "console.log('secret');" });
+    assert.equal(obfuscated.code, 0);
+    assert.ok(!obfuscated.stdout.includes('secret'));
+  });
+});
+
+test('invalid command lines and failing commands exit non-zero with a message', async () => {
+  const cwd = os.tmpdir();
+  const unknown = await run(['bundle-it'], { cwd });
+  assert.equal(unknown.code, 2);
+  assert.match(unknown.stderr, /^minibun: Unknown command: bundle-it\n\nUsage: minibun/);
+
+  const conflicting = await run(['build', '--minify', '--no-minify'], { cwd });
+  assert.equal(conflicting.code, 2);
+  assert.match(conflicting.stderr, /--minify and --no-minify cannot be combined/);
+
+  assert.equal((await run(['minify', 'a.js', 'b.js'], { cwd })).code, 2);
+  assert.equal((await run(['graph', '--frobnicate'], { cwd })).code, 2);
+
+  const missing = await run(['minify', 'does-not-exist.js'], { cwd });
+  assert.equal(missing.code, 1);
+  assert.match(missing.stderr, /^minibun: No such file: .*does-not-exist\.js\n$/);
+
+  const help = await run(['--help'], { cwd });
+  assert.equal(help.code, 0);
+  assert.match(help.stdout, /^Usage: minibun <command>/);
+});
+
+test('bin/minibun.js runs the CLI and sets the exit code', async () => {
+  const { stdout } = await promisify(execFile)(process.execPath, [binPath, '--help']);
+  assert.match(stdout, /^Usage: minibun/);
+  await assert.rejects(promisify(execFile)(process.execPath, [binPath, 'nope']), (err) => err.code === 2);
+});
@@ -188,6 +188,14 @@ test('all dist variants are fully functional', async () => {
       `${relPath}: Obfuscator should not contain original string`,
     );
 
+    // String literals in the library's own source must survive encoding.
+    const strings = mod.tokenize('const s = "a\\n";').filter(tok => tok.type === 'string');
+    assert.deepEqual(
+      strings.map(tok => tok.value),
+      ['"a\\n"'],
+      `${relPath}: tokenizer should recognize string literals`,
+    );
+
     // Test Pipeline functionality (in-memory)
     const pipeline = new mod.Pipeline({ outputFile: null });
     pipeline.withModules(modules).useBundler().useMinifier();
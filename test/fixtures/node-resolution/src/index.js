@@ -0,0 +1,6 @@
+import { h } from 'preact';
+import { tool } from '@scope/tools/feature';
+import legacy from 'legacy';
+import { local } from './lib/local.js';
+
+export const out = [h(), tool(), legacy(), local()];
@@ -0,0 +1,19 @@
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+
+// Runs `fn` with a fresh temporary directory holding `files` (relative path
+// -> content, parent directories created as needed), and removes the
+// directory afterwards.
+export async function withProject(files, fn) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'minibun-test-'));
+  try {
+    for (const [name, content] of Object.entries(files)) {
+      await fs.mkdir(path.dirname(path.join(dir, name)), { recursive: true });
+      await fs.writeFile(path.join(dir, name), content);
+    }
+    await fn(dir);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
@@ -122,3 +122,155 @@ test('Minifier removes leading comments so executable code is not commented out'
   assert.equal(result, 1);
 });
 
+
+test('Minifier keeps line breaks that automatic semicolon insertion depends on', () => {
+  const source = `
+    let calls = []
+    const log = (v) => calls.push(v)
+    let a = 1
+    let b = a
+    ;(function () { log('iife') })()
+    function early() {
+      return
+      'unreachable'
+    }
+    log(early())
+    let x = 1, y = 1
+    x
+    ++y
+    log(x + ',' + y)
+    return calls
+  `;
+
+  const minifier = new Minifier();
+  const output = minifier.minify(source);
+
+  assert.deepEqual(new Function(output)(), new Function(source)());
+  assert.deepEqual(new Function(output)(), ['iife', undefined, '1,2']);
+  assert.ok(output.includes('return\n'));
+});
+
+test('Minifier keeps unary operators and number members apart', () => {
+  const source = 'let a = 3, b = 2;\nreturn [a + +b, a - -b, a + ++b, a - --b, 1 .toString(), { true: true }.true];';
+
+  const minifier = new Minifier();
+  const output = minifier.minify(source);
+
+  assert.ok(output.includes('a+ +b'));
+  assert.ok(output.includes('a- -b'));
+  assert.deepEqual(new Function(output)(), [5, 5, 6, 1, '1', true]);
+});
+
+test('Minifier mangles local bindings without changing behaviour', () => {
+  const source = `
+    return (function () {
+      const results = [];
+      function accumulate(values, { scale = 1, offset } = {}) {
+        let total = offset;
+        for (let index = 0; index < values.length; index++) total += values[index] * scale;
+        return { total, count: values.length };
+      }
+      class Counter {
+        constructor(start) { this.start = start; }
+        next() { return ++this.start; }
+      }
+      const counter = new Counter(10);
+      const { counter: seven } = { counter: 7 };
+      results.push(seven);
+      try { missing(); } catch (error) { results.push(error instanceof ReferenceError); }
+      results.push(accumulate([1, 2, 3], { scale: 2, offset: 1 }), counter.next(), \`\${counter.start}!\`);
+      return results;
+    })();
+  `;
+
+  const minifier = new Minifier({ mangle: true });
+  const output = minifier.minify(source);
+
+  assert.deepEqual(new Function(output)(), new Function(source)());
+  assert.ok(!output.includes('accumulate'));
+  assert.ok(!output.includes('index'));
+  assert.ok(output.includes('{total:'), 'shorthand properties keep their key');
+  assert.ok(!output.includes('counter.start'), 'bindings used inside template substitutions are renamed too');
+  assert.ok(output.includes('.start') && output.includes('ReferenceError'));
+});
+
+test('Minifier mangling leaves globals, exports, eval scopes and reserved names alone', () => {
+  const source = `
+    import { helper } from './helper.js';
+    export function publicApi(firstArgument) { const localValue = helper(firstArgument); return localValue; }
+    function usesEval(code) { const hidden = 1; return eval(code); }
+    function keepMe(reservedName) { return reservedName + globalThing; }
+    const internal = 2;
+    export { internal as renamed };
+  `;
+
+  const minifier = new Minifier({ mangle: true, reserved: ['reservedName'] });
+  const output = minifier.minify(source);
+
+  assert.ok(output.includes('import{helper}'));
+  assert.ok(output.includes('function publicApi('));
+  assert.ok(!output.includes('firstArgument') && !output.includes('localValue'));
+  assert.ok(output.includes('const hidden=1;return eval(code)'));
+  assert.ok(output.includes('reservedName+globalThing'));
+  assert.ok(output.includes('internal as renamed'));
+});
+
+test('Minifier keeps every numeric literal form intact', () => {
+  const source = 'return [1e10, 0b1010, 0o17, 1_000_000, 10n, .5e-3, 0xFF_FF, 1_0.5_0, 2E+3, 1..toString(), 1_000 .toFixed(1), 5.];';
+
+  const minifier = new Minifier();
+  const output = minifier.minify(source);
+
+  assert.equal(output, 'return[1e10,0b1010,0o17,1_000_000,10n,.5e-3,0xFF_FF,1_0.5_0,2E+3,1..toString(),1_000 .toFixed(1),5.];');
+  assert.deepEqual(new Function(output)(), new Function(source)());
+});
+
+test('Minifier shortens numbers when asked to', () => {
+  const source = 'return [1000000, 0.5, 0.50, 0xff, 0xffffffff, 1e+21, 0.0005, 1200000, 1_000n, 100, 3.0, 1.5e3, 10 .toString(), 1e999];';
+
+  const minifier = new Minifier({ shortenNumbers: true });
+  const output = minifier.minify(source);
+
+  assert.equal(output, 'return[1e6,.5,.5,255,0xffffffff,1e21,5e-4,12e5,1000n,100,3,1500,10 .toString(),1e999];');
+  assert.deepEqual(new Function(output)(), new Function(source)());
+});
+
+test('Minifier keeps hashbangs, private names and Unicode identifiers intact', () => {
+  const source = '#!/usr/bin/env node\nclass Counter { #count = 0; inc() { return ++this.#count; } }\nconst café = new Counter();\ncafé.inc();\nconsole.log(café.inc());';
+
+  const minifier = new Minifier({ mangle: true });
+  const output = minifier.minify(source);
+
+  assert.equal(output, '#!/usr/bin/env node\nclass Counter{#count=0;inc(){return++this.#count;}}\nconst café=new Counter();café.inc();console.log(café.inc());');
+});
+
+test('Minifier mangling keeps shorthand keys of object literals after a ternary colon', () => {
+  const source = `
+    return (function () {
+      const value = 1, other = 2;
+      const pick = (flag) => flag ? { other } : { value };
+      return [pick(true), pick(false)];
+    })();
+  `;
+  const output = new Minifier({ mangle: true }).minify(source);
+  assert.deepEqual(new Function(output)(), [{ other: 2 }, { value: 1 }]);
+});
+
+test('Minifier mangling treats escaped identifiers as their plain spelling', () => {
+  const source = 'return (function () { const \\u0062ee = 2; let cat = 3; return [bee, c\\u{61}t]; })();';
+  const output = new Minifier({ mangle: true }).minify(source);
+  assert.deepEqual(new Function(output)(), [2, 3]);
+  assert.ok(!output.includes('bee') && !output.includes('\\u'));
+});
+
+test('Minifier keeps regex literals after arrows, comparisons and compound assignments', () => {
+  const source = `
+    const words = ['a b', 'ab'].filter(x => / b/.test(x));
+    let found = false;
+    found ||= /a  b/.test('a  b');
+    return [words, found, 'ab' !== / /.source];
+  `;
+  const output = new Minifier().minify(source);
+  assert.deepEqual(new Function(output)(), [['a b'], true, true]);
+  assert.ok(output.includes('/a  b/'));
+});
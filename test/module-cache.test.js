@@ -0,0 +1,79 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+import { ModuleCache } from '../src/module-cache.js';
+import { Pipeline } from '../src/pipeline.js';
+import { withProject } from './helpers.js';
+
+const modules = {
+  './main.js': "import { greet } from './greet.js';\nimport './setup.js';\nconsole.log(greet('cache'));\n",
+  './greet.js': 'export function greet(name) {\n  return `hello ${name}`;\n}\nexport const unused = /*#__PURE__*/ make();\n',
+  './setup.js': 'globalThis.ready = true;\n',
+};
+
+function build(cacheDir, files, treeShake = {}) {
+  const pipeline = new Pipeline({ entryFile: './main.js', outputFile: '', cacheDir })
+    .withModules(new Map(Object.entries(files)))
+    .useTreeShaker(treeShake)
+    .useBundler()
+    .useMinifier();
+  return pipeline.run().then(output => ({ output, stats: pipeline.cacheStats }));
+}
+
+test('cacheDir reuses module analyses and minified output across pipelines', async () => {
+  await withProject({}, async (cacheDir) => {
+    const first = await build(cacheDir, modules);
+    assert.equal(first.stats.hits, 0);
+    assert.ok(first.stats.misses > 0);
+    assert.ok((await fs.readdir(cacheDir)).every(file => file.endsWith('.json')));
+
+    // A new pipeline (as in a new process) finds everything on disk.
+    const second = await build(cacheDir, modules);
+    assert.equal(second.output, first.output);
+    assert.deepEqual(second.stats, { hits: first.stats.misses, misses: 0 });
+
+    // Other step options are other keys; the unchanged ones still hit.
+    const impure = await build(cacheDir, modules, { pureAnnotations: false });
+    assert.ok(impure.stats.misses > 0 && impure.stats.hits > 0);
+    assert.ok(impure.output.includes('make()'));
+    assert.ok(!first.output.includes('make()'));
+
+    // Editing one module recomputes its analysis, import list and transform,
+    // and the minified bundle.
+    const edited = await build(cacheDir, { ...modules, './setup.js': 'globalThis.ready = false;\n' });
+    assert.ok(edited.output.includes('ready=!1'));
+    assert.deepEqual(edited.stats, { hits: first.stats.misses - 4, misses: 4 });
+  });
+});
+
+test('ModuleCache stores results through a codec and skips unreadable entries', async () => {
+  await withProject({}, async (dir) => {
+    const codec = {
+      encode: (value) => [...value],
+      decode: (stored) => new Set(stored),
+    };
+    const writer = new ModuleCache({ dir });
+    await writer.load(['a;']);
+    assert.deepEqual(writer.get('./a.js', 'a;', 'names', () => new Set(['a']), codec), new Set(['a']));
+    await writer.save();
+
+    const reader = new ModuleCache({ dir });
+    await reader.load(['a;']);
+    let computed = 0;
+    assert.deepEqual(reader.get('./copy.js', 'a;', 'names', () => computed++, codec), new Set(['a']));
+    assert.equal(computed, 0);
+    assert.equal(reader.hits, 1);
+
+    // A corrupt file is a miss, and is written again.
+    const [file] = await fs.readdir(dir);
+    await fs.writeFile(path.join(dir, file), '{"names": [');
+    const fresh = new ModuleCache({ dir });
+    await fresh.load(['a;']);
+    assert.deepEqual(fresh.get('./a.js', 'a;', 'names', () => new Set(['b']), codec), new Set(['b']));
+    assert.equal(fresh.misses, 1);
+    await fresh.save();
+    assert.deepEqual(JSON.parse(await fs.readFile(path.join(dir, file), 'utf8')), { names: ['b'] });
+  });
+});
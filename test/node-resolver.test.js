@@ -0,0 +1,98 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+import { NodeResolver } from '../src/node-resolver.js';
+import { Pipeline } from '../src/pipeline.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const FIXTURE = path.join(__dirname, 'fixtures', 'node-resolution');
+const SRC = path.join(FIXTURE, 'src');
+
+test('NodeResolver honours exports conditions, subpath patterns and module fields', async () => {
+  const resolver = new NodeResolver({ rootDir: SRC });
+  const importer = path.join(SRC, 'index.js');
+  const rel = async (specifier) => path.relative(FIXTURE, await resolver.resolve(specifier, importer));
+
+  assert.equal(await rel('preact'), path.join('node_modules', 'preact', 'dist', 'preact.mjs'));
+  assert.equal(await rel('@scope/tools/feature'), path.join('node_modules', '@scope', 'tools', 'browser', 'feature.js'));
+  // The nearest node_modules wins, and `module` is preferred over `main`.
+  assert.equal(await rel('legacy'), path.join('src', 'node_modules', 'legacy', 'esm.js'));
+  assert.equal(await resolver.resolve('not-installed', importer), null);
+
+  const nodeOnly = new NodeResolver({ rootDir: SRC, conditions: ['require', 'default'] });
+  assert.equal(
+    path.relative(FIXTURE, await nodeOnly.resolve('@scope/tools/feature', importer)),
+    path.join('node_modules', '@scope', 'tools', 'lib', 'feature.js'),
+  );
+  assert.equal(
+    path.relative(FIXTURE, await nodeOnly.resolve('preact', importer)),
+    path.join('node_modules', 'preact', 'dist', 'preact.cjs'),
+  );
+});
+
+test('NodeResolver.expand pulls packages and their relative imports into the module map', async () => {
+  const resolver = new NodeResolver({ rootDir: SRC });
+  const { modules, resolutions } = await resolver.expand(new Map([
+    ['./index.js', "import { h } from 'preact';"],
+  ]));
+
+  assert.deepEqual([...modules.keys()], [
+    './index.js',
+    '../node_modules/preact/dist/preact.mjs',
+    '../node_modules/preact/dist/util.js',
+  ]);
+  assert.equal(resolutions.get('./index.js').get('preact'), '../node_modules/preact/dist/preact.mjs');
+});
+
+test('NodeResolver.expand follows bare specifiers of dynamic import() calls', async () => {
+  const resolver = new NodeResolver({ rootDir: SRC });
+  const code = "export const load = () => import('preact');\nexport const other = (name) => import(name);";
+  const { modules, resolutions } = await resolver.expand(new Map([['./index.js', code]]));
+
+  assert.deepEqual([...modules.keys()], [
+    './index.js',
+    '../node_modules/preact/dist/preact.mjs',
+    '../node_modules/preact/dist/util.js',
+  ]);
+  assert.deepEqual([...resolutions.get('./index.js')], [['preact', '../node_modules/preact/dist/preact.mjs']]);
+
+  const pipeline = new Pipeline({ entryFile: './index.js', modulesDir: SRC, outputFile: '' })
+    .withModules(new Map([['./index.js', code]]))
+    .useNodeResolution()
+    .useBundler();
+  const bundle = await pipeline.run();
+  assert.ok(bundle.includes("'../node_modules/preact/dist/preact.mjs'"));
+  assert.deepEqual(pipeline.diagnostics, []);
+});
+
+test('NodeResolver.expand reports package.json sideEffects declarations', async () => {
+  const resolver = new NodeResolver({ rootDir: SRC });
+  const { sideEffects } = await resolver.expand(new Map([
+    ['./index.js', "import { h } from 'preact';\nimport { tool } from '@scope/tools/feature';"],
+  ]));
+
+  assert.deepEqual(Object.fromEntries(sideEffects), {
+    '../node_modules/preact/dist/preact.mjs': false,
+    '../node_modules/preact/dist/util.js': true,
+    '../node_modules/@scope/tools/browser/feature.js': false,
+  });
+});
+
+test('Pipeline with node resolution bundles packages from node_modules', async () => {
+  const pipeline = new Pipeline({ entryFile: './index.js', modulesDir: SRC, outputFile: '' })
+    .useNodeResolution()
+    .useBundler();
+
+  const bundle = await pipeline.run();
+  const entry = new Function(`${bundle}\nreturn __entry__;`)();
+
+  assert.deepEqual(entry.out, [
+    'preact:esm',
+    'tools:browser',
+    'legacy:nearest',
+    'local+preact:esm',
+  ]);
+  assert.deepEqual(pipeline.diagnostics, []);
+});
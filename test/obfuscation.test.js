@@ -2,6 +2,7 @@ import test from 'node:test';
 import assert from 'node:assert/strict';
 
 import { Obfuscator } from '../src/obfuscation.js';
+import { Minifier } from '../src/minification.js';
 
 // Polyfill atob in Node if needed
 if (typeof globalThis.atob !== 'function') {
@@ -106,3 +107,275 @@ test('Obfuscator encodes string contents using hexadecimal escape sequences', ()
   assert.ok(/"\\x[0-9a-fA-F]{2}\\x[0-9a-fA-F]{2}"/.test(out));
 });
 
+test('Obfuscator renames declared bindings only, consistently with their scopes', () => {
+  const source = `
+    const config = { label: 'x', count: 2 };
+    function describe(label, count) {
+      const result = { label, count, nested: { config } };
+      outer: for (const item of [1, 2]) {
+        if (item > count) break outer;
+      }
+      return result;
+    }
+    class Shape { area() { return this.size; } }
+    return [describe(config.label, config.count), typeof undeclaredGlobal, new Shape().area.name];
+  `;
+
+  const obfuscator = new Obfuscator({ encodeStrings: false, renameIdentifiers: true });
+  const out = obfuscator.obfuscate(source);
+
+  assert.deepEqual(new Function(out)(), new Function(source)());
+  assert.ok(!/\bdescribe\b/.test(out) && !/\bconfig\b/.test(out.replace(/config:/g, '')));
+  assert.ok(out.includes('{ label:') && out.includes('count:'), 'object keys and shorthand keys stay intact');
+  assert.ok(out.includes('outer:') && out.includes('break outer'), 'labels are not bindings');
+  assert.ok(out.includes('typeof undeclaredGlobal'), 'undeclared globals are not renamed');
+  assert.ok(out.includes('area()') && out.includes('this.size'), 'class members stay intact');
+});
+
+test('Obfuscator preserves module interface names', () => {
+  const source = `
+    import { readFile as read } from 'node:fs';
+    import * as path from 'node:path';
+    export function load(file) { const full = path.resolve(file); return read(full); }
+    const internal = 1;
+    export { internal as value };
+  `;
+
+  const obfuscator = new Obfuscator({ encodeStrings: false, renameIdentifiers: true });
+  const out = obfuscator.obfuscate(source);
+
+  assert.ok(out.includes("import { readFile as read } from 'node:fs'"));
+  assert.ok(out.includes("import * as path from 'node:path'"));
+  assert.ok(out.includes('export function load('));
+  assert.ok(out.includes('export { internal as value }'));
+  assert.ok(!/\bfile\b/.test(out) && !/\bfull\b/.test(out));
+});
+
+// Programs whose results must not change when control flow is flattened.
+const FLATTENING_CORPUS = [
+  `function fizz(n) {
+    'use strict';
+    const out = [];
+    for (let i = 1; i <= n; i++) {
+      if (i % 15 === 0) out.push('FizzBuzz');
+      else if (i % 3 === 0) out.push('Fizz');
+      else if (i % 5 === 0) out.push('Buzz');
+      else out.push(i);
+    }
+    return out.join(' ');
+  }
+  return fizz(16);`,
+  `function grade(score, { curve = 0 } = {}) {
+    let total = score + curve;
+    let letter;
+    if (total >= 90) { letter = 'A'; } else if (total >= 80) { letter = 'B'; } else { const fail = total < 60; letter = fail ? 'F' : 'C'; }
+    if (arguments.length > 1) letter += '*';
+    return letter + total;
+  }
+  return [grade(95), grade(85), grade(70, { curve: 5 }), grade(10)];`,
+  `var calls = 0;
+  function fib(n) {
+    calls++;
+    if (n < 2) return n;
+    return fib(n - 1) + fib(n - 2);
+  }
+  const counter = {
+    count: 0,
+    bump(step) {
+      if (step === undefined) step = 1;
+      this.count += step;
+      return this;
+    },
+  };
+  const twice = (x) => { const y = x * 2; if (y > 10) { return 'big'; } return y; };
+  return [fib(10), calls, counter.bump().bump(4).count, twice(3), twice(8)];`,
+  `class Account {
+    constructor(owner) { this.owner = owner; this.balance = 0; }
+    deposit(amount) {
+      if (amount <= 0) throw new RangeError('bad amount');
+      this.balance += amount;
+      return this.balance;
+    }
+  }
+  function run() {
+    const account = new Account('ann');
+    account.deposit(5);
+    let error = null;
+    try { account.deposit(-1); } catch (e) { error = e.name; }
+    outer: for (const a of [1, 2, 3]) { for (const b of [1, 2]) { if (a * b === 4) break outer; } }
+    switch (account.balance) { case 5: error += '!'; break; default: error = 'no'; }
+    return [account.balance, error];
+  }
+  return run();`,
+  `function closures() {
+    var fns = [];
+    for (var i = 0; i < 3; i++) fns.push(function () { return i; });
+    hoisted();
+    function hoisted() { fns.push(() => 'h'); }
+    return fns.map(f => f());
+  }
+  return closures();`,
+];
+
+test('Obfuscator flattens control flow without changing behaviour', () => {
+  const obfuscator = new Obfuscator({ encodeStrings: false, flattenIfs: true });
+  for (const source of FLATTENING_CORPUS) {
+    const expected = new Function(source)();
+    // State numbers and case order are random: check several outputs.
+    for (let run = 0; run < 5; run++) {
+      const out = obfuscator.obfuscate(source);
+      assert.ok(out.includes('for (;;) switch'), 'the corpus programs are flattened');
+      assert.deepEqual(new Function(out)(), expected);
+    }
+  }
+});
+
+test('Obfuscator leaves functions it cannot flatten safely untouched', () => {
+  const skipped = [
+    'function* gen(a) { const b = a + 1; if (b) yield b; return a; }',
+    'async function load(a) { const b = await a; if (b) return b; return 0; }',
+    'function guarded(a) { a.open(); if (a.x) a.y(); try { a.run(); } finally { a.close(); } }',
+    'function captured(a) { const b = a + 1; if (a) a.push(() => b); return a; }',
+    'function dynamic(code) { const b = 1; if (code) b; return eval(code); }',
+  ];
+  const obfuscator = new Obfuscator({ encodeStrings: false, flattenIfs: true });
+  for (const source of skipped) assert.equal(obfuscator.obfuscate(source), source);
+
+  const combined = obfuscator.obfuscate(`const opts = { flattenIfs: true };\n${skipped[3]}\nfunction plain(a) { a.push(1); if (a.length) a.push(2); return a; }`);
+  assert.equal((combined.match(/for \(;;\) switch/g) || []).length, 1);
+  assert.ok(combined.includes(skipped[3]));
+});
+
+test('Obfuscator string array mode hoists literals behind a decoder', () => {
+  const source = `
+    'use strict';
+    const { 'data-id': id, label } = { 'data-id': 'row-1', label: "Greeting" };
+    const texts = { title: 'héllo wörld \\u{1F600}', line: 'one\\ntwo', quote: "it's" };
+    function read(key) { return texts[key] + '!'; }
+    return [id, label, read('title'), read('line'), read('quote'), 'title' in texts, (function () { return this; })()];
+  `;
+  const expected = new Function(source)();
+
+  for (const stringArrayEncoding of ['none', 'base64', 'xor']) {
+    const obfuscator = new Obfuscator({
+      encodeStrings: false,
+      stringArray: true,
+      stringArrayEncoding,
+      stringArrayRotate: true,
+      stringArrayShuffle: true,
+    });
+    const out = obfuscator.obfuscate(source);
+
+    assert.deepEqual(new Function(out)(), expected, stringArrayEncoding);
+    assert.ok(out.trimStart().startsWith("'use strict';"), 'directives stay in place');
+    assert.ok(out.includes("{ 'data-id': id, label }"), 'destructuring keys stay in place');
+    assert.ok(/'data-id': _b\(\d+\), label: _b\(\d+\)/.test(out), 'values and literals are extracted');
+    assert.ok(!out.includes("'title'") && /read\(_b\(\d+\)\)/.test(out));
+    if (stringArrayEncoding !== 'none') assert.ok(!out.includes('row-1'), 'array entries are encoded');
+  }
+});
+
+test('Obfuscator string array mode runs on minified code', () => {
+  const source = `
+    function kind(value) {
+      if (typeof value === 'number') return 'number';
+      switch (value) {
+        case 'a': return 'letter';
+        default: return typeof 'x';
+      }
+    }
+    return [kind('s'), kind('a'), kind(1)];
+  `;
+  const minified = new Minifier().minify(source);
+  assert.ok(minified.includes("return'number'") && minified.includes("case'a'"), minified);
+
+  const out = new Obfuscator({ encodeStrings: false, stringArray: true }).obfuscate(minified);
+  assert.deepEqual(new Function(out)(), ['string', 'letter', 'number']);
+  assert.ok(!out.includes("'letter'"));
+});
+
+test('Obfuscator leaves quotes inside regex literals after an arrow alone', () => {
+  const out = new Obfuscator().obfuscate('return [\'"\', "x"].map(x => /"/.test(x));');
+  assert.deepEqual(new Function(out)(), [true, false]);
+});
+
+test('Obfuscator string array mode leaves module syntax strings alone', () => {
+  const source = `
+    import { helper } from './helper.js';
+    import './polyfill.js';
+    export { helper as 'helper-name' } from './helper.js';
+    export * from "./other.js";
+    export const message = 'hello';
+  `;
+
+  const obfuscator = new Obfuscator({ encodeStrings: false, stringArray: true });
+  const out = obfuscator.obfuscate(source);
+
+  assert.ok(out.includes("from './helper.js'"));
+  assert.ok(out.includes("import './polyfill.js'"));
+  assert.ok(out.includes("as 'helper-name'"));
+  assert.ok(out.includes('from "./other.js"'));
+  assert.ok(/export const message = _b\(0\)/.test(out));
+  assert.ok(out.includes('var _a = ["hello"];'));
+});
+
+test('Obfuscator string encoding round-trips Unicode and escape sequences', () => {
+  const samples = [
+    "'emoji 😀👍🏽 and flags 🇳🇴'",
+    '"CJK 漢字かなカナ 한국어"',
+    String.raw`'escapes \n\t\r\b\f\v\0 \x41B\u{1F600} \\ \' "  '`,
+    String.raw`"lone \uD83D surrogate \uDE00 and pair 😀"`,
+    "`template é€ 😀 \\` $ \\n`",
+  ];
+  const obfuscator = new Obfuscator({ encodeStrings: true });
+
+  for (const literal of samples) {
+    const out = obfuscator.obfuscate(`return ${literal};`);
+    assert.equal(new Function(out)(), new Function(`return ${literal};`)(), literal);
+    assert.ok(/^return ["'`](\\x[0-9a-f]{2}|\\u[0-9a-f]{4}|\\u\{[0-9a-f]+\})*["'`];$/.test(out), out);
+  }
+  assert.equal(obfuscator.obfuscate('x = "é€😀"'), 'x = "\\xe9\\u20ac\\u{1f600}"');
+});
+
+test('Obfuscator encodes the text of interpolated templates but not tagged ones', () => {
+  const source = [
+    "const user = { name: 'Ada', items: ['a', 'b'] };",
+    "const brace = '}';",
+    'const html = `<p class="greeting">Hello ${user.name}, ${user.items.map(item => `<li>${item + brace}</li>`).join(\'\')} \\${literal}</p>`;',
+    'const raw = String.raw`C:\\path\\${user.name}`;',
+    'return [html, raw];',
+  ].join('\n');
+
+  const out = new Obfuscator().obfuscate(source);
+  assert.deepEqual(new Function(out)(), new Function(source)());
+  assert.ok(!out.includes('greeting') && !out.includes('<li>') && !out.includes('Ada'));
+  assert.ok(out.includes('${user.name}'), 'substitutions are kept');
+  assert.ok(out.includes('String.raw`C:\\path\\${user.name}`'), 'tagged templates are left alone');
+
+  const tagged = new Obfuscator({ encodeTaggedTemplates: true }).obfuscate('const t = tag`abc${1}`;');
+  assert.equal(tagged, 'const t = tag`\\x61\\x62\\x63${1}`;');
+});
+
+test('Obfuscator renaming keeps shorthand keys of object literals after a ternary colon', () => {
+  const source = `
+    function pick(flag) { const value = 1; return flag ? null : { value }; }
+    return pick(false);
+  `;
+  const out = new Obfuscator({ encodeStrings: false, renameIdentifiers: true }).obfuscate(source);
+  assert.deepEqual(new Function(out)(), { value: 1 });
+});
+
+test('Obfuscator keeps directives intact when encoding strings', () => {
+  const source = "function f() { 'use strict'; return this === undefined; }\nreturn [f(), 'plain'];";
+  for (const options of [{ stringArray: true }, { encodeStrings: true, stringArray: false }]) {
+    const out = new Obfuscator(options).obfuscate(source);
+    assert.ok(out.includes("'use strict'"));
+    assert.deepEqual(new Function(out)(), [true, 'plain']);
+  }
+});
+
+test('Obfuscator renaming treats escaped identifiers as their plain spelling', () => {
+  const source = 'function f() { const \\u0062ee = 2; let cat = 3; return [bee, c\\u{61}t]; }\nreturn f();';
+  const out = new Obfuscator({ encodeStrings: false, renameIdentifiers: true }).obfuscate(source);
+  assert.deepEqual(new Function(out)(), [2, 3]);
+});
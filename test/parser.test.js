@@ -0,0 +1,203 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { tokenize, findModuleSyntax } from '../src/parser.js';
+
+function lexed(code) {
+  return tokenize(code)
+    .filter(tok => tok.type !== 'whitespace' && tok.type !== 'eof')
+    .map(tok => [tok.type, tok.value]);
+}
+
+test('tokenize reads Unicode and escaped identifiers as single tokens', () => {
+  assert.deepEqual(lexed('const café = π * ünïcødé_$1;'), [
+    ['keyword', 'const'],
+    ['identifier', 'café'],
+    ['punctuator', '='],
+    ['identifier', 'π'],
+    ['punctuator', '*'],
+    ['identifier', 'ünïcødé_$1'],
+    ['punctuator', ';'],
+  ]);
+  assert.deepEqual(lexed('日本語 𝑥 a‍b ℘'), [
+    ['identifier', '日本語'],
+    ['identifier', '𝑥'],
+    ['identifier', 'a‍b'],
+    ['identifier', '℘'],
+  ]);
+  assert.deepEqual(lexed(String.raw`abc + x\u{62}`), [
+    ['identifier', String.raw`abc`],
+    ['punctuator', '+'],
+    ['identifier', String.raw`x\u{62}`],
+  ]);
+  // Characters that may continue but not start an identifier
+  assert.deepEqual(lexed('1a'), [['number', '1'], ['identifier', 'a']]);
+});
+
+test('tokenize emits privateName tokens for #private class members', () => {
+  assert.deepEqual(lexed('class A { #count = 0; #inc() { return this.#count++; } static has(o) { return #count in o; } }').filter(([type]) => type === 'privateName'), [
+    ['privateName', '#count'],
+    ['privateName', '#inc'],
+    ['privateName', '#count'],
+    ['privateName', '#count'],
+  ]);
+  assert.deepEqual(lexed('this.#é'), [['keyword', 'this'], ['punctuator', '.'], ['privateName', '#é']]);
+});
+
+test('tokenize reads a leading hashbang line as one token', () => {
+  const tokens = tokenize('#!/usr/bin/env node\n/re/.test(x);');
+  assert.deepEqual(tokens[0], { type: 'hashbang', value: '#!/usr/bin/env node', start: 0, end: 19 });
+  assert.equal(tokens[2].type, 'regex');
+  // Only the very first line can be a hashbang.
+  assert.notEqual(tokenize(' #!/x')[1].type, 'hashbang');
+});
+
+test('tokenize reads every numeric literal form as one token', () => {
+  const literals = ['1e10', '0b1010', '0o17', '1_000_000', '10n', '.5e-3', '0xFF_FFn', '1.e5', '089.5', '2E+3'];
+  for (const literal of literals) assert.deepEqual(lexed(literal), [['number', literal]]);
+  assert.equal(tokenize('017')[0].legacyOctal, true);
+  assert.equal(tokenize('0178')[0].legacyOctal, undefined);
+  assert.deepEqual(lexed('1..toString'), [['number', '1.'], ['punctuator', '.'], ['identifier', 'toString']]);
+});
+
+test('tokenize splits templates into head, middle and tail around substitutions', () => {
+  assert.deepEqual(lexed('`${a ? `}` : b}`'), [
+    ['templateHead', '`${'],
+    ['identifier', 'a'],
+    ['punctuator', '?'],
+    ['template', '`}`'],
+    ['punctuator', ':'],
+    ['identifier', 'b'],
+    ['templateTail', '}`'],
+  ]);
+  assert.deepEqual(lexed("`x${'}'}y${ { k: `${z}` }.k }\\`z`"), [
+    ['templateHead', '`x${'],
+    ['string', "'}'"],
+    ['templateMiddle', '}y${'],
+    ['punctuator', '{'],
+    ['identifier', 'k'],
+    ['punctuator', ':'],
+    ['templateHead', '`${'],
+    ['identifier', 'z'],
+    ['templateTail', '}`'],
+    ['punctuator', '}'],
+    ['punctuator', '.'],
+    ['identifier', 'k'],
+    ['templateTail', '}\\`z`'],
+  ]);
+  // A substitution starts an expression, so `/` begins a regex there.
+  assert.deepEqual(lexed('`${/}/.source}`').slice(0, 2), [['templateHead', '`${'], ['regex', '/}/']]);
+});
+
+test('tokenize tells regex literals from division across a generated corpus', () => {
+  // `@` marks where the slash goes. Every generated snippet must be valid
+  // JavaScript, so the expected tokenization is the one engines use.
+  const AsyncFunction = (async () => {}).constructor;
+  const regexContexts = [
+    '@.test(s);', 'x = @;', 'f(a, @);', 'x = [@];', 'x = a ? @ : b;', 'x = !@;', 'x = a && @;',
+    'x = typeof @;', 'x = `${@}`;', 'return @;', 'x = void @;', 'await @;', 'if (a) @.test(s);',
+    'if (a) {} else @.test(s);', 'while (a) @.exec(s);', 'for (;;) @.test(s);',
+    'for await (const v of w) @.test(v);', 'with (o) @.test(s);', 'do @.test(s); while (a);',
+    '{ }@.test(s);', 'if (a) { b(); }@.test(s);', 'label: { }@.test(s);', 'x = { a: @ };',
+    'function f() {}@.test(s);', 'class A {}@.test(s);', 'class A extends B { m() {} }@.test(s);',
+    'f = x => @;', 'f = (x) => @.test(x);', 'x = a == @;', 'x = a === @;', 'x = a != @;', 'x = a !== @;',
+    'x = a <= @;', 'x = a >= @;', 'x = a << @;', 'x += @;', 'x -= @;', 'x *= @;', 'x %= @;', 'x **= @;',
+    'x &&= @;', 'x ||= @;', 'x ??= @;', 'x >>>= @;', 'x = 2 ** @;', 'f(...@);', 'x = [...@];',
+    'function* g() { yield @; }', 'function* g() { yield* @; }',
+  ];
+  const regexes = ['/re/', '/=a/g', '/[/]/', String.raw`/\//i`, '/a*b/y', '/}/', String.raw`/\)/`];
+  const divisionContexts = [
+    'x = a@;', 'x = (a)@;', 'x = [a][0]@;', 'x = f()@;', 'x = ({})@;', 'x = { a: 1 }@;', 'x = class {}@;',
+    'x = 1@;', 'x = this@;', 'x = `t`@;', 'x = `${a}`@;', 'x = `${ { a: 1 }@ }`;',
+    'if (a) x = (b)@;', 'x = function () {}@;', 'x = async function f() {}@;', 'x = a ? function () {}@ : b;',
+    'x = { function: 1, b: {}@ };', 'x = a++@;', 'x = a--@;', 'x = a.b@;', 'x = a?.b@;',
+  ];
+  const divisors = [['/ 2', []], ['/b/ 2', []], ['/ /re/.source.length', ['/re/']]];
+  const separators = ['', ' ', '\n', '/* c */'];
+  const regexValues = code => tokenize(code).filter(tok => tok.type === 'regex').map(tok => tok.value);
+
+  for (const separator of separators) {
+    for (const context of regexContexts) {
+      for (const regex of regexes) {
+        const code = context.replace('@', separator + regex);
+        assert.doesNotThrow(() => new AsyncFunction(code), code);
+        assert.deepEqual(regexValues(code), [regex], code);
+      }
+    }
+    for (const context of divisionContexts) {
+      for (const [divisor, expected] of divisors) {
+        const code = context.replace('@', separator + divisor);
+        assert.doesNotThrow(() => new AsyncFunction(code), code);
+        assert.deepEqual(regexValues(code), expected, code);
+      }
+    }
+  }
+  assert.deepEqual(regexValues('x /= 2; if (x) /=/.test(s);'), ['/=/']);
+});
+
+test('findModuleSyntax returns import and export specifiers with token ranges', () => {
+  const code = [
+    "import x, { y as z, 'w' as v } from './a.js';",
+    "import * as ns from './b.js';",
+    "import './c.js';",
+    'export { x as c, z };',
+    "export { d as e } from './d.js';",
+    "export * as all from './e.js';",
+    "export * from './f.js';",
+    'export default function named() {}',
+    'export const { a, b: [f] } = obj, g = 1;',
+    'export async function* h() {}',
+  ].join('\n');
+  const tokens = tokenize(code);
+  const text = (range) => code.slice(tokens[range.start].start, tokens[range.end - 1].end);
+  const { imports, exports } = findModuleSyntax(tokens);
+
+  assert.deepEqual(imports.map(spec => [spec.type, spec.source]), [
+    ['named', './a.js'], ['namespace', './b.js'], ['side-effect', './c.js'],
+  ]);
+  assert.deepEqual(imports[0].specifiers.map(({ kind, local, imported }) => [kind, local, imported]), [
+    ['default', 'x', 'default'], ['named', 'z', 'y'], ['named', 'v', 'w'],
+  ]);
+  assert.deepEqual(imports[0].specifiers.map(text), ['x', 'y as z', "'w' as v"]);
+  assert.equal(text(imports[1].specifiers[0]), '* as ns');
+  assert.equal(text(imports[2]), "import './c.js';");
+
+  assert.deepEqual(exports.map(spec => [spec.type, spec.names, spec.source]), [
+    ['named', ['c', 'z'], undefined],
+    ['named', ['e'], './d.js'],
+    ['all', ['all'], './e.js'],
+    ['all', [], './f.js'],
+    ['default', ['default'], undefined],
+    ['named', ['a', 'f', 'g'], undefined],
+    ['named', ['h'], undefined],
+  ]);
+  const fields = ({ kind, local, imported, exported }) => [kind, local, imported, exported];
+  assert.deepEqual(exports[0].specifiers.map(fields), [['named', 'x', null, 'c'], ['named', 'z', null, 'z']]);
+  assert.deepEqual(exports[1].specifiers.map(fields), [['named', null, 'd', 'e']]);
+  assert.deepEqual(exports[2].specifiers.map(fields), [['namespace', null, '*', 'all']]);
+  assert.deepEqual(exports[4].specifiers.map(fields), [['default', 'named', null, 'default']]);
+  assert.equal(text(exports[2].specifiers[0]), '* as all');
+  assert.deepEqual(exports[5].specifiers.map(text), ['a', 'f', 'g']);
+  assert.equal(text(exports[6]), 'export async function* h() {}');
+
+  const anonymous = findModuleSyntax(tokenize('export default class {}')).exports[0].specifiers[0];
+  assert.deepEqual(fields(anonymous), ['default', null, null, 'default']);
+});
+
+test('findModuleSyntax finds dynamic import() calls with their specifiers', () => {
+  const code = [
+    "const a = import('./a.js');",
+    'const b = import(`./b.js`, { with: {} });',
+    "const c = import('./' + name);",
+    "loader.import('./no.js');",
+    'class C { import(x) {} }',
+    "if (import.meta.url) f(await import(\"./d.js\"));",
+  ].join('\n');
+  const tokens = tokenize(code);
+  const { imports, dynamicImports } = findModuleSyntax(tokens);
+  assert.deepEqual(imports, []);
+  assert.deepEqual(dynamicImports.map(spec => spec.source), ['./a.js', './b.js', null, './d.js']);
+  const text = (range) => code.slice(tokens[range.start].start, tokens[range.end - 1].end);
+  assert.equal(text(dynamicImports[0]), "import('./a.js')");
+  assert.equal(text(dynamicImports[2]), "import('./' + name)");
+});
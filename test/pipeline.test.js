@@ -1,5 +1,9 @@
 import test from 'node:test';
 import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { pathToFileURL } from 'node:url';
 
 import { Pipeline } from '../src/pipeline.js';
 
@@ -94,3 +98,85 @@ test('Pipeline keeps inline HTML and CSS inside module strings', async () => {
   assert.ok(output.includes('color: red;'));
   assert.ok(output.includes('padding: 10px;'));
 });
+
+test('Pipeline writes nothing with an empty outputFile', async () => {
+  const modules = new Map([['./index.js', 'export const a = 1;']]);
+  const fromOptions = new Pipeline({ entryFile: './index.js', outputFile: '' }).withModules(modules).useBundler();
+  const fromJSON = Pipeline.fromJSON({ entry: './index.js', output: '' }).withModules(modules);
+  assert.equal(new Pipeline().outputFile, './dist/minibun.js');
+
+  for (const pipeline of [fromOptions, fromJSON]) {
+    pipeline.writeOutput = () => assert.fail('no file should be written');
+    assert.match(await pipeline.run(), /const a = 1/);
+  }
+});
+
+test('Pipeline collects unresolved import diagnostics from its steps', async () => {
+  const modules = new Map([
+    ['./index.js', "import { a } from './lib/a';\nimport { b } from './nope.js';\nexport const c = a + b;"],
+    ['./lib/a.js', 'export const a = 1;'],
+  ]);
+
+  const pipeline = new Pipeline({ entryFile: './index.js', outputFile: '' })
+    .withModules(modules)
+    .useTreeShaker()
+    .useBundler();
+
+  await pipeline.run();
+
+  assert.deepEqual(
+    pipeline.diagnostics.map(d => d.specifier),
+    ['./nope.js', './nope.js'],
+  );
+});
+
+test('Pipeline.fromJSON passes treeShake options to the TreeShaker', async () => {
+  const modules = new Map([
+    ['./index.js', "import './register.js';\nexport const ready = true;"],
+    ['./register.js', 'register();'],
+  ]);
+
+  const config = {
+    entry: './index.js',
+    output: '',
+    pipeline: { treeShake: { sideEffects: false }, bundle: false },
+  };
+
+  const pipeline = Pipeline.fromJSON(config).withModules(modules);
+  const output = await pipeline.run();
+
+  assert.equal(output.get('./register.js'), '');
+});
+
+test('Pipeline writes split chunks and their source maps, and returns the manifest', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'minibun-split-'));
+  try {
+    const modules = new Map([
+      ['./main.js', "export const ready = import('./lazy.js').then(lazy => { globalThis.__minibunSplit__ = lazy.value(); });"],
+      ['./lazy.js', "import { unused } from './util.js';\nexport const value = () => 'lazy';\n"],
+      ['./util.js', 'export const unused = 1;\n'],
+    ]);
+    const pipeline = new Pipeline({ entryFile: './main.js', modulesDir: dir, outputFile: path.join(dir, 'app.js'), sourceMap: true })
+      .withModules(modules)
+      .useTreeShaker()
+      .useBundler({ splitChunks: true })
+      .useMinifier();
+
+    const manifest = await pipeline.run();
+    const lazy = Object.keys(manifest.chunks).find(file => file.startsWith('lazy-'));
+    assert.deepEqual(manifest.dynamicImports, { './lazy.js': [lazy] });
+    assert.deepEqual(manifest.chunks[lazy].modules, ['./lazy.js']);
+    assert.deepEqual((await fs.readdir(dir)).sort(), ['app.js', 'app.js.map', lazy, `${lazy}.map`].sort());
+    assert.ok((await fs.readFile(path.join(dir, lazy), 'utf8')).endsWith(`\n//# sourceMappingURL=${lazy}.map`));
+    assert.deepEqual(JSON.parse(await fs.readFile(path.join(dir, `${lazy}.map`), 'utf8')).sources, ['lazy.js']);
+
+    // Without a loader configured, the entry chunk imports the others.
+    await import(pathToFileURL(path.join(dir, 'app.js')).href);
+    await globalThis.__minibun__.modules['./main.js'].ready;
+    assert.equal(globalThis.__minibunSplit__, 'lazy');
+  } finally {
+    delete globalThis.__minibunSplit__;
+    delete globalThis.__minibun__;
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,120 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+import { Pipeline } from '../src/pipeline.js';
+import { withProject } from './helpers.js';
+
+const json = {
+  name: 'json',
+  transform(code, id) {
+    return id.endsWith('.json') ? `export default ${code.trim()};\n` : null;
+  },
+};
+
+const env = (values) => ({
+  name: 'env',
+  transform(code) {
+    return code.replace(/process\.env\.(\w+)/g, (match, key) => (key in values ? JSON.stringify(values[key]) : match));
+  },
+});
+
+test('transform, renderChunk and generateBundle hooks shape the output', async () => {
+  await withProject({
+    'src/main.js': "import config from './config.json';\nconsole.log(config.name, process.env.MODE);\n",
+    'src/config.json': '{ "name": "app" }\n',
+  }, async (dir) => {
+    const calls = [];
+    const outputFile = path.join(dir, 'dist', 'app.js');
+    const pipeline = new Pipeline({ entryFile: './main.js', modulesDir: path.join(dir, 'src'), outputFile })
+      .use(json)
+      .use(env({ MODE: 'production' }))
+      .useBundler()
+      .useMinifier()
+      .use({
+        name: 'banner',
+        renderChunk(code, chunk) {
+          calls.push(chunk);
+          return `/* ${chunk.fileName} */\n${code}`;
+        },
+        generateBundle(bundle) {
+          bundle['sizes.json'] = { type: 'asset', fileName: 'sizes.json', source: JSON.stringify({ [this.entry]: bundle['app.js'].code.length }) };
+        },
+      });
+
+    const output = await pipeline.run();
+    assert.ok(output.startsWith('/* app.js */\n'));
+    assert.ok(output.includes('__default__={"name":"app"}'));
+    assert.ok(output.includes('"production"'));
+    assert.ok(!output.includes('process.env'));
+    assert.deepEqual(calls, [{ fileName: 'app.js', entry: './main.js', isEntry: true, modules: ['./main.js', './config.json'] }]);
+    assert.deepEqual(pipeline.diagnostics, []);
+
+    assert.equal(await fs.readFile(outputFile, 'utf8'), output);
+    const sizes = JSON.parse(await fs.readFile(path.join(dir, 'dist', 'sizes.json'), 'utf8'));
+    assert.deepEqual(sizes, { './main.js': output.length });
+  });
+});
+
+test('resolveId and load hooks add virtual modules with declared side effects', async () => {
+  const modules = new Map([
+    ['./main.js', "import { answer } from 'virtual:answer';\nimport 'virtual:setup';\nconsole.log(answer);\n"],
+  ]);
+  const virtual = {
+    name: 'virtual',
+    resolveId(source, importer) {
+      if (!source.startsWith('virtual:')) return null;
+      assert.equal(importer, './main.js');
+      return { id: `\0${source}`, sideEffects: false };
+    },
+    async load(id) {
+      if (id === '\0virtual:answer') return 'export const answer = 42;\nexport const unused = 1;\n';
+      if (id === '\0virtual:setup') {
+        this.warn('setup is empty');
+        return "globalThis.setup = 'dropped';\n";
+      }
+      return null;
+    },
+  };
+  const pipeline = new Pipeline({ entryFile: './main.js', outputFile: '' })
+    .withModules(modules)
+    .use(virtual)
+    .useTreeShaker()
+    .useBundler();
+
+  const output = await pipeline.run();
+  assert.ok(output.includes('42'));
+  assert.ok(!output.includes('unused'));
+  // Declared free of side effects, and nothing of it is used.
+  assert.ok(!output.includes('dropped'));
+  assert.deepEqual(pipeline.diagnostics.map(d => d.message), ['[virtual] setup is empty']);
+  assert.deepEqual([...pipeline.graph.get('./main.js')], ['\0virtual:answer', '\0virtual:setup']);
+});
+
+test('plugins can be named in the JSON config, with options', async () => {
+  await withProject({
+    'plugins/banner.js': 'export default (options) => ({ name: "banner", renderChunk: (code) => `${options.text}\\n${code}` });\n',
+    'src/index.js': 'console.log(1);\n',
+  }, async (dir) => {
+    const pipeline = Pipeline.fromJSON({
+      entry: './index.js',
+      modulesDir: path.join(dir, 'src'),
+      output: '',
+      pipeline: { minify: true },
+      plugins: [[path.join(dir, 'plugins', 'banner.js'), { text: '/*! v1 */' }]],
+    });
+    assert.equal((await pipeline.run()).split('\n')[0], '/*! v1 */');
+    assert.deepEqual(pipeline.plugins.map(plugin => plugin.name), ['minibun:bundle', 'minibun:minify', 'banner']);
+
+    const missing = Pipeline.fromJSON({ modulesDir: path.join(dir, 'src'), output: '', plugins: ['./nope.js'] });
+    await assert.rejects(missing.run(), /^Error: Cannot load plugin \.\/nope\.js: /);
+  });
+});
+
+test('use rejects values that are not plugins', () => {
+  const pipeline = new Pipeline();
+  assert.throws(() => pipeline.use(null), /A plugin must be an object with hooks, got null/);
+  assert.throws(() => pipeline.use({ name: 'typo', tranform() {} }), /Unknown hook "tranform" in plugin typo/);
+  assert.equal(pipeline.use({ name: 'data', extensions: ['.txt'] }).plugins.length, 1);
+});
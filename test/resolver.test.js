@@ -0,0 +1,58 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { ModuleResolver, normalizeModuleId } from '../src/resolver.js';
+
+test('normalizeModuleId produces root-relative POSIX IDs', () => {
+  assert.equal(normalizeModuleId('lib/a.js'), './lib/a.js');
+  assert.equal(normalizeModuleId('./lib/../util/./a.js'), './util/a.js');
+  assert.equal(normalizeModuleId('lib\\b.js'), './lib/b.js');
+  assert.equal(normalizeModuleId('../outside.js'), '../outside.js');
+});
+
+test('ModuleResolver resolves relative, extensionless and index specifiers', () => {
+  const resolver = new ModuleResolver([
+    './index.js',
+    './lib/b.js',
+    './util/a.js',
+    './util/index.js',
+    './widgets/index.mjs',
+  ]);
+
+  assert.equal(resolver.resolve('../util/a.js', './lib/b.js'), './util/a.js');
+  assert.equal(resolver.resolve('../util/a', './lib/b.js'), './util/a.js');
+  assert.equal(resolver.resolve('./util', './index.js'), './util/index.js');
+  assert.equal(resolver.resolve('../widgets', './lib/b.js'), './widgets/index.mjs');
+  assert.equal(resolver.resolve('/lib/b.js', './util/a.js'), './lib/b.js');
+  assert.equal(resolver.resolveEntry('index.js'), './index.js');
+  assert.deepEqual(resolver.diagnostics, []);
+});
+
+test('ModuleResolver treats URL-scheme specifiers as external without diagnostics', () => {
+  const resolver = new ModuleResolver(new Map([['./index.js', ''], ['virtual:config', '']]));
+
+  assert.equal(resolver.resolve('node:fs', './index.js'), null);
+  assert.equal(resolver.resolve('https://esm.sh/preact', './index.js'), null);
+  assert.equal(resolver.resolve('data:text/javascript,export default 1', './index.js'), null);
+  assert.equal(resolver.resolve('virtual:config', './index.js'), 'virtual:config');
+  assert.deepEqual(resolver.diagnostics, []);
+});
+
+test('ModuleResolver reports unresolved specifiers as diagnostics', () => {
+  const resolver = new ModuleResolver(new Map([['./index.js', '']]));
+
+  assert.equal(resolver.resolve('./missing.js', './index.js'), null);
+  assert.equal(resolver.resolve('preact', './index.js'), null);
+  assert.deepEqual(
+    resolver.diagnostics.map(({ type, specifier, importer }) => ({ type, specifier, importer })),
+    [
+      { type: 'unresolved', specifier: './missing.js', importer: './index.js' },
+      { type: 'unresolved', specifier: 'preact', importer: './index.js' },
+    ],
+  );
+
+  assert.equal(resolver.resolveEntry('main.js'), 'main.js');
+  assert.deepEqual(resolver.diagnostics.slice(2).map(({ severity, message }) => ({ severity, message })), [
+    { severity: 'error', message: 'Cannot resolve entry "main.js"' },
+  ]);
+});
@@ -0,0 +1,79 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { tokenize, significantTokens } from '../src/parser.js';
+import { analyzeScopes, assignNames, shortName } from '../src/scope.js';
+
+function analyze(code, options) {
+  const tokens = significantTokens(tokenize(code));
+  return { tokens, analysis: analyzeScopes(tokens, options) };
+}
+
+test('analyzeScopes builds function, block, catch and class scopes', () => {
+  const { tokens, analysis } = analyze(`
+    var top = 1;
+    function outer(param) {
+      if (param) { let inner = param; var hoisted = inner; }
+      try { run(); } catch (err) { return err; }
+      class Named { method(arg) { return arg; } }
+      return hoisted;
+    }
+  `);
+
+  assert.equal(analysis.root.kind, 'script');
+  assert.deepEqual([...analysis.root.bindings.keys()], ['top', 'outer']);
+  const fn = analysis.root.children[0];
+  assert.equal(fn.kind, 'function');
+  assert.deepEqual([...fn.bindings.keys()].sort(), ['Named', 'hoisted', 'param']);
+  assert.deepEqual(fn.children.map(scope => scope.kind), ['block', 'block', 'catch', 'class']);
+  assert.deepEqual([...fn.children[0].bindings.keys()], ['inner']);
+  assert.ok(analysis.globals.has('run'));
+  assert.ok(!analysis.globals.has('method'));
+
+  const param = fn.bindings.get('param');
+  assert.equal(param.references.length, 2);
+  const hoisted = fn.bindings.get('hoisted');
+  assert.equal(tokens[hoisted.references[0]].value, 'hoisted');
+
+  // Only object pattern entries are shorthand, not `let a, b` in a block.
+  const { analysis: lists } = analyze('{ let a, b; } const { c, d } = {};');
+  const shorthand = lists.bindings.filter(binding => [...binding.tokens.values()].some(Boolean));
+  assert.deepEqual(shorthand.map(binding => binding.name), ['c', 'd']);
+
+  // Keywords used as property and method names start no class.
+  const { analysis: member } = analyze('printer.class(node); class P { class(n) { let s; } } { let inner = node; }');
+  assert.deepEqual(member.root.children.map(scope => scope.kind), ['class', 'block']);
+  assert.deepEqual(member.root.children[0].children.map(scope => scope.kind), ['function']);
+  assert.deepEqual([...member.root.children[0].children[0].bindings.keys()], ['n', 's']);
+  assert.deepEqual([...member.root.children[1].bindings.keys()], ['inner']);
+});
+
+test('analyzeScopes pins module interface names and marks eval scopes dynamic', () => {
+  const { analysis } = analyze(`
+    import def, { a as b } from './x.js';
+    export const c = 1;
+    const d = 2;
+    export { d };
+    function e() { const f = 1; eval('f'); }
+  `);
+
+  assert.equal(analysis.root.kind, 'module');
+  for (const name of ['def', 'b', 'c', 'd']) assert.ok(analysis.root.bindings.get(name).pinned, name);
+  assert.ok(!analysis.root.bindings.has('a'));
+  assert.ok(!analysis.root.bindings.get('e').pinned);
+  assert.ok(analysis.root.dynamic);
+  assert.ok(analysis.root.children[0].dynamic);
+});
+
+test('assignNames gives frequent bindings short names without capturing outer ones', () => {
+  const { analysis } = analyze(`
+    export default function (rare, frequent) {
+      return frequent + frequent + frequent + rare + a;
+    }
+  `);
+  const renames = new Map([...assignNames(analysis)].map(([binding, name]) => [binding.name, name]));
+
+  assert.equal(renames.get('frequent'), 'b', '`a` is a global referenced inside');
+  assert.equal(renames.get('rare'), 'c');
+  assert.deepEqual([0, 25, 26, 53, 54].map(shortName), ['a', 'z', 'A', '_', 'aa']);
+});
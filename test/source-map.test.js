@@ -0,0 +1,129 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+
+import {
+  encodeVLQ,
+  decodeVLQ,
+  LineIndex,
+  SourceMapGenerator,
+  SourceMapConsumer,
+  composeSourceMaps,
+} from '../src/source-map.js';
+import { Minifier } from '../src/minification.js';
+import { Bundler } from '../src/bundling.js';
+import { Obfuscator } from '../src/obfuscation.js';
+import { Pipeline } from '../src/pipeline.js';
+
+// Original { source, line, column, name } of the first occurrence of
+// `needle` in `code` according to `map`.
+function lookup(map, code, needle) {
+  const offset = code.indexOf(needle);
+  assert.notEqual(offset, -1, `${needle} not found in output`);
+  return new SourceMapConsumer(map).originalPositionFor(new LineIndex(code).position(offset));
+}
+
+test('VLQ encoding round-trips and maps survive encode/decode', () => {
+  for (const value of [0, 1, -1, 15, 16, -16, 123456, -987654]) {
+    assert.equal(decodeVLQ(encodeVLQ(value)).value, value);
+  }
+  assert.equal(encodeVLQ(0), 'A');
+  assert.equal(encodeVLQ(16), 'gB');
+
+  const generator = new SourceMapGenerator({ file: 'out.js' });
+  const a = generator.addSource('a.js', 'let x;');
+  generator.addMapping({ generated: { line: 0, column: 0 }, source: a, original: { line: 3, column: 2 }, name: 'x' });
+  generator.addMapping({ generated: { line: 2, column: 4 }, source: a, original: { line: 1, column: 0 } });
+  const map = generator.toJSON();
+
+  assert.equal(map.version, 3);
+  assert.deepEqual(map.sourcesContent, ['let x;']);
+  const consumer = new SourceMapConsumer(JSON.stringify(map));
+  assert.deepEqual(consumer.originalPositionFor({ line: 0, column: 5 }), { source: 'a.js', line: 3, column: 2, name: 'x' });
+  assert.deepEqual(consumer.originalPositionFor({ line: 2, column: 9 }), { source: 'a.js', line: 1, column: 0, name: null });
+  assert.equal(consumer.originalPositionFor({ line: 1, column: 0 }), null);
+});
+
+test('Minifier, Obfuscator and Bundler record maps back to their input', () => {
+  const source = 'function greet(name) {\n  // hello\n  return "Hi " + name;\n}\n';
+  const minifier = new Minifier({ sourceMap: true, sourceFile: 'greet.js' });
+  const minified = minifier.minify(source);
+  assert.deepEqual(lookup(minifier.sourceMap, minified, 'return'), { source: 'greet.js', line: 2, column: 2, name: null });
+
+  const obfuscator = new Obfuscator({ renameIdentifiers: true, sourceMap: true, sourceFile: 'greet.js' });
+  const obfuscated = obfuscator.obfuscate(source);
+  const renamed = obfuscator.idMap.get('name');
+  const position = lookup(obfuscator.sourceMap, obfuscated, `+ ${renamed}`);
+  assert.deepEqual([position.line, position.column], [2, 15]);
+  assert.deepEqual(lookup(obfuscator.sourceMap, obfuscated, renamed).name, 'name');
+
+  const bundler = new Bundler(new Map([
+    ['./index.js', "import { add } from './math.js';\nexport const total = add(1, 2);"],
+    ['./math.js', 'export function add(a, b) {\n  return a + b;\n}'],
+  ]), { sourceMap: true });
+  const bundle = bundler.bundle('./index.js');
+  assert.deepEqual(bundler.sourceMap.sources, ['./math.js', './index.js']);
+  assert.deepEqual(lookup(bundler.sourceMap, bundle, 'return a + b'), { source: './math.js', line: 1, column: 2, name: null });
+  assert.deepEqual(lookup(bundler.sourceMap, bundle, 'const total'), { source: './index.js', line: 1, column: 7, name: null });
+});
+
+test('composeSourceMaps chains a stage map onto an input map', () => {
+  // inner: intermediate.js line 0 <- original.ts line 4; outer: out.js <- intermediate.js
+  const inner = new SourceMapGenerator();
+  const original = inner.addSource('original.ts', 'source');
+  inner.addMapping({ generated: { line: 0, column: 0 }, source: original, original: { line: 4, column: 2 }, name: 'value' });
+  const outer = new SourceMapGenerator();
+  const intermediate = outer.addSource('intermediate.js');
+  outer.addMapping({ generated: { line: 0, column: 7 }, source: intermediate, original: { line: 0, column: 3 } });
+
+  const composed = composeSourceMaps(outer.toJSON(), inner.toJSON());
+  assert.deepEqual(composed.sources, ['original.ts']);
+  assert.deepEqual(composed.sourcesContent, ['source']);
+  assert.deepEqual(
+    new SourceMapConsumer(composed).originalPositionFor({ line: 0, column: 7 }),
+    { source: 'original.ts', line: 4, column: 2, name: 'value' },
+  );
+});
+
+test('Pipeline writes a composed map next to the output', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'minibun-map-'));
+  try {
+    const src = path.join(dir, 'src');
+    await fs.mkdir(src);
+    await fs.writeFile(path.join(src, 'index.js'), "import { double } from './lib.js';\nexport const result = double(21);\n");
+    // lib.js comes from an upstream compiler with its own (inline) map:
+    // every line of lib.js maps to the same line of lib.ts.
+    const upstream = new SourceMapGenerator({ file: 'lib.js' });
+    const ts = upstream.addSource('lib.ts', 'export function double(n: number) {\n  return n * 2;\n}\n');
+    for (let line = 0; line < 3; line++) {
+      upstream.addMapping({ generated: { line, column: 0 }, source: ts, original: { line, column: 0 } });
+    }
+    const inline = Buffer.from(upstream.toString()).toString('base64');
+    await fs.writeFile(
+      path.join(src, 'lib.js'),
+      `export function double(n) {\n  return n * 2;\n}\n//# sourceMappingURL=data:application/json;base64,${inline}\n`,
+    );
+
+    const outputFile = path.join(dir, 'dist', 'bundle.js');
+    const pipeline = new Pipeline({ entryFile: './index.js', modulesDir: src, outputFile })
+      .useSourceMaps()
+      .useTreeShaker()
+      .useBundler()
+      .useMinifier();
+    await pipeline.run();
+
+    const output = await fs.readFile(outputFile, 'utf8');
+    const map = JSON.parse(await fs.readFile(`${outputFile}.map`, 'utf8'));
+    assert.ok(output.endsWith('\n//# sourceMappingURL=bundle.js.map'));
+    assert.equal(map.file, 'bundle.js');
+    assert.deepEqual([...map.sources].sort(), ['../src/index.js', '../src/lib.ts']);
+
+    const code = output.slice(0, output.lastIndexOf('\n//#'));
+    assert.deepEqual(lookup(map, code, 'return n'), { source: '../src/lib.ts', line: 1, column: 0, name: null });
+    assert.deepEqual(lookup(map, code, 'double(21)'), { source: '../src/index.js', line: 1, column: 22, name: 'double' });
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
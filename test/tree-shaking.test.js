@@ -83,3 +83,225 @@ test('TreeShaker copes with default exports, re-exports, and side effects', () =
   assert.ok(result.has('./side-effect.js'));
 });
 
+
+test('TreeShaker resolves relative specifiers before building the graph', () => {
+  const modules = new Map([
+    ['./index.js', "import { b } from './lib/b.js';\nconsole.log(b);"],
+    ['./lib/b.js', "export { a as b } from '../util/a';"],
+    ['./util/a.js', 'export const a = 1;'],
+  ]);
+
+  const shaker = new TreeShaker(modules);
+  const result = shaker.shake('index.js');
+
+  assert.deepEqual([...shaker.dependencyGraph.get('./lib/b.js')], ['./util/a.js']);
+  assert.ok(result.get('./util/a.js').includes('export const a'));
+  assert.deepEqual(shaker.diagnostics, []);
+});
+
+test('TreeShaker removes top-level declarations no importer references', () => {
+  const modules = new Map([
+    [
+      './entry.js',
+      `
+      import { format, Widget } from './lib.js';
+      export function run() { return format(new Widget().name); }
+      `,
+    ],
+    [
+      './lib.js',
+      `
+      const PREFIX = '> ';
+      function pad(s) { return PREFIX + s; }
+      export function format(s) { return pad(s); }
+      export function unusedHelper() { return pad('x'); }
+      export class Widget { constructor() { this.name = 'w'; } }
+      export class UnusedWidget {}
+      let internal = 1, alsoInternal = 2;
+      export { internal as renamed };
+      `,
+    ],
+  ]);
+
+  const shaker = new TreeShaker(modules);
+  const result = shaker.shake('./entry.js');
+  const lib = result.get('./lib.js');
+
+  for (const kept of ['PREFIX', 'function pad', 'function format', 'class Widget']) {
+    assert.ok(lib.includes(kept), `${kept} should be kept`);
+  }
+  for (const removed of ['unusedHelper', 'UnusedWidget', 'internal', 'renamed']) {
+    assert.ok(!lib.includes(removed), `${removed} should be removed`);
+  }
+  assert.deepEqual(shaker.removedBindings.get('./lib.js'), [
+    'unusedHelper',
+    'UnusedWidget',
+    'internal',
+    'alsoInternal',
+  ]);
+});
+
+test('TreeShaker sees references and calls inside template substitutions', () => {
+  const modules = new Map([
+    ['./entry.js', "import { label } from './lib.js';\nimport './effect.js';\nexport const text = label();\n"],
+    [
+      './lib.js',
+      `
+      const PREFIX = '> ';
+      const UNUSED = 'x';
+      export function label() { return \`\${PREFIX}\${\`\${'}'}\`}\`; }
+      `,
+    ],
+    ['./effect.js', 'const banner = `${console.log(1)}`;\n'],
+  ]);
+
+  const shaker = new TreeShaker(modules);
+  const lib = shaker.shake('./entry.js').get('./lib.js');
+  assert.ok(lib.includes('PREFIX'), 'used only inside a substitution');
+  assert.ok(!lib.includes('UNUSED'));
+  assert.equal(shaker.sideEffectReasons.get('./effect.js')[0].reason, 'call');
+});
+
+test('TreeShaker follows default, namespace and re-exported bindings', () => {
+  const modules = new Map([
+    [
+      './entry.js',
+      `
+      import main, { unusedImport } from './main.js';
+      import { picked } from './barrel.js';
+      import * as ns from './ns.js';
+      console.log(main(), picked, ns.a);
+      `,
+    ],
+    ['./main.js', 'export default function () { return 1; }\nexport const unusedImport = 2;'],
+    ['./barrel.js', "export { source as picked } from './source.js';\nexport { other } from './other.js';"],
+    ['./source.js', 'export const source = 3;\nexport const dropped = 4;'],
+    ['./other.js', 'export const other = 5;'],
+    ['./ns.js', 'export const a = 6;\nexport const b = 7;'],
+  ]);
+
+  const shaker = new TreeShaker(modules);
+  const result = shaker.shake('./entry.js');
+
+  assert.ok(result.get('./entry.js').includes("import main from './main.js';"));
+  assert.ok(!result.get('./main.js').includes('unusedImport'));
+  assert.ok(result.get('./barrel.js').includes('export { source as picked }'));
+  assert.ok(!result.get('./barrel.js').includes('other'));
+  assert.equal(result.get('./other.js'), '');
+  assert.ok(result.get('./source.js').includes('source = 3'));
+  assert.ok(!result.get('./source.js').includes('dropped'));
+  // Namespace imports may be used dynamically, so every export is kept.
+  assert.ok(result.get('./ns.js').includes('b = 7'));
+});
+
+test('TreeShaker keeps modules with top-level side effects and reports why', () => {
+  const modules = new Map([
+    [
+      './entry.js',
+      `
+      import './plugin.js';
+      import './globals.js';
+      import './pure.js';
+      import './local.js';
+      export const ready = true;
+      `,
+    ],
+    ['./plugin.js', 'function setup() { return 1; }\nregisterPlugin(setup);'],
+    ['./globals.js', 'window.x = 1;\nconst w = new Widget();\nconst s = tag`x`;'],
+    ['./pure.js', 'const a = 1;\nfunction f() { sideEffect(); }\nclass C { run() { go(); } }\nconst g = () => call();'],
+    ['./local.js', 'let count = 0;\ncount = 1;\ncount++;'],
+  ]);
+
+  const shaker = new TreeShaker(modules);
+  const result = shaker.shake('./entry.js');
+
+  assert.equal(shaker.sideEffects.get('./plugin.js'), true);
+  assert.equal(shaker.sideEffects.get('./globals.js'), true);
+  assert.equal(shaker.sideEffects.get('./pure.js'), false);
+  assert.equal(shaker.sideEffects.get('./local.js'), false);
+
+  assert.deepEqual(
+    shaker.sideEffectReasons.get('./globals.js').map(r => [r.reason, r.statement]),
+    [
+      ['property-write', 'window.x = 1;'],
+      ['new', 'const w = new Widget();'],
+      ['tagged-template', 'const s = tag`x`;'],
+    ]
+  );
+  assert.equal(shaker.sideEffectReasons.get('./plugin.js')[0].reason, 'call');
+  assert.ok(result.get('./plugin.js').includes('registerPlugin(setup)'));
+  assert.equal(result.get('./pure.js'), '');
+});
+
+test('TreeShaker checks class static initializers and top-level await', () => {
+  const modules = new Map([
+    ['./entry.js', "import './a.js';\nimport './b.js';\nimport './c.js';"],
+    ['./a.js', 'class A { static instance = create(); }'],
+    ['./b.js', 'class B extends mixin(Base) {}'],
+    ['./c.js', 'const data = await load;'],
+  ]);
+
+  const shaker = new TreeShaker(modules);
+  shaker.shake('./entry.js');
+
+  assert.equal(shaker.sideEffectReasons.get('./a.js')[0].reason, 'call');
+  assert.equal(shaker.sideEffectReasons.get('./b.js')[0].reason, 'call');
+  assert.equal(shaker.sideEffectReasons.get('./c.js')[0].reason, 'await');
+});
+
+test('TreeShaker checks the blocks of statements with a head but not object methods', () => {
+  const statements = {
+    './if.js': 'if (!Array.prototype.last) { Array.prototype.last = function () { return this[this.length - 1]; }; }',
+    './else.js': 'if (a) {} else if (b) { register(b); }',
+    './for.js': 'for (const p of plugins) { register(p); }',
+    './for-await.js': 'for await (const p of plugins) { register(p); }',
+    './while.js': 'while (queue.length) { queue.pop()(); }',
+    './switch.js': 'switch (mode) { case 1: { init(); } }',
+    './with.js': 'with (scope) { run(); }',
+    './catch.js': 'try {} catch (err) { report(err); }',
+  };
+  const methods = {
+    './methods.js': 'const o = { run() { go(); }, get value() { return read(); }, if() { go(); }, async for(x) { go(); } };',
+  };
+  const modules = new Map(Object.entries({ ...statements, ...methods }));
+  modules.set('./entry.js', [...modules.keys()].map(id => `import '${id}';`).join('\n'));
+
+  const shaker = new TreeShaker(modules);
+  const result = shaker.shake('./entry.js');
+
+  for (const id of Object.keys(statements)) {
+    assert.equal(shaker.sideEffects.get(id), true, id);
+    assert.equal(result.get(id), modules.get(id), id);
+  }
+  assert.equal(shaker.sideEffects.get('./methods.js'), false);
+  assert.equal(result.get('./methods.js'), '');
+});
+
+test('TreeShaker honours sideEffects declarations and pure annotations', () => {
+  const modules = new Map([
+    ['./entry.js', "import './polyfill.js';\nimport './setup.js';\nimport './pure-calls.js';\nimport './effects.js';"],
+    ['./polyfill.js', 'globalThis.shim = true;'],
+    ['./setup.js', 'register();'],
+    [
+      './pure-calls.js',
+      'const store = /*#__PURE__*/ createStore();\nconst widget = /*@__PURE__*/ new Widget(options);',
+    ],
+    ['./effects.js', 'const value = /*#__PURE__*/ wrap(compute());'],
+  ]);
+
+  const shaker = new TreeShaker(modules, { sideEffects: ['polyfill.js'] });
+  const result = shaker.shake('./entry.js');
+
+  assert.ok(result.get('./polyfill.js').includes('globalThis.shim'));
+  assert.equal(result.get('./setup.js'), '');
+  assert.equal(result.get('./pure-calls.js'), '');
+  // Arguments of a pure call are still evaluated.
+  assert.equal(shaker.sideEffectReasons.get('./effects.js')[0].reason, 'call');
+  // ...but a module declared side-effect free is dropped regardless.
+  assert.equal(result.get('./effects.js'), '');
+
+  const strict = new TreeShaker(modules, { pureAnnotations: false });
+  strict.shake('./entry.js');
+  assert.equal(strict.sideEffects.get('./setup.js'), true);
+  assert.equal(strict.sideEffects.get('./pure-calls.js'), true);
+});
@@ -0,0 +1,109 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { once } from 'node:events';
+
+import { Pipeline } from '../src/pipeline.js';
+import { withProject } from './helpers.js';
+
+const project = {
+  'main.js': "import { greet } from './greet.js';\nimport { VERSION } from './version.js';\nconsole.log(greet('watch'), VERSION);\n",
+  'greet.js': "import { suffix } from './suffix.js';\nexport function greet(name) {\n  return `hello ${name}` + suffix;\n}\n",
+  'suffix.js': "export const suffix = '!';\n",
+  'version.js': "export const VERSION = '1.0';\n",
+};
+
+test('watch rebuilds the changed module and its dependents only', async () => {
+  await withProject(project, async (dir) => {
+    const outputFile = path.join(dir, 'out', 'app.js');
+    const pipeline = new Pipeline({ entryFile: './main.js', modulesDir: dir, outputFile })
+      .useTreeShaker()
+      .useBundler();
+    const watcher = pipeline.watch({ debounce: 20 });
+    try {
+      const [initial] = await once(watcher, 'rebuild');
+      assert.deepEqual(initial.changed.sort(), ['./greet.js', './main.js', './suffix.js', './version.js']);
+      assert.ok(initial.output.includes("'1.0'"));
+      assert.ok(initial.duration >= 0);
+      await watcher.ready;
+
+      const misses = pipeline.cache.misses;
+      const hits = pipeline.cache.hits;
+      const rebuilt = once(watcher, 'rebuild');
+      await fs.writeFile(path.join(dir, 'suffix.js'), "export const suffix = '?';\n");
+      const [event] = await rebuilt;
+      assert.deepEqual(event.changed, ['./suffix.js']);
+      assert.deepEqual(event.affected.sort(), ['./greet.js', './main.js', './suffix.js']);
+      assert.ok(event.output.includes("'?'"));
+      assert.equal(await fs.readFile(outputFile, 'utf8'), event.output);
+      // version.js was not re-analyzed.
+      assert.ok(pipeline.cache.hits > hits);
+      assert.ok(pipeline.cache.misses > misses);
+      assert.ok(pipeline.cache.entries.get('./version.js').size > 0);
+    } finally {
+      await watcher.close();
+    }
+  });
+});
+
+test('watch ignores every file the build writes under modulesDir', async () => {
+  await withProject({
+    'main.js': "export const load = () => import('./lazy.js');\n",
+    'lazy.js': 'export const lazy = 1;\n',
+  }, async (dir) => {
+    const outputFile = path.join(dir, 'out', 'app.js');
+    const pipeline = new Pipeline({ entryFile: './main.js', modulesDir: dir, outputFile, sourceMap: true })
+      .useBundler({ splitChunks: true });
+    const watcher = pipeline.watch({ debounce: 20 });
+    const events = [];
+    watcher.on('rebuild', event => events.push(event));
+    try {
+      await watcher.ready;
+      const written = (await fs.readdir(path.join(dir, 'out'))).sort();
+      assert.equal(written.length, 4);
+      assert.ok(written.some(name => /^lazy-[0-9a-f]{8}\.js\.map$/.test(name)), written.join());
+
+      const rebuilt = once(watcher, 'rebuild');
+      await fs.writeFile(path.join(dir, 'lazy.js'), 'export const lazy = 2;\n');
+      const [event] = await rebuilt;
+      assert.deepEqual(event.changed, ['./lazy.js']);
+      // Give the events of the chunks just written time to arrive.
+      await new Promise(resolve => setTimeout(resolve, 200));
+      assert.equal(events.length, 2);
+      assert.deepEqual([...pipeline.modules.keys()].sort(), ['./lazy.js', './main.js']);
+    } finally {
+      await watcher.close();
+    }
+  });
+});
+
+test('watch reports failed builds as errors and keeps watching', async () => {
+  await withProject(project, async (dir) => {
+    const outputFile = path.join(dir, 'out', 'app.js');
+    const pipeline = new Pipeline({ entryFile: './main.js', modulesDir: dir, outputFile }).useBundler();
+    const watcher = pipeline.watch({ debounce: 20 });
+    try {
+      await watcher.ready;
+
+      // A directory in place of the output file makes the write fail.
+      await fs.rm(outputFile);
+      await fs.mkdir(outputFile);
+      const failed = once(watcher, 'error');
+      await fs.writeFile(path.join(dir, 'version.js'), "export const VERSION = '2.0';\n");
+      const [err] = await failed;
+      assert.equal(err.code, 'EISDIR');
+
+      await fs.rm(outputFile, { recursive: true });
+      const rebuilt = once(watcher, 'rebuild');
+      await fs.writeFile(path.join(dir, 'main.js'), "import { VERSION } from './version.js';\nconsole.log(VERSION);\n");
+      const [event] = await rebuilt;
+      assert.deepEqual(event.changed, ['./main.js']);
+      assert.ok(event.output.includes("'2.0'"));
+      assert.ok(!event.output.includes("greet('watch')"));
+      assert.equal(await fs.readFile(outputFile, 'utf8'), event.output);
+    } finally {
+      await watcher.close();
+    }
+  });
+});